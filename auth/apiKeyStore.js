@@ -0,0 +1,273 @@
+/*
+ █████╗ ██████╗ ██╗    ██╗  ██╗███████╗██╗   ██╗    ███████╗████████╗ ██████╗ ██████╗ ███████╗
+██╔══██╗██╔══██╗██║    ██║ ██╔╝██╔════╝╚██╗ ██╔╝    ██╔════╝╚══██╔══╝██╔═══██╗██╔══██╗██╔════╝
+███████║██████╔╝██║    █████╔╝ █████╗   ╚████╔╝     ███████╗   ██║   ██║   ██║██████╔╝█████╗
+██╔══██║██╔═══╝ ██║    ██╔═██╗ ██╔══╝    ╚██╔╝      ╚════██║   ██║   ██║   ██║██╔══██╗██╔══╝
+██║  ██║██║     ██║    ██║  ██╗███████╗   ██║       ███████║   ██║   ╚██████╔╝██║  ██║███████╗
+╚═╝  ╚═╝╚═╝     ╚═╝    ╚═╝  ╚═╝╚══════╝   ╚═╝       ╚══════╝   ╚═╝    ╚═════╝ ╚═╝  ╚═╝╚══════╝
+*/
+
+// API keys and their usage. Only the SHA-256 of a key is stored, the key itself is shown once.
+//  apikey_<id>                      -> { id, name, prefix, hash, status, quotas, created_at, rotated_at }
+//  apikey_hash_<sha256>             -> id
+//  apikeys                          -> set of every id
+//  apikey_usage_<id>_<YYYY-MM-DD>   -> requests that day (UTC), expires after 2 days
+//  apikey_usage_<id>_<YYYY-MM>      -> requests that month (UTC), expires after 32 days
+//  apikey_usage_<id>_total          -> requests ever
+//  apikey_last_used_<id>            -> ISO date of the last request
+// Every record read from Redis is mirrored in memory, so known keys keep working while Redis is down.
+// Writes are refused while Redis is down: a key only saved in memory would be handed out, then
+// vanish on restart and be rejected by every other instance.
+
+import { createHash, randomBytes } from 'crypto';
+import logger from '../utils/logger.js';
+import redisClient, { isRedisReady } from '../caching/redisClient.js';
+import { StorageUnavailableError } from '../utils/errors.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const envLimit = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    // 0 means unlimited
+    if (value === 0) return null;
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Quotas of new keys, each one can be changed per key
+export const DEFAULT_QUOTAS = {
+    per_second: envLimit('API_KEY_DEFAULT_PER_SECOND', 10),
+    daily: envLimit('API_KEY_DEFAULT_DAILY', 10000),
+    monthly: envLimit('API_KEY_DEFAULT_MONTHLY', 200000)
+};
+
+export const KEY_STATUS = {
+    active: 'active',
+    suspended: 'suspended'
+};
+
+const KEY_PREFIX = 'amk_';
+
+const recordKey = (id) => `apikey_${id}`;
+const hashKey = (hash) => `apikey_hash_${hash}`;
+const ALL_KEYS = 'apikeys';
+const usageKey = (id, period) => `apikey_usage_${id}_${period}`;
+const lastUsedKey = (id) => `apikey_last_used_${id}`;
+
+export const hashApiKey = (apiKey) => createHash('sha256').update(apiKey).digest('hex');
+
+const newSecret = () => `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+
+// UTC periods the counters roll over on
+export const usagePeriods = (date = new Date()) => {
+    const day = date.toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+};
+
+/* ============================================ */
+/*                 Memory fallback              */
+/* ============================================ */
+const memoryRecords = new Map();
+const memoryHashes = new Map();
+const memoryCounters = new Map();
+// One { second, count } per key, per second counters would pile up otherwise
+const memorySeconds = new Map();
+
+const memory = {
+    save(record) {
+        const previous = memoryRecords.get(record.id);
+        if (previous && previous.hash !== record.hash) memoryHashes.delete(previous.hash);
+        memoryRecords.set(record.id, record);
+        memoryHashes.set(record.hash, record.id);
+    },
+    get: (id) => memoryRecords.get(id) || null,
+    findByHash: (hash) => memoryRecords.get(memoryHashes.get(hash)) || null,
+    list: () => [...memoryRecords.values()],
+    incr(key, by = 1) {
+        const value = (memoryCounters.get(key) || 0) + by;
+        memoryCounters.set(key, value);
+        return value;
+    },
+    incrSecond(id, second) {
+        const current = memorySeconds.get(id);
+        const count = current?.second === second ? current.count + 1 : 1;
+        memorySeconds.set(id, { second, count });
+        return count;
+    }
+};
+
+// Runs the Redis version of an operation, or the memory one while Redis is down
+const withFallback = async (operation, redisFn, memoryFn) => {
+    if (!isRedisReady()) return memoryFn();
+
+    try {
+        return await redisFn();
+    } catch (err) {
+        logger.warn(`API key store ${operation} failed on Redis, using memory: ${err.message}`);
+        return memoryFn();
+    }
+};
+
+const parse = (raw) => {
+    if (!raw) return null;
+    const record = JSON.parse(raw);
+    memory.save(record);
+    return record;
+};
+
+/* ============================================ */
+/*                 Store                        */
+/* ============================================ */
+const apiKeyStore = {
+    async get(id) {
+        return withFallback('get', async () => parse(await redisClient.get(recordKey(id))), () => memory.get(id));
+    },
+
+    async findByKey(apiKey) {
+        const hash = hashApiKey(apiKey);
+
+        return withFallback('lookup', async () => {
+            const id = await redisClient.get(hashKey(hash));
+            return id ? this.get(id) : null;
+        }, () => memory.findByHash(hash));
+    },
+
+    async list() {
+        return withFallback('list', async () => {
+            const ids = await redisClient.smembers(ALL_KEYS);
+            const records = await Promise.all(ids.map(id => this.get(id)));
+            return records.filter(Boolean);
+        }, () => memory.list());
+    },
+
+    // Throws StorageUnavailableError unless Redis took the write
+    async save(record, previousHash = null) {
+        if (!isRedisReady()) {
+            throw new StorageUnavailableError("API keys can't be changed while Redis is unavailable, try again later.");
+        }
+
+        const pipeline = redisClient.multi()
+            .set(recordKey(record.id), JSON.stringify(record))
+            .set(hashKey(record.hash), record.id)
+            .sadd(ALL_KEYS, record.id);
+
+        // A rotated key stops working right away
+        if (previousHash && previousHash !== record.hash) pipeline.del(hashKey(previousHash));
+
+        try {
+            // exec() resolves with per command errors instead of rejecting
+            const results = await pipeline.exec();
+            const failed = results.find(([err]) => err);
+            if (failed) throw failed[0];
+        } catch (err) {
+            logger.error(`API key store save of ${record.id} failed on Redis: ${err.message}`);
+            throw new StorageUnavailableError("API keys can't be changed while Redis is unavailable, try again later.");
+        }
+
+        memory.save(record);
+        return record;
+    },
+
+    /**
+     * Creates a key. Resolves with the stored record and the key itself, which is never stored.
+     * @param {{ name: string, quotas?: object }} options
+     */
+    async create({ name, quotas = {} }) {
+        const apiKey = newSecret();
+        const record = {
+            id: `key_${randomBytes(8).toString('hex')}`,
+            name,
+            prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+            hash: hashApiKey(apiKey),
+            status: KEY_STATUS.active,
+            quotas: { ...DEFAULT_QUOTAS, ...quotas },
+            created_at: new Date().toISOString(),
+            rotated_at: null
+        };
+
+        await this.save(record);
+        logger.info(`Created API key ${record.id} (${name})`);
+        return { record, apiKey };
+    },
+
+    // Replaces the secret of a key, usage and quotas stay
+    async rotate(record) {
+        const apiKey = newSecret();
+        const rotated = {
+            ...record,
+            prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+            hash: hashApiKey(apiKey),
+            rotated_at: new Date().toISOString()
+        };
+
+        await this.save(rotated, record.hash);
+        logger.info(`Rotated API key ${record.id}`);
+        return { record: rotated, apiKey };
+    },
+
+    /**
+     * Counts one request of key `id` in the current second, day and month.
+     * Resolves with the counts after this request.
+     */
+    // Counts a request against the per second limit, returns the count of the current second
+    async countSecond(id) {
+        const second = Math.floor(Date.now() / 1000);
+        const secondKey = usageKey(id, `s_${second}`);
+
+        return withFallback('usage', async () => {
+            const [[, count]] = await redisClient.multi().incr(secondKey).expire(secondKey, 2).exec();
+            return count;
+        }, () => memory.incrSecond(id, second));
+    },
+
+    // Counts a request against the daily and monthly quotas, returns both counts
+    async recordRequest(id, now = new Date()) {
+        const { day, month } = usagePeriods(now);
+
+        return withFallback('usage', async () => {
+            const results = await redisClient.multi()
+                .incr(usageKey(id, day)).expire(usageKey(id, day), 2 * 24 * 3600)
+                .incr(usageKey(id, month)).expire(usageKey(id, month), 32 * 24 * 3600)
+                .incr(usageKey(id, 'total'))
+                .set(lastUsedKey(id), now.toISOString())
+                .exec();
+
+            return { day: results[0][1], month: results[2][1] };
+        }, () => {
+            memory.incr(usageKey(id, 'total'));
+            memoryCounters.set(lastUsedKey(id), now.toISOString());
+            return {
+                day: memory.incr(usageKey(id, day)),
+                month: memory.incr(usageKey(id, month))
+            };
+        });
+    },
+
+    // Takes back a request recorded at `now` that was refused, refused requests use no quota
+    async releaseRequest(id, now) {
+        const { day, month } = usagePeriods(now);
+        const keys = [usageKey(id, day), usageKey(id, month), usageKey(id, 'total')];
+
+        await withFallback('usage',
+            () => keys.reduce((multi, key) => multi.decr(key), redisClient.multi()).exec(),
+            () => keys.forEach(key => memory.incr(key, -1)));
+    },
+
+    async usage(id) {
+        const { day, month } = usagePeriods();
+        const keys = [usageKey(id, day), usageKey(id, month), usageKey(id, 'total'), lastUsedKey(id)];
+
+        const [today, thisMonth, total, lastUsed] = await withFallback('usage',
+            () => redisClient.mget(...keys),
+            () => keys.map(key => memoryCounters.get(key) ?? null));
+
+        return {
+            today: Number(today) || 0,
+            this_month: Number(thisMonth) || 0,
+            total: Number(total) || 0,
+            last_used_at: lastUsed || null
+        };
+    }
+};
+
+export default apiKeyStore;
@@ -0,0 +1,106 @@
+/*
+███████╗██╗    ██╗██████╗      ██████╗ █████╗  ██████╗██╗  ██╗███████╗
+██╔════╝██║    ██║██╔══██╗    ██╔════╝██╔══██╗██╔════╝██║  ██║██╔════╝
+███████╗██║ █╗ ██║██████╔╝    ██║     ███████║██║     ███████║█████╗
+╚════██║██║███╗██║██╔══██╗    ██║     ██╔══██║██║     ██╔══██║██╔══╝
+███████║╚███╔███╔╝██║  ██║    ╚██████╗██║  ██║╚██████╗██║  ██║███████╗
+╚══════╝ ╚══╝╚══╝ ╚═╝  ╚═╝     ╚═════╝╚═╝  ╚═╝ ╚═════╝╚═╝  ╚═╝╚══════╝
+*/
+
+// Stale-while-revalidate cache shared by all routes.
+// Entries are stored as { data, fresh_until, stale_until } (epoch milliseconds):
+//  - fresh  -> served straight from the cache store (Redis, or memory while Redis is down)
+//  - stale  -> served immediately while a background refresh updates the entry
+//  - gone   -> fetched from upstream, the caller waits
+// A failed background refresh keeps the stale copy, so upstream errors (e.g. a Jikan 429)
+// only reach users once the stale window has run out too.
+
+import logger from '../utils/logger.js';
+import cacheStore from './cacheStore.js';
+import { getCacheTtl } from '../config/cacheConfig.js';
+import { runInBackground } from '../utils/requestPriority.js';
+import { recordCacheLookup } from '../utils/metrics.js';
+
+// Upstream calls currently running, keyed by cache key, so concurrent callers share one call
+const inFlight = new Map();
+
+/* ============================================ */
+/*                 Entry helpers                */
+/* ============================================ */
+const readEntry = async (key) => {
+    const raw = await cacheStore.get(key);
+    if (!raw) return null;
+
+    try {
+        const entry = JSON.parse(raw);
+        // Entries written before this layer existed hold the bare payload
+        return entry && entry.fresh_until ? entry : null;
+    } catch {
+        return null;
+    }
+};
+
+const writeEntry = async (key, data, ttl) => {
+    const now = Date.now();
+    const entry = {
+        data,
+        fresh_until: now + ttl.fresh * 1000,
+        stale_until: now + (ttl.fresh + ttl.stale) * 1000
+    };
+
+    await cacheStore.set(key, JSON.stringify(entry), Math.max(1, ttl.fresh + ttl.stale));
+    return entry;
+};
+
+// Runs the fetcher once per key and stores its result, unless `cacheable` rejects it
+const refresh = (key, ttlName, fetcher, cacheable) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const pending = (async () => {
+        try {
+            const data = await fetcher();
+            if (cacheable(data)) await writeEntry(key, data, getCacheTtl(ttlName));
+            return data;
+        } finally {
+            inFlight.delete(key);
+        }
+    })();
+
+    inFlight.set(key, pending);
+    return pending;
+};
+
+/* ============================================ */
+/*                 Cached fetch                 */
+/* ============================================ */
+/**
+ * Returns the cached value for `key`, calling `fetcher` when it is missing or stale.
+ * @param {string} key - cache key
+ * @param {string} ttlName - cache window name from config/cacheConfig.js
+ * @param {() => Promise<any>} fetcher - loads fresh data from upstream
+ * @param {{ cacheable?: (data: any) => boolean }} [options] - `cacheable` returns false for results
+ *        that must not be stored, e.g. ones built while part of the upstream calls failed
+ */
+export async function withCache(key, ttlName, fetcher, { cacheable = () => true } = {}) {
+    const entry = await readEntry(key);
+    const now = Date.now();
+
+    if (entry && now < entry.fresh_until) {
+        logger.info(`Serving "${key}" from cache 🧑‍🍳🍽️🍕`);
+        recordCacheLookup(ttlName, 'hit');
+        return entry.data;
+    }
+
+    if (entry && now < entry.stale_until) {
+        logger.info(`Serving stale "${key}" from cache while refreshing 🔄`);
+        recordCacheLookup(ttlName, 'stale');
+        // Nobody waits on this refresh, so outbound queues may put users first
+        runInBackground(() => refresh(key, ttlName, fetcher, cacheable)).catch(err => {
+            logger.error(`Background refresh of "${key}" failed: ${err.message}`);
+        });
+        return entry.data;
+    }
+
+    recordCacheLookup(ttlName, 'miss');
+    return refresh(key, ttlName, fetcher, cacheable);
+}
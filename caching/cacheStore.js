@@ -0,0 +1,80 @@
+/*
+ ██████╗ █████╗  ██████╗██╗  ██╗███████╗    ███████╗████████╗ ██████╗ ██████╗ ███████╗
+██╔════╝██╔══██╗██╔════╝██║  ██║██╔════╝    ██╔════╝╚══██╔══╝██╔═══██╗██╔══██╗██╔════╝
+██║     ███████║██║     ███████║█████╗      ███████╗   ██║   ██║   ██║██████╔╝█████╗
+██║     ██╔══██║██║     ██╔══██║██╔══╝      ╚════██║   ██║   ██║   ██║██╔══██╗██╔══╝
+╚██████╗██║  ██║╚██████╗██║  ██║███████╗    ███████║   ██║   ╚██████╔╝██║  ██║███████╗
+ ╚═════╝╚═╝  ╚═╝ ╚═════╝╚═╝  ╚═╝╚══════╝    ╚══════╝   ╚═╝    ╚═════╝ ╚═╝  ╚═╝╚══════╝
+*/
+
+// Key/value store used by the cache layer.
+// Redis is the main tier; a bounded in-memory LRU takes over whenever Redis is unreachable
+// and, with CACHE_L1_ENABLED=true, also fronts Redis as a short lived L1.
+
+import logger from '../utils/logger.js';
+import redisClient, { isRedisReady, withTimeout } from './redisClient.js';
+import MemoryCache from './memoryCache.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const MEMORY_MAX_ENTRIES = parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 500;
+const L1_ENABLED = process.env.CACHE_L1_ENABLED === 'true';
+// Seconds an L1 copy lives before Redis is asked again, keeps instances roughly in sync
+const L1_TTL = parseInt(process.env.CACHE_L1_TTL, 10) || 30;
+
+const memoryCache = new MemoryCache(MEMORY_MAX_ENTRIES);
+
+/* ============================================ */
+/*                 Store                        */
+/* ============================================ */
+const cacheStore = {
+    async get(key) {
+        if (L1_ENABLED || !isRedisReady()) {
+            const local = memoryCache.get(key);
+            if (local !== null || !isRedisReady()) return local;
+        }
+
+        try {
+            const value = await withTimeout(redisClient.get(key));
+
+            if (L1_ENABLED && value !== null) {
+                memoryCache.set(key, value, L1_TTL);
+            }
+            return value;
+        } catch (err) {
+            logger.warn(`Redis GET "${key}" failed, using the in-memory cache: ${err.message}`);
+            return memoryCache.get(key);
+        }
+    },
+
+    async set(key, value, ttlSeconds) {
+        if (L1_ENABLED) {
+            memoryCache.set(key, value, Math.min(L1_TTL, ttlSeconds));
+        }
+
+        if (!isRedisReady()) {
+            memoryCache.set(key, value, ttlSeconds);
+            return;
+        }
+
+        try {
+            await withTimeout(redisClient.set(key, value, 'EX', ttlSeconds));
+        } catch (err) {
+            logger.warn(`Redis SET "${key}" failed, keeping it in memory: ${err.message}`);
+            memoryCache.set(key, value, ttlSeconds);
+        }
+    },
+
+    // Which tier currently serves the cache, for status endpoints and logs
+    status() {
+        return {
+            backend: isRedisReady() ? 'redis' : 'memory',
+            l1_enabled: L1_ENABLED,
+            memory_entries: memoryCache.size,
+            memory_max_entries: MEMORY_MAX_ENTRIES
+        };
+    }
+};
+
+export default cacheStore;
@@ -0,0 +1,147 @@
+/*
+██████╗ ██╗███████╗██╗  ██╗     ██████╗ █████╗  ██████╗██╗  ██╗███████╗
+██╔══██╗██║██╔════╝██║ ██╔╝    ██╔════╝██╔══██╗██╔════╝██║  ██║██╔════╝
+██║  ██║██║███████╗█████╔╝     ██║     ███████║██║     ███████║█████╗
+██║  ██║██║╚════██║██╔═██╗     ██║     ██╔══██║██║     ██╔══██║██╔══╝
+██████╔╝██║███████║██║  ██╗    ╚██████╗██║  ██║╚██████╗██║  ██║███████╗
+╚═════╝ ╚═╝╚══════╝╚═╝  ╚═╝     ╚═════╝╚═╝  ╚═╝ ╚═════╝╚═╝  ╚═╝╚══════╝
+*/
+
+// Size-bounded LRU of files on local disk, used for proxied image bytes.
+// The index lives in memory (a Map in least recently used order, like memoryCache.js) and is
+// rebuilt from the directory on first use, oldest modification time first.
+// Files are written to a temporary name and renamed once complete, so readers never see half a file.
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import { finished } from 'stream/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+
+const TEMP_SUFFIX = '.tmp';
+
+export default class DiskCache {
+    constructor(directory, maxBytes) {
+        this.directory = directory;
+        this.maxBytes = maxBytes;
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.ready = null;
+    }
+
+    fileOf(key) {
+        return path.join(this.directory, createHash('sha256').update(key).digest('hex'));
+    }
+
+    // Loads the index once, leftovers of interrupted writes are removed.
+    // A failed load is forgotten so the next call tries again (e.g. a volume mounted late).
+    init() {
+        this.ready ??= this.load().catch(err => {
+            this.ready = null;
+            throw err;
+        });
+
+        return this.ready;
+    }
+
+    async load() {
+        await fsp.mkdir(this.directory, { recursive: true });
+
+        const names = await fsp.readdir(this.directory);
+        const files = [];
+
+        for (const name of names) {
+            const file = path.join(this.directory, name);
+
+            if (name.endsWith(TEMP_SUFFIX)) {
+                await fsp.rm(file, { force: true });
+                continue;
+            }
+
+            // Gone since readdir listed it, nothing to index
+            const stats = await fsp.stat(file).catch(() => null);
+            if (stats?.isFile()) files.push({ file, size: stats.size, mtime: stats.mtimeMs });
+        }
+
+        files.sort((a, b) => a.mtime - b.mtime);
+        for (const { file, size } of files) this.track(file, size);
+
+        logger.info(`Disk cache ${this.directory}: ${files.length} files, ${this.totalBytes} bytes`);
+        await this.evict();
+    }
+
+    track(file, size) {
+        this.totalBytes -= this.entries.get(file) || 0;
+        this.entries.delete(file);
+        this.entries.set(file, size);
+        this.totalBytes += size;
+    }
+
+    /**
+     * Path and size of the cached file of `key`, null on a miss. Marks it as most recently used.
+     */
+    async get(key) {
+        await this.init();
+
+        const file = this.fileOf(key);
+        const size = this.entries.get(file);
+        if (size === undefined) return null;
+
+        this.track(file, size);
+        // Keeps the LRU order across restarts
+        const now = new Date();
+        fsp.utimes(file, now, now).catch(() => {});
+
+        return { file, size };
+    }
+
+    // Drops `key` from the index, e.g. when its file went missing
+    forget(key) {
+        const file = this.fileOf(key);
+        this.totalBytes -= this.entries.get(file) || 0;
+        this.entries.delete(file);
+    }
+
+    /**
+     * Opens a write stream for `key`. Call `commit()` once every byte went through it
+     * (it ends the stream unless a pipe already did), or `abort()` to throw the partial file away.
+     */
+    async writer(key) {
+        await this.init();
+
+        const file = this.fileOf(key);
+        const temp = `${file}.${randomUUID()}${TEMP_SUFFIX}`;
+        const stream = fs.createWriteStream(temp);
+
+        return {
+            stream,
+            commit: async () => {
+                if (!stream.writableEnded) stream.end();
+                await finished(stream);
+                const { size } = await fsp.stat(temp);
+                await fsp.rename(temp, file);
+                this.track(file, size);
+                await this.evict();
+            },
+            abort: async () => {
+                stream.destroy();
+                await fsp.rm(temp, { force: true });
+            }
+        };
+    }
+
+    // Drops least recently used files until the cache fits its bound again
+    async evict() {
+        while (this.totalBytes > this.maxBytes && this.entries.size) {
+            const [file, size] = this.entries.entries().next().value;
+            this.entries.delete(file);
+            this.totalBytes -= size;
+            await fsp.rm(file, { force: true }).catch(err => logger.warn(`Disk cache could not remove ${file}: ${err.message}`));
+        }
+    }
+
+    get size() {
+        return { files: this.entries.size, bytes: this.totalBytes };
+    }
+}
@@ -0,0 +1,58 @@
+/*
+███╗   ███╗███████╗███╗   ███╗ ██████╗ ██████╗ ██╗   ██╗     ██████╗ █████╗  ██████╗██╗  ██╗███████╗
+████╗ ████║██╔════╝████╗ ████║██╔═══██╗██╔══██╗╚██╗ ██╔╝    ██╔════╝██╔══██╗██╔════╝██║  ██║██╔════╝
+██╔████╔██║█████╗  ██╔████╔██║██║   ██║██████╔╝ ╚████╔╝     ██║     ███████║██║     ███████║█████╗
+██║╚██╔╝██║██╔══╝  ██║╚██╔╝██║██║   ██║██╔══██╗  ╚██╔╝      ██║     ██╔══██║██║     ██╔══██║██╔══╝
+██║ ╚═╝ ██║███████╗██║ ╚═╝ ██║╚██████╔╝██║  ██║   ██║       ╚██████╗██║  ██║╚██████╗██║  ██║███████╗
+╚═╝     ╚═╝╚══════╝╚═╝     ╚═╝ ╚═════╝ ╚═╝  ╚═╝   ╚═╝        ╚═════╝╚═╝  ╚═╝ ╚═════╝╚═╝  ╚═╝╚══════╝
+*/
+
+// Bounded in-process LRU with per-entry expiry.
+// A Map keeps insertion order, so re-inserting on every read keeps the least recently used key first.
+
+export default class MemoryCache {
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    // Remaining lifetime of a key in seconds, 0 when missing
+    ttl(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return 0;
+        return Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+    }
+
+    set(key, value, ttlSeconds) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        // Evict least recently used keys once over the bound
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
@@ -0,0 +1,146 @@
+/*
+██████╗  █████╗ ████████╗███████╗    ██╗     ██╗███╗   ███╗██╗████████╗    ███████╗████████╗ ██████╗ ██████╗ ███████╗
+██╔══██╗██╔══██╗╚══██╔══╝██╔════╝    ██║     ██║████╗ ████║██║╚══██╔══╝    ██╔════╝╚══██╔══╝██╔═══██╗██╔══██╗██╔════╝
+██████╔╝███████║   ██║   █████╗      ██║     ██║██╔████╔██║██║   ██║       ███████╗   ██║   ██║   ██║██████╔╝█████╗
+██╔══██╗██╔══██║   ██║   ██╔══╝      ██║     ██║██║╚██╔╝██║██║   ██║       ╚════██║   ██║   ██║   ██║██╔══██╗██╔══╝
+██║  ██║██║  ██║   ██║   ███████╗    ███████╗██║██║ ╚═╝ ██║██║   ██║       ███████║   ██║   ╚██████╔╝██║  ██║███████╗
+╚═╝  ╚═╝╚═╝  ╚═╝   ╚═╝   ╚══════╝    ╚══════╝╚═╝╚═╝     ╚═╝╚═╝   ╚═╝       ╚══════╝   ╚═╝    ╚═════╝ ╚═╝  ╚═╝╚══════╝
+*/
+
+// express-rate-limit store shared by every instance through Redis.
+// Sliding window counter: each client gets one counter per fixed window, and the count used
+// is the current window plus the part of the previous window that still overlaps the last
+// `windowMs`. That smooths out the burst a fixed window allows around its boundary.
+//  ratelimit_<name>_<client>_<window number>   -> requests in that window, expires after 2 windows
+// While Redis is unreachable every instance counts locally, so each one grants the full allowance
+// again until Redis is back.
+
+import logger from '../utils/logger.js';
+import redisClient, { isRedisReady, withTimeout } from './redisClient.js';
+
+export default class SlidingWindowStore {
+    // `name` keeps the counters of each limiter apart
+    constructor(name) {
+        this.name = name;
+        // Also tells express-rate-limit the limiters count different things
+        this.prefix = `ratelimit_${name}_`;
+        this.windowMs = 60 * 1000;
+        // Counters live in Redis, express-rate-limit must not assume they are per process
+        this.localKeys = false;
+        // client -> { window, current, previous }
+        this.local = new Map();
+        this.lastSweep = 0;
+        this.redisFailing = false;
+    }
+
+    // Called by express-rate-limit with the limiter options
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    counterKey(client, window) {
+        return `${this.prefix}${client}_${window}`;
+    }
+
+    // Requests in the last `windowMs`, weighting the previous window by how much of it still overlaps
+    weigh(current, previous, now, window) {
+        const overlap = 1 - (now - window * this.windowMs) / this.windowMs;
+        return current + Math.floor(previous * overlap);
+    }
+
+    async increment(client) {
+        const now = Date.now();
+        const window = Math.floor(now / this.windowMs);
+        const counts = await this.incrementShared(client, window) || this.incrementLocal(client, window, now);
+
+        return {
+            totalHits: this.weigh(counts.current, counts.previous, now, window),
+            resetTime: new Date((window + 1) * this.windowMs)
+        };
+    }
+
+    /* ============================================ */
+    /*                 Redis                        */
+    /* ============================================ */
+    // Counts in Redis, null when Redis can't be used. MULTI makes the increment and the read atomic.
+    async incrementShared(client, window) {
+        if (!isRedisReady()) return null;
+
+        const key = this.counterKey(client, window);
+        try {
+            const [[, current], , [, previous]] = await withTimeout(redisClient.multi()
+                .incr(key)
+                .pexpire(key, this.windowMs * 2)
+                .get(this.counterKey(client, window - 1))
+                .exec());
+
+            if (this.redisFailing) {
+                logger.info(`Rate limiter "${this.name}" is sharing its counters through Redis again`);
+                this.redisFailing = false;
+            }
+            return { current: Number(current), previous: Number(previous) || 0 };
+        } catch (err) {
+            // Only log the first failure, every request would log it otherwise
+            if (!this.redisFailing) {
+                logger.warn(`Rate limiter "${this.name}" can't reach Redis, limiting per instance: ${err.message}`);
+                this.redisFailing = true;
+            }
+            return null;
+        }
+    }
+
+    /* ============================================ */
+    /*                 Local fallback               */
+    /* ============================================ */
+    incrementLocal(client, window, now) {
+        this.sweep(window, now);
+
+        const entry = this.local.get(client);
+        let counts;
+        if (entry?.window === window) {
+            counts = { current: entry.current + 1, previous: entry.previous };
+        } else {
+            // The old current window is the new previous one when it just ended
+            counts = { current: 1, previous: entry?.window === window - 1 ? entry.current : 0 };
+        }
+
+        this.local.set(client, { window, ...counts });
+        return counts;
+    }
+
+    // Drops clients that went quiet for more than a window, at most once per window
+    sweep(window, now) {
+        if (now - this.lastSweep < this.windowMs) return;
+        this.lastSweep = now;
+
+        for (const [client, entry] of this.local) {
+            if (entry.window < window - 1) this.local.delete(client);
+        }
+    }
+
+    async decrement(client) {
+        const window = Math.floor(Date.now() / this.windowMs);
+
+        const entry = this.local.get(client);
+        if (entry?.window === window && entry.current > 0) entry.current--;
+
+        if (!isRedisReady()) return;
+        try {
+            await withTimeout(redisClient.decr(this.counterKey(client, window)));
+        } catch {
+            // The counter expires on its own
+        }
+    }
+
+    async resetKey(client) {
+        this.local.delete(client);
+
+        if (!isRedisReady()) return;
+        const window = Math.floor(Date.now() / this.windowMs);
+        try {
+            await withTimeout(redisClient.del(this.counterKey(client, window), this.counterKey(client, window - 1)));
+        } catch {
+            // The counters expire on their own
+        }
+    }
+}
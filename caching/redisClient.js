@@ -8,15 +8,62 @@
 */
 
 import Redis from "ioredis";
+import logger from '../utils/logger.js';
+
+// Set REDIS_ENABLED=false to run without Redis at all (e.g. local development)
+export const redisEnabled = process.env.REDIS_ENABLED !== 'false';
 
 const redisClient = new Redis({
     host: process.env.REDIS_HOST || '127.0.0.1',
     port: process.env.REDIS_PORT || 6379,
-    password: process.env.REDIS_PASSWORD
+    password: process.env.REDIS_PASSWORD,
+    lazyConnect: !redisEnabled,
+    // Fail commands right away while disconnected instead of queueing them,
+    // callers fall back to the in-memory cache
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+    // Keep trying to reconnect, backing off up to 10 seconds
+    retryStrategy: (times) => Math.min(times * 500, 10000)
 });
 
+// Only log the first error of an outage, reconnect attempts would flood the logs otherwise
+let connectionLost = false;
+
 redisClient.on('error', (err) => {
-    console.error('Redis error: ', err);
+    if (!connectionLost) {
+        connectionLost = true;
+        logger.error(`Redis error: ${err.message}. Falling back to the in-memory cache until it is back.`);
+    }
 });
 
-export default redisClient;
\ No newline at end of file
+redisClient.on('ready', () => {
+    if (connectionLost) {
+        logger.info('Redis connection restored 🎉');
+    }
+    connectionLost = false;
+});
+
+if (!redisEnabled) {
+    logger.info('Redis is disabled (REDIS_ENABLED=false), using the in-memory cache only');
+}
+
+// True when commands can be sent to Redis right now
+export const isRedisReady = () => redisEnabled && redisClient.status === 'ready';
+
+// A hung Redis command must never hang the request
+const REDIS_TIMEOUT_MS = parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS, 10) || 500;
+
+/**
+ * Rejects with `message` when `promise` hasn't settled within `ms`, the timer is cleared as soon as it has.
+ * Defaults to the Redis command timeout, other callers pass their own.
+ */
+export const withTimeout = (promise, ms = REDIS_TIMEOUT_MS, message = `Redis command timed out after ${ms}ms`) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+export default redisClient;
@@ -0,0 +1,72 @@
+/*
+ ██████╗ █████╗  ██████╗██╗  ██╗███████╗     ██████╗ ██████╗ ███╗   ██╗███████╗██╗ ██████╗
+██╔════╝██╔══██╗██╔════╝██║  ██║██╔════╝    ██╔════╝██╔═══██╗████╗  ██║██╔════╝██║██╔════╝
+██║     ███████║██║     ███████║█████╗      ██║     ██║   ██║██╔██╗ ██║█████╗  ██║██║  ███╗
+██║     ██╔══██║██║     ██╔══██║██╔══╝      ██║     ██║   ██║██║╚██╗██║██╔══╝  ██║██║   ██║
+╚██████╗██║  ██║╚██████╗██║  ██║███████╗    ╚██████╗╚██████╔╝██║ ╚████║██║     ██║╚██████╔╝
+ ╚═════╝╚═╝  ╚═╝ ╚═════╝╚═╝  ╚═╝╚══════╝     ╚═════╝ ╚═════╝ ╚═╝  ╚═══╝╚═╝     ╚═╝ ╚═════╝
+*/
+
+/* ====================================================== */
+/*                  Default cache windows                 */
+/* ====================================================== */
+// fresh: seconds an entry is served as is
+// stale: extra seconds an expired entry is still served while it gets refreshed,
+//        or when the upstream call fails
+const DEFAULT_FRESH = 3600;
+const DEFAULT_STALE = 24 * 3600;
+
+/* ====================================================== */
+/*                  Per endpoint cache windows            */
+/* ====================================================== */
+const cacheTtls = {
+    trending_movies: { fresh: 3600, stale: 6 * 3600 },
+    popular_movies: { fresh: 3600, stale: DEFAULT_STALE },
+    upcoming_movies: { fresh: 3600, stale: DEFAULT_STALE },
+    search_movies: { fresh: 3600, stale: DEFAULT_STALE },
+    movie_images: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+    movie_details: { fresh: 6 * 3600, stale: 7 * 24 * 3600 },
+    calendar_movies: { fresh: 6 * 3600, stale: DEFAULT_STALE },
+
+    trending_tv: { fresh: 3600, stale: 6 * 3600 },
+    popular_tv: { fresh: 3600, stale: DEFAULT_STALE },
+    search_tv: { fresh: 3600, stale: DEFAULT_STALE },
+    tv_images: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+    // Short enough for airing shows (next_episode_to_air and new episodes change weekly), applied to every show
+    tv_details: { fresh: 6 * 3600, stale: 7 * 24 * 3600 },
+    tv_season: { fresh: 6 * 3600, stale: 7 * 24 * 3600 },
+    tv_episode: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+
+    trending_anime: { fresh: 3600, stale: 6 * 3600 },
+    popular_anime: { fresh: 3600, stale: DEFAULT_STALE },
+    upcoming_anime: { fresh: 3600, stale: DEFAULT_STALE },
+    search_anime: { fresh: 3600, stale: DEFAULT_STALE },
+    anime_details: { fresh: 6 * 3600, stale: 7 * 24 * 3600 },
+    anime_episodes: { fresh: 6 * 3600, stale: 7 * 24 * 3600 },
+    anime_characters: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+    anime_staff: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+    anime_schedule: { fresh: 6 * 3600, stale: DEFAULT_STALE },
+    recommendations: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+    // Genre lists barely ever change
+    genres: { fresh: 7 * 24 * 3600, stale: 30 * 24 * 3600 },
+    // Scored MAL <-> TMDB candidates, confirmed mappings are stored apart (see mapping/mappingStore.js)
+    anime_mapping: { fresh: 24 * 3600, stale: 7 * 24 * 3600 }
+};
+
+/* ====================================================== */
+/*                  Lookup                                */
+/* ====================================================== */
+// Every window can be overridden through the environment, e.g.
+// CACHE_FRESH_TRENDING_ANIME=600 or CACHE_STALE_SEARCH_MOVIES=0
+const fromEnv = (prefix, name, fallback) => {
+    const value = parseInt(process.env[`${prefix}_${name.toUpperCase()}`], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+export const getCacheTtl = (name) => {
+    const ttl = cacheTtls[name] || { fresh: DEFAULT_FRESH, stale: DEFAULT_STALE };
+    return {
+        fresh: fromEnv('CACHE_FRESH', name, ttl.fresh),
+        stale: fromEnv('CACHE_STALE', name, ttl.stale)
+    };
+};
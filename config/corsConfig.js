@@ -13,7 +13,8 @@ import cors from 'cors';
 const corsConfig = cors({
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : "*",
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept-Version', 'X-API-Key'],
+    exposedHeaders: ['API-Version', 'X-Quota-Daily-Limit', 'X-Quota-Daily-Remaining', 'X-Quota-Monthly-Limit', 'X-Quota-Monthly-Remaining']
 });
 
 export default corsConfig;
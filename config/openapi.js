@@ -0,0 +1,765 @@
+/*
+ ██████╗ ██████╗ ███████╗███╗   ██╗ █████╗ ██████╗ ██╗
+██╔═══██╗██╔══██╗██╔════╝████╗  ██║██╔══██╗██╔══██╗██║
+██║   ██║██████╔╝█████╗  ██╔██╗ ██║███████║██████╔╝██║
+██║   ██║██╔═══╝ ██╔══╝  ██║╚██╗██║██╔══██║██╔═══╝ ██║
+╚██████╔╝██║     ███████╗██║ ╚████║██║  ██║██║     ██║
+ ╚═════╝ ╚═╝     ╚══════╝╚═╝  ╚═══╝╚═╝  ╚═╝╚═╝     ╚═╝
+*/
+
+// OpenAPI 3.1 document of the movie, TV show and anime endpoints, served at /openapi.json
+// and rendered by public/docs.html. Allowed values come from the routes themselves so the
+// enums can't drift; `npm run check:openapi` makes sure every route has a path here and back.
+
+import { SUPPORTED_API_VERSIONS } from '../middlewares/apiVersion.js';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../middlewares/locale.js';
+import { IMAGE_SIZES } from '../utils/imageSizes.js';
+import { TIME_WINDOWS, MOVIE_INCLUDES } from '../routes/movies.js';
+import {
+    SEASON_FILTERS,
+    TOP_FILTERS,
+    ANIME_TYPES,
+    ANIME_STATUSES,
+    ANIME_RATINGS,
+    ANIME_ORDER_BY,
+    SORT_DIRECTIONS
+} from '../routes/anime.js';
+
+/* ============================================ */
+/*                 Helpers                      */
+/* ============================================ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const parameterRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const nullable = (type, extra = {}) => ({ type: [type, 'null'], ...extra });
+const arrayOf = (items) => ({ type: 'array', items });
+
+const query = (name, schema, description, extra = {}) => ({ name, in: 'query', required: false, schema, description, ...extra });
+const path = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+
+// Jikan takes these as bare flags, any value turns them on
+const flag = (name, description) => query(name, { type: 'boolean' }, description);
+
+const tmdbId = (what) => path('id', { type: 'integer', minimum: 1 }, `Numeric TMDB id of the ${what}.`);
+const malId = path('id', { type: 'integer', minimum: 1 }, 'Numeric MyAnimeList id of the anime.');
+
+// Image options and the API version apply to every endpoint
+const COMMON_PARAMETERS = ['ApiVersion', 'ImageSize', 'ImageSrcset', 'ImageProxy'].map(parameterRef);
+const LOCALE_PARAMETERS = ['Language', 'Region', 'AcceptLanguage'].map(parameterRef);
+
+// Response body of API v2: { data, pagination, meta }
+const envelope = (data, paginated) => ({
+    type: 'object',
+    required: ['data', 'pagination', 'meta'],
+    properties: {
+        data,
+        pagination: paginated ? ref('Pagination') : { type: 'null' },
+        meta: ref('Meta')
+    }
+});
+
+/**
+ * One GET operation with the parameters and error responses every endpoint shares.
+ * @param {{ tag: string, summary: string, description?: string, parameters?: object[], data: object,
+ *           paginated?: boolean, localized?: boolean }} options
+ */
+const operation = ({ tag, summary, description, parameters = [], data, paginated = false, localized = false }) => ({
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    parameters: [...parameters, ...(localized ? LOCALE_PARAMETERS : []), ...COMMON_PARAMETERS],
+    responses: {
+        200: {
+            description: 'Success. API v1 sends the legacy body of the endpoint instead of the envelope.',
+            content: { 'application/json': { schema: envelope(data, paginated) } }
+        },
+        400: responseRef('ValidationError'),
+        404: responseRef('NotFound'),
+        429: responseRef('RateLimited'),
+        502: responseRef('UpstreamUnavailable'),
+        503: responseRef('UpstreamRateLimited'),
+        504: responseRef('UpstreamTimeout')
+    }
+});
+
+const page = query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number. Pages past the last one answer 404 with an empty `data` list.');
+const animeLimit = query('limit', { type: 'integer', minimum: 1, maximum: 25, default: 25 }, 'Results per page.');
+
+/* ============================================ */
+/*                 Movies                       */
+/* ============================================ */
+const trendingMovies = (withWindow) => operation({
+    tag: 'Movies',
+    summary: 'Trending movies',
+    description: `Movies trending over the last day or week (default \`week\`).`,
+    parameters: withWindow ? [path('time_window', { type: 'string', enum: TIME_WINDOWS }, 'Trending window.')] : [],
+    data: arrayOf(ref('Movie')),
+    localized: true
+});
+
+const moviePaths = {
+    '/trending/movies': { get: trendingMovies(false) },
+    '/trending/movies/{time_window}': { get: trendingMovies(true) },
+    '/popular/movies': {
+        get: operation({
+            tag: 'Movies',
+            summary: 'Popular movies',
+            description: 'A `region` narrows the list to movies popular in that country.',
+            parameters: [page],
+            data: arrayOf(ref('Movie')),
+            paginated: true,
+            localized: true
+        })
+    },
+    '/upcoming/movies': {
+        get: operation({
+            tag: 'Movies',
+            summary: 'Upcoming movies',
+            description: 'A `region` uses the release dates of that country.',
+            parameters: [page],
+            data: arrayOf(ref('Movie')),
+            paginated: true,
+            localized: true
+        })
+    },
+    '/search/movies': {
+        get: operation({
+            tag: 'Movies',
+            summary: 'Search movies',
+            parameters: [
+                query('query', { type: 'string', minLength: 1 }, 'Text to search for.', { required: true }),
+                page,
+                query('primary_release_year', { type: 'integer' }, 'Only movies first released that year.'),
+                query('year', { type: 'integer' }, 'Only movies with any release that year.'),
+                query('include_adult', { type: 'boolean', default: false }, 'Include adult movies.')
+            ],
+            data: arrayOf(ref('Movie')),
+            paginated: true,
+            localized: true
+        })
+    },
+    '/movies/{id}': {
+        get: operation({
+            tag: 'Movies',
+            summary: 'Movie details',
+            description: 'Runtime, genres, collection, companies and the certification of every region. '
+                + '`certification` is the one of `region` (default `US`).',
+            parameters: [
+                tmdbId('movie'),
+                query('include', arrayOf({ type: 'string', enum: MOVIE_INCLUDES }), 'Extra blocks to add, comma separated.', { style: 'form', explode: false })
+            ],
+            data: ref('MovieDetails'),
+            localized: true
+        })
+    },
+    '/images/movie/{id}': {
+        get: operation({
+            tag: 'Movies',
+            summary: 'Movie images',
+            description: 'Backdrops and posters, the ones in the requested language first, then English and textless ones.',
+            parameters: [tmdbId('movie')],
+            data: ref('Images'),
+            localized: true
+        })
+    }
+};
+
+/* ============================================ */
+/*                 TV shows                     */
+/* ============================================ */
+const trendingTv = (withWindow) => operation({
+    tag: 'TV shows',
+    summary: 'Trending TV shows',
+    description: `TV shows trending over the last day or week (default \`week\`).`,
+    parameters: withWindow ? [path('time_window', { type: 'string', enum: TIME_WINDOWS }, 'Trending window.')] : [],
+    data: arrayOf(ref('TvShow')),
+    localized: true
+});
+
+const seasonNumber = path('season', { type: 'integer', minimum: 0 }, 'Season number, 0 holds the specials.');
+
+const tvPaths = {
+    '/trending/tv': { get: trendingTv(false) },
+    '/trending/tv/{time_window}': { get: trendingTv(true) },
+    '/popular/tv': {
+        get: operation({
+            tag: 'TV shows',
+            summary: 'Popular TV shows',
+            description: 'TMDB ranks TV shows worldwide, a `region` is refused with a `VALIDATION_ERROR`.',
+            parameters: [page],
+            data: arrayOf(ref('TvShow')),
+            paginated: true,
+            localized: true
+        })
+    },
+    '/search/tv': {
+        get: operation({
+            tag: 'TV shows',
+            summary: 'Search TV shows',
+            parameters: [
+                query('query', { type: 'string', minLength: 1 }, 'Text to search for.', { required: true }),
+                page,
+                query('first_air_date_year', { type: 'integer' }, 'Only shows that first aired that year.'),
+                query('year', { type: 'integer' }, 'Only shows with an episode airing that year.'),
+                query('include_adult', { type: 'boolean', default: false }, 'Include adult shows.')
+            ],
+            data: arrayOf(ref('TvShow')),
+            paginated: true,
+            localized: true
+        })
+    },
+    '/tv/{id}': {
+        get: operation({
+            tag: 'TV shows',
+            summary: 'TV show details',
+            description: 'Networks, creators, seasons and a `next_episode_to_air` summary.',
+            parameters: [tmdbId('TV show')],
+            data: ref('TvDetails'),
+            localized: true
+        })
+    },
+    '/tv/{id}/season/{season}': {
+        get: operation({
+            tag: 'TV shows',
+            summary: 'TV season',
+            parameters: [tmdbId('TV show'), seasonNumber],
+            data: ref('Season'),
+            localized: true
+        })
+    },
+    '/tv/{id}/season/{season}/episode/{episode}': {
+        get: operation({
+            tag: 'TV shows',
+            summary: 'TV episode',
+            description: 'The episode with its crew, guest stars and stills.',
+            parameters: [
+                tmdbId('TV show'),
+                seasonNumber,
+                path('episode', { type: 'integer', minimum: 1 }, 'Episode number within the season.')
+            ],
+            data: ref('EpisodeDetails'),
+            localized: true
+        })
+    },
+    '/images/tv/{id}': {
+        get: operation({
+            tag: 'TV shows',
+            summary: 'TV show images',
+            description: 'Backdrops and posters, the ones in the requested language first, then English and textless ones.',
+            parameters: [tmdbId('TV show')],
+            data: ref('Images'),
+            localized: true
+        })
+    }
+};
+
+/* ============================================ */
+/*                 Anime                        */
+/* ============================================ */
+const seasonParameters = [
+    page,
+    animeLimit,
+    query('filter', { type: 'string', enum: SEASON_FILTERS }, 'Only this kind of anime.'),
+    flag('sfw', 'Leave out adult entries.'),
+    flag('unapproved', 'Include entries not approved by MyAnimeList yet.'),
+    flag('continuing', 'Include shows continuing from previous seasons.')
+];
+
+const animePaths = {
+    '/trending/anime': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Trending anime',
+            description: 'Anime of the current season.',
+            parameters: seasonParameters,
+            data: arrayOf(ref('Anime')),
+            paginated: true
+        })
+    },
+    '/popular/anime': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Popular anime',
+            description: 'Top anime of MyAnimeList.',
+            parameters: [
+                page,
+                animeLimit,
+                query('type', { type: 'string', enum: ANIME_TYPES }, 'Only this type of anime.'),
+                query('filter', { type: 'string', enum: TOP_FILTERS }, 'Ranking to use.'),
+                query('rating', { type: 'string', enum: ANIME_RATINGS }, 'Only this audience rating.'),
+                flag('sfw', 'Leave out adult entries.')
+            ],
+            data: arrayOf(ref('Anime')),
+            paginated: true
+        })
+    },
+    '/upcoming/anime': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Upcoming anime',
+            description: 'Anime of the next season.',
+            parameters: seasonParameters,
+            data: arrayOf(ref('Anime')),
+            paginated: true
+        })
+    },
+    '/search/anime': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Search anime',
+            description: 'Results are Jikan anime objects as is.',
+            parameters: [
+                query('q', { type: 'string' }, 'Text to search for.'),
+                page,
+                animeLimit,
+                query('type', { type: 'string', enum: ANIME_TYPES }, 'Only this type of anime.'),
+                query('score', { type: 'number', minimum: 0, maximum: 10 }, 'Exact score.'),
+                query('min_score', { type: 'number', minimum: 0, maximum: 10 }, 'Lowest score.'),
+                query('max_score', { type: 'number', minimum: 0, maximum: 10 }, 'Highest score.'),
+                query('status', { type: 'string', enum: ANIME_STATUSES }, 'Airing status.'),
+                query('rating', { type: 'string', enum: ANIME_RATINGS }, 'Audience rating.'),
+                flag('sfw', 'Leave out adult entries.'),
+                query('genres', { type: 'string' }, 'Comma separated MyAnimeList genre ids to include.'),
+                query('genres_exclude', { type: 'string' }, 'Comma separated MyAnimeList genre ids to leave out.'),
+                query('order_by', { type: 'string', enum: ANIME_ORDER_BY }, 'Field to sort on.'),
+                query('sort', { type: 'string', enum: SORT_DIRECTIONS, default: 'desc' }, 'Sort direction.'),
+                query('letter', { type: 'string', maxLength: 1 }, 'Only titles starting with this letter.'),
+                query('producers', { type: 'string' }, 'Comma separated MyAnimeList producer ids.'),
+                query('start_date', { type: 'string' }, 'Aired on or after, `YYYY`, `YYYY-MM` or `YYYY-MM-DD`.'),
+                query('end_date', { type: 'string' }, 'Aired on or before, `YYYY`, `YYYY-MM` or `YYYY-MM-DD`.'),
+                flag('unapproved', 'Include entries not approved by MyAnimeList yet.')
+            ],
+            data: arrayOf(ref('JikanAnime')),
+            paginated: true
+        })
+    },
+    '/search/anime/{id}': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Anime details',
+            description: 'The Jikan anime object with its pictures and videos.',
+            parameters: [malId],
+            data: ref('AnimeDetails')
+        })
+    },
+    '/anime/{id}/episodes': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Anime episodes',
+            description: '100 episodes per page, each flagged as filler and/or recap.',
+            parameters: [malId, page],
+            data: arrayOf(ref('AnimeEpisode')),
+            paginated: true
+        })
+    },
+    '/anime/{id}/characters': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Anime characters',
+            description: 'Characters with their role and voice actors.',
+            parameters: [malId],
+            data: arrayOf(ref('Character'))
+        })
+    },
+    '/anime/{id}/staff': {
+        get: operation({
+            tag: 'Anime',
+            summary: 'Anime staff',
+            parameters: [malId],
+            data: arrayOf(ref('Staff'))
+        })
+    }
+};
+
+/* ============================================ */
+/*                 Parameters                   */
+/* ============================================ */
+const parameters = {
+    ApiVersion: query('api_version', { type: 'integer', enum: SUPPORTED_API_VERSIONS },
+        'API version, also taken from a `/v2` path prefix or the `Accept-Version` header. This document describes v2.'),
+    ImageSize: query('image_size', { type: 'string', enum: IMAGE_SIZES, default: 'original' }, 'Size of every image URL.'),
+    ImageSrcset: query('image_srcset', { type: 'boolean', default: false }, 'Adds a `*_srcset` object with several sizes next to every image.'),
+    ImageProxy: query('image_proxy', { type: 'boolean' }, 'Points image URLs at the `/img` proxy of this API.'),
+    Language: query('language', { type: 'string', examples: ['de-DE', 'de'] },
+        `Language of titles, overviews and images (default \`${DEFAULT_LANGUAGE}\`). Supported: ${SUPPORTED_LANGUAGES.join(', ')}. `
+        + 'A bare language code picks its first supported variant.'),
+    Region: query('region', { type: 'string', pattern: '^[A-Za-z]{2}$', examples: ['DE'] }, 'ISO 3166-1 country code.'),
+    AcceptLanguage: {
+        name: 'Accept-Language',
+        in: 'header',
+        required: false,
+        schema: { type: 'string' },
+        description: 'Used when no `language` is given, the best supported match wins.'
+    }
+};
+
+/* ============================================ */
+/*                 Schemas                      */
+/* ============================================ */
+const imagePath = nullable('string', { format: 'uri' });
+
+const schemas = {
+    Pagination: {
+        type: 'object',
+        properties: {
+            page: { type: 'integer' },
+            per_page: { type: 'integer' },
+            total_pages: { type: 'integer' },
+            total_results: nullable('integer'),
+            has_next_page: { type: 'boolean' }
+        }
+    },
+    Meta: {
+        type: 'object',
+        description: 'Always has `api_version`, the rest depends on the endpoint.',
+        properties: {
+            api_version: { type: 'integer' },
+            source: { type: 'string', enum: ['tmdb', 'jikan'] },
+            language: { type: 'string' },
+            region: nullable('string'),
+            image_size: { type: 'string' },
+            message: { type: 'string' }
+        },
+        additionalProperties: true
+    },
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message', 'request_id'],
+                properties: {
+                    code: { type: 'string' },
+                    message: { type: 'string' },
+                    details: nullable('object', { additionalProperties: true }),
+                    request_id: { type: 'string' }
+                }
+            }
+        }
+    },
+
+    // TMDB, the upstream objects are passed through with image paths made absolute
+    Movie: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            original_title: { type: 'string' },
+            original_language: { type: 'string' },
+            overview: { type: 'string' },
+            release_date: { type: 'string' },
+            poster_path: imagePath,
+            backdrop_path: imagePath,
+            genre_ids: arrayOf({ type: 'integer' }),
+            genres: arrayOf({ type: 'string' }),
+            popularity: { type: 'number' },
+            vote_average: { type: 'number' },
+            vote_count: { type: 'integer' },
+            adult: { type: 'boolean' }
+        },
+        additionalProperties: true
+    },
+    MovieDetails: {
+        allOf: [ref('Movie'), {
+            type: 'object',
+            properties: {
+                runtime: nullable('integer'),
+                status: { type: 'string' },
+                tagline: { type: 'string' },
+                belongs_to_collection: nullable('object'),
+                production_companies: arrayOf({ type: 'object' }),
+                certifications: { type: 'object', additionalProperties: { type: 'string' }, examples: [{ US: 'PG-13', DE: '12' }] },
+                certification: nullable('string'),
+                credits: {
+                    type: 'object',
+                    description: 'With `include=credits`.',
+                    properties: { cast: arrayOf({ type: 'object' }), crew: arrayOf({ type: 'object' }) }
+                },
+                videos: { ...arrayOf({ type: 'object' }), description: 'With `include=videos`.' },
+                release_dates: { ...arrayOf({ type: 'object' }), description: 'With `include=release_dates`.' },
+                keywords: { ...arrayOf({ type: 'object' }), description: 'With `include=keywords`.' },
+                similar: { ...arrayOf(ref('Movie')), description: 'With `include=similar`.' }
+            }
+        }]
+    },
+    TvShow: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            original_name: { type: 'string' },
+            original_language: { type: 'string' },
+            overview: { type: 'string' },
+            first_air_date: { type: 'string' },
+            origin_country: arrayOf({ type: 'string' }),
+            poster_path: imagePath,
+            backdrop_path: imagePath,
+            genre_ids: arrayOf({ type: 'integer' }),
+            genres: arrayOf({ type: 'string' }),
+            popularity: { type: 'number' },
+            vote_average: { type: 'number' },
+            vote_count: { type: 'integer' }
+        },
+        additionalProperties: true
+    },
+    TvDetails: {
+        allOf: [ref('TvShow'), {
+            type: 'object',
+            properties: {
+                number_of_seasons: { type: 'integer' },
+                number_of_episodes: { type: 'integer' },
+                status: { type: 'string' },
+                created_by: arrayOf({ type: 'object' }),
+                networks: arrayOf({ type: 'object' }),
+                production_companies: arrayOf({ type: 'object' }),
+                seasons: arrayOf({ type: 'object' }),
+                last_episode_to_air: { oneOf: [ref('Episode'), { type: 'null' }] },
+                next_episode_to_air: { oneOf: [ref('NextEpisode'), { type: 'null' }] }
+            }
+        }]
+    },
+    NextEpisode: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            overview: { type: 'string' },
+            season_number: { type: 'integer' },
+            episode_number: { type: 'integer' },
+            episode_type: nullable('string'),
+            air_date: nullable('string'),
+            days_until: nullable('integer', { description: 'Whole days from today (UTC), 0 when it airs today.' }),
+            runtime: nullable('integer'),
+            still_path: imagePath
+        }
+    },
+    Season: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            overview: { type: 'string' },
+            season_number: { type: 'integer' },
+            air_date: nullable('string'),
+            poster_path: imagePath,
+            episodes: arrayOf(ref('Episode'))
+        },
+        additionalProperties: true
+    },
+    Episode: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            overview: { type: 'string' },
+            season_number: { type: 'integer' },
+            episode_number: { type: 'integer' },
+            air_date: nullable('string'),
+            runtime: nullable('integer'),
+            still_path: imagePath,
+            crew: arrayOf({ type: 'object' }),
+            guest_stars: arrayOf({ type: 'object' })
+        },
+        additionalProperties: true
+    },
+    EpisodeDetails: {
+        allOf: [ref('Episode'), {
+            type: 'object',
+            properties: { stills: arrayOf(ref('Image')) }
+        }]
+    },
+    Image: {
+        type: 'object',
+        properties: {
+            aspect_ratio: { type: 'number' },
+            height: { type: 'integer' },
+            width: { type: 'integer' },
+            iso_639_1: nullable('string', { description: 'Language of the text on the image, null when textless.' }),
+            file_path: { type: 'string', format: 'uri' }
+        }
+    },
+    Images: {
+        type: 'object',
+        properties: {
+            backdrops: arrayOf(ref('Image')),
+            posters: arrayOf(ref('Image'))
+        }
+    },
+
+    // Jikan
+    Anime: {
+        type: 'object',
+        properties: {
+            mal_id: { type: 'integer' },
+            mal_url: { type: 'string', format: 'uri' },
+            images: { ...arrayOf(imagePath), description: 'Cover, large cover and trailer thumbnail.' },
+            trailer: {
+                type: 'object',
+                properties: { yt_id: nullable('string'), yt_url: nullable('string'), embed_url: nullable('string') }
+            },
+            titles: {
+                type: 'object',
+                properties: { default_title: { type: 'string' }, japanese_title: nullable('string'), english_title: nullable('string') }
+            },
+            episodes: nullable('integer'),
+            rating: nullable('string'),
+            type: nullable('string'),
+            source: nullable('string'),
+            status: nullable('string'),
+            score: nullable('number'),
+            rank: nullable('integer'),
+            popularity: nullable('integer'),
+            synopsis: nullable('string'),
+            season: nullable('string'),
+            year: nullable('integer'),
+            genres: arrayOf({ type: 'string' }),
+            themes: arrayOf({ type: 'string' }),
+            demographics: arrayOf({ type: 'string' }),
+            explicit_genres: arrayOf({ type: 'string' })
+        }
+    },
+    JikanAnime: {
+        type: 'object',
+        description: 'Anime object of the Jikan API v4, see https://docs.api.jikan.moe.',
+        properties: {
+            mal_id: { type: 'integer' },
+            url: { type: 'string', format: 'uri' },
+            title: { type: 'string' },
+            images: { type: 'object' },
+            type: nullable('string'),
+            episodes: nullable('integer'),
+            status: nullable('string'),
+            score: nullable('number'),
+            synopsis: nullable('string')
+        },
+        additionalProperties: true
+    },
+    AnimeDetails: {
+        allOf: [ref('JikanAnime'), {
+            type: 'object',
+            properties: {
+                images_data: {
+                    type: 'object',
+                    description: '`isFetched` is false (with an `error`) when the pictures could not be fetched.',
+                    properties: {
+                        isFetched: { type: 'boolean' },
+                        jpgs: arrayOf({ type: 'object' }),
+                        webp: arrayOf({ type: 'object' }),
+                        error: { type: 'string' }
+                    }
+                },
+                videos: {
+                    type: 'object',
+                    properties: {
+                        isFetched: { type: 'boolean' },
+                        data: { type: 'object' },
+                        error: { type: 'string' }
+                    }
+                }
+            }
+        }]
+    },
+    AnimeEpisode: {
+        type: 'object',
+        properties: {
+            episode: { type: 'integer' },
+            mal_url: nullable('string'),
+            titles: {
+                type: 'object',
+                properties: { default_title: { type: 'string' }, japanese_title: nullable('string'), romanji_title: nullable('string') }
+            },
+            aired: nullable('string'),
+            score: nullable('number'),
+            filler: { type: 'boolean' },
+            recap: { type: 'boolean' },
+            forum_url: nullable('string')
+        }
+    },
+    Person: {
+        type: 'object',
+        properties: {
+            mal_id: { type: 'integer' },
+            mal_url: { type: 'string', format: 'uri' },
+            images: { ...arrayOf(imagePath), description: 'JPG and WebP picture.' },
+            name: { type: 'string' }
+        }
+    },
+    Character: {
+        allOf: [ref('Person'), {
+            type: 'object',
+            properties: {
+                role: { type: 'string' },
+                favorites: { type: 'integer' },
+                voice_actors: arrayOf({
+                    allOf: [ref('Person'), { type: 'object', properties: { language: { type: 'string' } } }]
+                })
+            }
+        }]
+    },
+    Staff: {
+        allOf: [ref('Person'), {
+            type: 'object',
+            properties: { positions: arrayOf({ type: 'string' }) }
+        }]
+    }
+};
+
+/* ============================================ */
+/*                 Error responses              */
+/* ============================================ */
+// `error.code` is the part clients should branch on
+const errorResponse = (description, code, headers) => ({
+    description: `\`${code}\`: ${description}`,
+    ...(headers && { headers }),
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+const retryAfter = { 'Retry-After': { description: 'Seconds to wait before trying again.', schema: { type: 'integer' } } };
+
+const responses = {
+    ValidationError: errorResponse('One or more parameters are missing or invalid. `details.errors` lists every one of them, `details.parameter` names the first.', 'VALIDATION_ERROR'),
+    NotFound: errorResponse('Nothing was found, or the page is past the last one.', 'NOT_FOUND'),
+    RateLimited: errorResponse('Too many requests, per client or per API key (`QUOTA_EXCEEDED` once a quota is used up).', 'RATE_LIMITED', retryAfter),
+    UpstreamUnavailable: errorResponse('TMDB or Jikan is down or answered with an error.', 'UPSTREAM_UNAVAILABLE'),
+    UpstreamRateLimited: errorResponse('TMDB or Jikan is rate limiting the API.', 'UPSTREAM_RATE_LIMITED', retryAfter),
+    UpstreamTimeout: errorResponse('TMDB or Jikan took too long to answer.', 'UPSTREAM_TIMEOUT')
+};
+
+/* ============================================ */
+/*                 Document                     */
+/* ============================================ */
+const openApiSpec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Anime & Movie API',
+        version: '1.0.0',
+        description: 'Trending, popular, upcoming and searchable anime (Jikan), movies and TV shows (TMDB).\n\n'
+            + 'Responses are described for API v2, which wraps every payload in `{ data, pagination, meta }`. '
+            + 'Ask for it with a `/v2` path prefix, `Accept-Version: 2` or `?api_version=2`; API v1 keeps sending the legacy bodies.'
+    },
+    servers: [
+        { url: '/v2', description: 'API v2' },
+        { url: '/', description: 'Default API version of the server' }
+    ],
+    tags: [
+        { name: 'Movies', description: 'Powered by TMDB' },
+        { name: 'TV shows', description: 'Powered by TMDB' },
+        { name: 'Anime', description: 'Powered by Jikan (MyAnimeList)' }
+    ],
+    // Keys are optional unless the server runs with API_KEY_REQUIRED=true
+    security: [{}, { ApiKey: [] }, { BearerKey: [] }],
+    paths: { ...moviePaths, ...tvPaths, ...animePaths },
+    components: {
+        parameters,
+        schemas,
+        responses,
+        securitySchemes: {
+            ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            BearerKey: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token.' }
+        }
+    }
+};
+
+export default openApiSpec;
@@ -0,0 +1,170 @@
+/*
+ ██████╗ ██╗   ██╗███████╗██████╗ ██╗   ██╗    ██╗     ██╗███╗   ███╗██╗████████╗███████╗
+██╔═══██╗██║   ██║██╔════╝██╔══██╗╚██╗ ██╔╝    ██║     ██║████╗ ████║██║╚══██╔══╝██╔════╝
+██║   ██║██║   ██║█████╗  ██████╔╝ ╚████╔╝     ██║     ██║██╔████╔██║██║   ██║   ███████╗
+██║▄▄ ██║██║   ██║██╔══╝  ██╔══██╗  ╚██╔╝      ██║     ██║██║╚██╔╝██║██║   ██║   ╚════██║
+╚██████╔╝╚██████╔╝███████╗██║  ██║   ██║       ███████╗██║██║ ╚═╝ ██║██║   ██║   ███████║
+ ╚══▀▀═╝  ╚═════╝ ╚══════╝╚═╝  ╚═╝   ╚═╝       ╚══════╝╚═╝╚═╝     ╚═╝╚═╝   ╚═╝   ╚══════╝
+*/
+
+// Checked on every GraphQL query before anything is fetched, so one request can't fan out into
+// hundreds of upstream calls or drain the Jikan budget the whole server shares:
+//  - depth: how deeply fields are nested (introspection doesn't count)
+//  - cost:  upstream calls the query may need, per provider, as if nothing was cached.
+//           List fields multiply what is asked for their items, e.g. `runtime` on 20 trending movies is 20 TMDB calls.
+
+import { GraphQLError, Kind, getNamedType, getArgumentValues, getVariableValues } from 'graphql';
+import { LOADED_FIELDS } from './schema.js';
+import { envInt } from '../utils/env.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const MAX_DEPTH = envInt('GRAPHQL_MAX_DEPTH', 6);
+const MAX_CALLS = {
+    tmdb: envInt('GRAPHQL_MAX_TMDB_CALLS', 50),
+    jikan: envInt('GRAPHQL_MAX_JIKAN_CALLS', 10)
+};
+
+/* ============================================ */
+/*                 Costs                        */
+/* ============================================ */
+// Upstream calls behind each loader of graphql/loaders.js
+const LOADER_COSTS = {
+    movie: { tmdb: 1 },
+    movieSimilar: { tmdb: 1 },
+    movieImages: { tmdb: 1 },
+    tvShow: { tmdb: 1 },
+    tvImages: { tmdb: 1 },
+    // The anime itself, its pictures and its videos
+    anime: { jikan: 3 }
+};
+
+// TMDB lists are pages of 20
+const TMDB_LIST = () => 20;
+
+// Root fields: what they cost themselves, which details their result already carries,
+// and how many items they return
+const ROOT_FIELDS = {
+    movie: { cost: LOADER_COSTS.movie, provides: 'movie' },
+    tv_show: { cost: LOADER_COSTS.tvShow, provides: 'tvShow' },
+    anime: { cost: LOADER_COSTS.anime, provides: 'anime' },
+    trending_movies: { cost: { tmdb: 1 }, items: TMDB_LIST },
+    trending_tv_shows: { cost: { tmdb: 1 }, items: TMDB_LIST },
+    trending_anime: { cost: { jikan: 1 }, items: args => args.limit },
+    search_movies: { cost: { tmdb: 1 }, items: TMDB_LIST },
+    search_tv_shows: { cost: { tmdb: 1 }, items: TMDB_LIST },
+    search_anime: { cost: { jikan: 1 }, items: args => args.limit }
+};
+
+// Nested lists of titles, their items need their own details
+const LIST_FIELDS = {
+    Movie: { similar: args => args.limit }
+};
+
+/* ============================================ */
+/*                 Walking the query            */
+/* ============================================ */
+const isIntrospection = name => name.startsWith('__');
+
+// Field nodes of a selection set, fragments spread in place
+const fieldsOf = (selectionSet, fragments) => selectionSet.selections.flatMap(selection => {
+    if (selection.kind === Kind.FIELD) return [selection];
+    if (selection.kind === Kind.INLINE_FRAGMENT) return fieldsOf(selection.selectionSet, fragments);
+    return fieldsOf(fragments[selection.name.value].selectionSet, fragments);
+});
+
+const depthOf = (selectionSet, fragments) => Math.max(0, ...fieldsOf(selectionSet, fragments)
+    .filter(field => !isIntrospection(field.name.value))
+    .map(field => field.selectionSet ? 1 + depthOf(field.selectionSet, fragments) : 1));
+
+const addCost = (total, cost, times) => {
+    for (const [provider, calls] of Object.entries(cost)) {
+        total[provider] += calls * times;
+    }
+};
+
+// Items never count as negative, invalid limits are refused by the resolvers anyway
+const itemCount = (items, args) => Math.max(0, items(args) || 0);
+
+/**
+ * Adds to `total` the calls needed to resolve `selectionSet` on `times` objects of `type`,
+ * whose details loader `provided` (if any) already ran.
+ */
+const costOf = (selectionSet, type, times, provided, context, total) => {
+    const loaders = new Set();
+
+    for (const field of fieldsOf(selectionSet, context.fragments)) {
+        const name = field.name.value;
+        if (isIntrospection(name)) continue;
+
+        const fieldDef = type.getFields()[name];
+        const args = getArgumentValues(fieldDef, field, context.variables);
+        const root = type === context.schema.getQueryType() ? ROOT_FIELDS[name] : null;
+
+        if (root) addCost(total, root.cost, times);
+
+        const loader = LOADED_FIELDS[type.name]?.[name];
+        if (loader && loader !== provided) loaders.add(loader);
+
+        if (field.selectionSet) {
+            const items = root?.items || LIST_FIELDS[type.name]?.[name];
+            const childTimes = items ? times * itemCount(items, args) : times;
+            costOf(field.selectionSet, getNamedType(fieldDef.type), childTimes, root?.provides, context, total);
+        }
+    }
+
+    // A loader runs once per object, however many of its fields are asked for
+    for (const loader of loaders) {
+        addCost(total, LOADER_COSTS[loader], times);
+    }
+};
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+/**
+ * Checks a validated query against the depth and cost limits.
+ * Resolves the operation like execute() does, so `operationName` and `variables` must be the request's ones.
+ * @returns {{ errors: GraphQLError[], cost: { tmdb: number, jikan: number } }}
+ */
+export function checkQueryLimits(schema, document, { operationName, variables = {} } = {}) {
+    const fragments = {};
+    const operations = [];
+
+    for (const definition of document.definitions) {
+        if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+        if (definition.kind === Kind.OPERATION_DEFINITION) operations.push(definition);
+    }
+
+    const operation = operationName
+        ? operations.find(candidate => candidate.name?.value === operationName)
+        : operations.length === 1 ? operations[0] : null;
+
+    // execute() reports a missing or ambiguous operation, and invalid variables, by itself
+    const coerced = operation && getVariableValues(schema, operation.variableDefinitions || [], variables || {});
+    if (!operation || coerced.errors) return { errors: [], cost: { tmdb: 0, jikan: 0 } };
+
+    const errors = [];
+    const complexity = (message, details) => new GraphQLError(message, { extensions: { code: 'QUERY_TOO_COMPLEX', details } });
+
+    const depth = depthOf(operation.selectionSet, fragments);
+    if (depth > MAX_DEPTH) {
+        errors.push(complexity(`The query is ${depth} levels deep, the maximum is ${MAX_DEPTH}.`, { depth, max_depth: MAX_DEPTH }));
+    }
+
+    const cost = { tmdb: 0, jikan: 0 };
+    const context = { schema, fragments, variables: coerced.coerced };
+    costOf(operation.selectionSet, schema.getQueryType(), 1, null, context, cost);
+
+    for (const [provider, calls] of Object.entries(cost)) {
+        if (calls > MAX_CALLS[provider]) {
+            errors.push(complexity(
+                `The query could need ${calls} ${provider === 'tmdb' ? 'TMDB' : 'Jikan'} calls, the maximum is ${MAX_CALLS[provider]}. Ask for fewer items or fewer detail fields.`,
+                { provider, calls, max_calls: MAX_CALLS[provider] }
+            ));
+        }
+    }
+
+    return { errors, cost };
+}
@@ -0,0 +1,81 @@
+/*
+██╗      ██████╗  █████╗ ██████╗ ███████╗██████╗ ███████╗
+██║     ██╔═══██╗██╔══██╗██╔══██╗██╔════╝██╔══██╗██╔════╝
+██║     ██║   ██║███████║██║  ██║█████╗  ██████╔╝███████╗
+██║     ██║   ██║██╔══██║██║  ██║██╔══╝  ██╔══██╗╚════██║
+███████╗╚██████╔╝██║  ██║██████╔╝███████╗██║  ██║███████║
+╚══════╝ ╚═════╝ ╚═╝  ╚═╝╚═════╝ ╚══════╝╚═╝  ╚═╝╚══════╝
+*/
+
+// Per request loaders for the GraphQL resolvers. A list of 20 trending movies asking for `runtime`
+// resolves 20 Movie.runtime fields in the same tick: the loader collects those ids, fetches each
+// of them once (the same id asked twice shares one promise) and hands every resolver its result.
+// Fetching still goes through the shared fetchers, so the Redis cache and the Jikan queue apply.
+
+import { getMovieDetails, getMovieImages } from '../routes/movies.js';
+import { getTvDetails, getTvImages } from '../routes/tvShows.js';
+import { getAnimeDetails } from '../routes/anime.js';
+
+/* ============================================ */
+/*                 Batch loader                 */
+/* ============================================ */
+export class BatchLoader {
+    /**
+     * @param {(keys: any[]) => Promise<any[]>} batchFn - resolves with one result (or Error) per key, in order
+     */
+    constructor(batchFn) {
+        this.batchFn = batchFn;
+        // key -> promise, lives as long as the request
+        this.promises = new Map();
+        this.queue = [];
+    }
+
+    load(key) {
+        if (this.promises.has(key)) return this.promises.get(key);
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ key, resolve, reject });
+
+            // Dispatch once the resolvers of this tick, and the promises they chain, had their turn
+            if (this.queue.length === 1) {
+                Promise.resolve().then(() => process.nextTick(() => this.dispatch()));
+            }
+        });
+
+        this.promises.set(key, promise);
+        return promise;
+    }
+
+    async dispatch() {
+        const batch = this.queue;
+        this.queue = [];
+
+        try {
+            const results = await this.batchFn(batch.map(job => job.key));
+            batch.forEach((job, index) => results[index] instanceof Error
+                ? job.reject(results[index])
+                : job.resolve(results[index]));
+        } catch (err) {
+            batch.forEach(job => job.reject(err));
+        }
+    }
+}
+
+// TMDB and Jikan have no multi id endpoints, a batch is one call per key. A failing key only fails its own fields.
+const eachKey = (fetchOne) => new BatchLoader(keys => Promise.all(keys.map(key => fetchOne(key).catch(err => err))));
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+/**
+ * Fresh loaders for one GraphQL request, TMDB ones in `language`.
+ * The names are the ones `LOADED_FIELDS` (graphql/schema.js) refers to.
+ */
+export const createLoaders = (language) => ({
+    movie: eachKey(id => getMovieDetails(id, [], language)),
+    movieSimilar: eachKey(id => getMovieDetails(id, ['similar'], language)),
+    movieImages: eachKey(id => getMovieImages(id, language)),
+    tvShow: eachKey(id => getTvDetails(id, language)),
+    tvImages: eachKey(id => getTvImages(id, language)),
+    anime: eachKey(id => getAnimeDetails(id))
+});
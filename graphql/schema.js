@@ -0,0 +1,317 @@
+/*
+███████╗ ██████╗██╗  ██╗███████╗███╗   ███╗ █████╗
+██╔════╝██╔════╝██║  ██║██╔════╝████╗ ████║██╔══██╗
+███████╗██║     ███████║█████╗  ██╔████╔██║███████║
+╚════██║██║     ██╔══██║██╔══╝  ██║╚██╔╝██║██╔══██║
+███████║╚██████╗██║  ██║███████╗██║ ╚═╝ ██║██║  ██║
+╚══════╝ ╚═════╝╚═╝  ╚═╝╚══════╝╚═╝     ╚═╝╚═╝  ╚═╝
+*/
+
+// GraphQL schema of the /graphql endpoint. Field names follow the REST payloads (snake_case),
+// resolvers reuse the shared fetchers of the routes, so both APIs read and fill the same cache entries.
+// Fields a list item doesn't carry (a trending movie has no `runtime`) are loaded per title through
+// the request's loaders (graphql/loaders.js), and counted by the cost limit (graphql/limits.js).
+
+import { buildSchema } from 'graphql';
+import { ValidationError } from '../utils/errors.js';
+import { tmdbPagination, jikanPagination } from '../utils/envelope.js';
+import { getTrendingMovies, searchMovies, TIME_WINDOWS } from '../routes/movies.js';
+import { getTrendingTvShows, searchTvShows } from '../routes/tvShows.js';
+import { getTrendingAnime, searchAnime, formatAnime } from '../routes/anime.js';
+
+/* ============================================ */
+/*                 Type definitions             */
+/* ============================================ */
+const typeDefs = `
+"Pagination of a list, as in the REST v2 envelope"
+type Page {
+    page: Int!
+    per_page: Int!
+    total_pages: Int
+    total_results: Int
+    has_next_page: Boolean!
+}
+
+type Image {
+    url: String!
+    width: Int
+    height: Int
+    aspect_ratio: Float
+    "ISO 639-1 language of the text on the image, null when it has none"
+    language: String
+}
+
+type Movie {
+    id: Int!
+    title: String
+    original_title: String
+    original_language: String
+    overview: String
+    release_date: String
+    poster_path: String
+    backdrop_path: String
+    popularity: Float
+    vote_average: Float
+    vote_count: Int
+    adult: Boolean
+    genres: [String!]!
+    runtime: Int
+    tagline: String
+    status: String
+    imdb_id: String
+    homepage: String
+    budget: Float
+    revenue: Float
+    "Age rating in a country, e.g. PG-13"
+    certification(region: String = "US"): String
+    posters(limit: Int = 5): [Image!]!
+    backdrops(limit: Int = 5): [Image!]!
+    similar(limit: Int = 10): [Movie!]!
+}
+
+type TvShow {
+    id: Int!
+    name: String
+    original_name: String
+    original_language: String
+    overview: String
+    first_air_date: String
+    poster_path: String
+    backdrop_path: String
+    popularity: Float
+    vote_average: Float
+    vote_count: Int
+    genres: [String!]!
+    tagline: String
+    status: String
+    in_production: Boolean
+    number_of_seasons: Int
+    number_of_episodes: Int
+    homepage: String
+    next_episode_air_date: String
+    posters(limit: Int = 5): [Image!]!
+    backdrops(limit: Int = 5): [Image!]!
+}
+
+type Anime {
+    mal_id: Int!
+    mal_url: String
+    title: String
+    title_english: String
+    title_japanese: String
+    "Large cover image"
+    image: String
+    trailer_url: String
+    type: String
+    source: String
+    status: String
+    rating: String
+    episodes: Int
+    score: Float
+    rank: Int
+    popularity: Int
+    synopsis: String
+    season: String
+    year: Int
+    genres: [String!]!
+    themes: [String!]!
+    background: String
+    duration: String
+    pictures(limit: Int = 5): [Image!]!
+}
+
+type MoviePage {
+    page: Page!
+    results: [Movie!]!
+}
+
+type TvShowPage {
+    page: Page!
+    results: [TvShow!]!
+}
+
+type AnimePage {
+    page: Page!
+    results: [Anime!]!
+}
+
+enum TimeWindow {
+    ${TIME_WINDOWS.join('\n    ')}
+}
+
+type Query {
+    movie(id: Int!): Movie
+    tv_show(id: Int!): TvShow
+    "A MyAnimeList anime"
+    anime(id: Int!): Anime
+    trending_movies(time_window: TimeWindow = week): [Movie!]!
+    trending_tv_shows(time_window: TimeWindow = week): [TvShow!]!
+    "Anime of the current season"
+    trending_anime(page: Int = 1, limit: Int = 25): AnimePage!
+    search_movies(query: String!, page: Int = 1): MoviePage!
+    search_tv_shows(query: String!, page: Int = 1): TvShowPage!
+    search_anime(query: String!, page: Int = 1, limit: Int = 25): AnimePage!
+}
+`;
+
+/* ============================================ */
+/*                 Loaded fields                */
+/* ============================================ */
+// Type -> field -> loader the field needs when the parent is a list item
+export const LOADED_FIELDS = {
+    Movie: {
+        runtime: 'movie', tagline: 'movie', status: 'movie', imdb_id: 'movie', homepage: 'movie',
+        budget: 'movie', revenue: 'movie', certification: 'movie',
+        posters: 'movieImages', backdrops: 'movieImages',
+        similar: 'movieSimilar'
+    },
+    TvShow: {
+        tagline: 'tvShow', status: 'tvShow', in_production: 'tvShow', number_of_seasons: 'tvShow',
+        number_of_episodes: 'tvShow', homepage: 'tvShow', next_episode_air_date: 'tvShow',
+        posters: 'tvImages', backdrops: 'tvImages'
+    },
+    Anime: {
+        background: 'anime', duration: 'anime', pictures: 'anime'
+    }
+};
+
+// Parents fetched by id already carry what their details loader would load
+const PRELOADED = Symbol('preloaded');
+
+const withPreloaded = (loaderName, item, details = item) => ({ ...item, [PRELOADED]: { [loaderName]: details } });
+
+// Resolver of a loaded field: `pick` gets the loaded value and the field arguments
+const loaded = (loaderName, idOf, pick) => async (parent, args, context) => {
+    const value = parent[PRELOADED]?.[loaderName] ?? await context.loaders[loaderName].load(idOf(parent));
+    return pick(value, args);
+};
+
+/* ============================================ */
+/*                 Arguments                    */
+/* ============================================ */
+const assertRange = (name, value, min, max) => {
+    if (value < min || value > max) {
+        throw new ValidationError(`Invalid ${name} value: "${value}". Use an integer between ${min} and ${max}.`, { parameter: name, min, max });
+    }
+};
+
+// TMDB refuses pages past 500, Jikan answers 25 entries at most
+const assertTmdbPage = ({ page }) => assertRange('page', page, 1, 500);
+const assertJikanPage = ({ page, limit }) => {
+    assertRange('page', page, 1, Number.MAX_SAFE_INTEGER);
+    assertRange('limit', limit, 1, 25);
+};
+const assertLimit = ({ limit }) => assertRange('limit', limit, 0, 50);
+
+/* ============================================ */
+/*                 Resolvers                    */
+/* ============================================ */
+const movieId = movie => movie.id;
+const tvShowId = show => show.id;
+const animeId = anime => anime.mal_id;
+
+// List items carry genre names, details carry { id, name }
+const genreNames = item => (item.genres || []).map(genre => genre.name ?? genre);
+
+const imagesOf = (key) => (images, args) => {
+    assertLimit(args);
+    return images[key].slice(0, args.limit);
+};
+
+const detail = (field) => (details) => details[field] ?? null;
+
+const resolvers = {
+    Query: {
+        movie: async (root, { id }, context) => withPreloaded('movie', await context.loaders.movie.load(id)),
+        tv_show: async (root, { id }, context) => withPreloaded('tvShow', await context.loaders.tvShow.load(id)),
+        anime: async (root, { id }, context) => {
+            const details = await context.loaders.anime.load(id);
+            return withPreloaded('anime', formatAnime(details.data), details);
+        },
+        trending_movies: (root, args, context) => getTrendingMovies(args.time_window, context.language),
+        trending_tv_shows: (root, args, context) => getTrendingTvShows(args.time_window, context.language),
+        trending_anime: async (root, args) => {
+            assertJikanPage(args);
+            const trending = await getTrendingAnime({ page: args.page, limit: args.limit });
+            return { page: jikanPagination(trending.pagination), results: trending.results };
+        },
+        search_movies: async (root, args, context) => {
+            assertTmdbPage(args);
+            const found = await searchMovies({ query: args.query, page: args.page, language: context.language });
+            return { page: tmdbPagination(found.pagination), results: found.search_result };
+        },
+        search_tv_shows: async (root, args, context) => {
+            assertTmdbPage(args);
+            const found = await searchTvShows({ query: args.query, page: args.page, language: context.language });
+            return { page: tmdbPagination(found.pagination), results: found.search_result };
+        },
+        search_anime: async (root, args) => {
+            assertJikanPage(args);
+            const found = await searchAnime({ q: args.query, page: args.page, limit: args.limit });
+            return { page: jikanPagination(found.pagination), results: found.data.map(formatAnime) };
+        }
+    },
+    Image: {
+        // TMDB images come as { file_path, iso_639_1 }, Jikan pictures as { large_image_url, image_url }
+        url: image => image.file_path ?? image.large_image_url ?? image.image_url,
+        language: image => image.iso_639_1 ?? null
+    },
+    Movie: {
+        genres: genreNames,
+        runtime: loaded('movie', movieId, detail('runtime')),
+        tagline: loaded('movie', movieId, detail('tagline')),
+        status: loaded('movie', movieId, detail('status')),
+        imdb_id: loaded('movie', movieId, detail('imdb_id')),
+        homepage: loaded('movie', movieId, detail('homepage')),
+        budget: loaded('movie', movieId, detail('budget')),
+        revenue: loaded('movie', movieId, detail('revenue')),
+        certification: loaded('movie', movieId, (details, { region }) => details.certifications[region.toUpperCase()] ?? null),
+        posters: loaded('movieImages', movieId, imagesOf('posters')),
+        backdrops: loaded('movieImages', movieId, imagesOf('backdrops')),
+        similar: loaded('movieSimilar', movieId, (details, args) => {
+            assertLimit(args);
+            return details.similar.slice(0, args.limit);
+        })
+    },
+    TvShow: {
+        genres: genreNames,
+        tagline: loaded('tvShow', tvShowId, detail('tagline')),
+        status: loaded('tvShow', tvShowId, detail('status')),
+        in_production: loaded('tvShow', tvShowId, detail('in_production')),
+        number_of_seasons: loaded('tvShow', tvShowId, detail('number_of_seasons')),
+        number_of_episodes: loaded('tvShow', tvShowId, detail('number_of_episodes')),
+        homepage: loaded('tvShow', tvShowId, detail('homepage')),
+        next_episode_air_date: loaded('tvShow', tvShowId, details => details.next_episode_to_air?.air_date ?? null),
+        posters: loaded('tvImages', tvShowId, imagesOf('posters')),
+        backdrops: loaded('tvImages', tvShowId, imagesOf('backdrops'))
+    },
+    Anime: {
+        title: anime => anime.titles.default_title,
+        title_english: anime => anime.titles.english_title,
+        title_japanese: anime => anime.titles.japanese_title,
+        image: anime => anime.images[1] || anime.images[0],
+        trailer_url: anime => anime.trailer.yt_url ?? null,
+        background: loaded('anime', animeId, details => details.data.background ?? null),
+        duration: loaded('anime', animeId, details => details.data.duration ?? null),
+        // Without pictures (Jikan failed on them) the list is simply empty
+        pictures: loaded('anime', animeId, (details, args) => {
+            assertLimit(args);
+            return (details.images_data.jpgs || []).slice(0, args.limit);
+        })
+    }
+};
+
+/* ============================================ */
+/*                 Schema                       */
+/* ============================================ */
+const schema = buildSchema(typeDefs);
+
+for (const [typeName, fields] of Object.entries(resolvers)) {
+    const typeFields = schema.getType(typeName).getFields();
+
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+        typeFields[fieldName].resolve = resolve;
+    }
+}
+
+export default schema;
@@ -0,0 +1,219 @@
+/*
+ █████╗ ███╗   ██╗██╗███╗   ███╗███████╗    ███╗   ███╗ █████╗ ████████╗ ██████╗██╗  ██╗███████╗██████╗
+██╔══██╗████╗  ██║██║████╗ ████║██╔════╝    ████╗ ████║██╔══██╗╚══██╔══╝██╔════╝██║  ██║██╔════╝██╔══██╗
+███████║██╔██╗ ██║██║██╔████╔██║█████╗      ██╔████╔██║███████║   ██║   ██║     ███████║█████╗  ██████╔╝
+██╔══██║██║╚██╗██║██║██║╚██╔╝██║██╔══╝      ██║╚██╔╝██║██╔══██║   ██║   ██║     ██╔══██║██╔══╝  ██╔══██╗
+██║  ██║██║ ╚████║██║██║ ╚═╝ ██║███████╗    ██║ ╚═╝ ██║██║  ██║   ██║   ╚██████╗██║  ██║███████╗██║  ██║
+╚═╝  ╚═╝╚═╝  ╚═══╝╚═╝╚═╝     ╚═╝╚══════╝    ╚═╝     ╚═╝╚═╝  ╚═╝   ╚═╝    ╚═════╝╚═╝  ╚═╝╚══════╝╚═╝  ╚═╝
+*/
+
+// Finds the TMDB TV show or movie a MyAnimeList anime belongs to. Candidates come from TMDB searches
+// on the anime's title variants, then every candidate is scored from 0 to 1 on:
+//  - title     best word overlap between any pair of titles, season markers ignored
+//  - year      same start year, or a later MAL entry (season 2 of a show started earlier)
+//  - episodes  the anime's episode count matches the show or one of its seasons (TV only)
+//  - type      TV and ONA map cleanly to TMDB shows, OVAs and specials less so
+//  - animation TMDB tags it as animation and/or Japanese
+// A match built while some TMDB calls failed is flagged `partial` and never cached.
+
+import logger from '../utils/logger.js';
+import { URLs } from '../config/constants.js';
+import { withCache } from '../caching/cache.js';
+import { jikanGet } from '../utils/httpClient.js';
+import { normalizeAnime, normalizeText } from '../utils/normalize.js';
+import { searchMovies } from '../routes/movies.js';
+import { searchTvShows, getTvDetails } from '../routes/tvShows.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+// Matches at or above this confidence are stored as confirmed mappings
+export const MIN_CONFIDENCE = parseFloat(process.env.MAPPING_MIN_CONFIDENCE) || 0.75;
+// TMDB searches per anime, one per title variant
+const MAX_TITLE_VARIANTS = 3;
+const RESULTS_PER_SEARCH = 5;
+// Candidates whose episode counts are checked (one TMDB details call each)
+const EPISODE_CHECKS = 3;
+const MAX_CANDIDATES_RETURNED = 5;
+
+const WEIGHTS = {
+    title: 0.5,
+    year: 0.2,
+    episodes: 0.15,
+    type: 0.05,
+    animation: 0.1
+};
+
+// TMDB catalog and how well each MAL type fits it
+const TYPE_FIT = {
+    'TV': { catalog: 'tv', fit: 1 },
+    'ONA': { catalog: 'tv', fit: 1 },
+    'OVA': { catalog: 'tv', fit: 0.5 },
+    'Special': { catalog: 'tv', fit: 0.5 },
+    'TV Special': { catalog: 'tv', fit: 0.5 },
+    'Movie': { catalog: 'movie', fit: 1 }
+};
+
+const TMDB_ANIMATION_GENRE = 16;
+
+/* ============================================ */
+/*                 Signals                      */
+/* ============================================ */
+const SEASON_MARKERS = /\b(season|part|cour)\s*\d+\b|\b\d+(st|nd|rd|th)\s+(season|part|cour)\b|\b(final\s+)?season\b/g;
+
+const titleWords = (title) => new Set(normalizeText(title).replace(SEASON_MARKERS, ' ').split(' ').filter(Boolean));
+
+// Dice coefficient of the title words, 1 for identical titles
+export const titleSimilarity = (a, b) => {
+    const wordsA = titleWords(a);
+    const wordsB = titleWords(b);
+    if (!wordsA.size || !wordsB.size) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+export const yearSignal = (animeYear, candidateYear, catalog) => {
+    if (!animeYear || !candidateYear) return null;
+    if (animeYear === candidateYear) return 1;
+    if (Math.abs(animeYear - candidateYear) === 1) return 0.5;
+    // Later seasons are separate MAL entries of a show TMDB lists once
+    if (catalog === 'tv' && animeYear > candidateYear) return 0.5;
+    return 0;
+};
+
+export const episodesSignal = (animeEpisodes, details) => {
+    if (!animeEpisodes || !details) return null;
+
+    const seasonCounts = details.seasons.map(season => season.episode_count);
+    if ([details.number_of_episodes, ...seasonCounts].includes(animeEpisodes)) return 1;
+
+    const total = details.number_of_episodes || 0;
+    return total ? Math.min(animeEpisodes, total) / Math.max(animeEpisodes, total) : 0;
+};
+
+const animationSignal = (item) =>
+    (item.genre_ids?.includes(TMDB_ANIMATION_GENRE) ? 0.5 : 0) + (item.original_language === 'ja' ? 0.5 : 0);
+
+// Weighted average of the signals that could be computed
+export const combine = (signals) => {
+    const known = Object.entries(signals).filter(([, value]) => value !== null);
+    const weight = known.reduce((sum, [name]) => sum + WEIGHTS[name], 0);
+    const score = known.reduce((sum, [name, value]) => sum + WEIGHTS[name] * value, 0);
+    return Math.round((score / weight) * 100) / 100;
+};
+
+/* ============================================ */
+/*                 Matching                     */
+/* ============================================ */
+const searchCatalog = async (catalog, query) => {
+    const results = catalog === 'movie'
+        ? await searchMovies({ query, page: 1 })
+        : await searchTvShows({ query, page: 1 });
+
+    return results.search_result.slice(0, RESULTS_PER_SEARCH);
+};
+
+/**
+ * Scores the TMDB candidates of a raw Jikan anime record.
+ * Throws when every TMDB search failed, an outage must not look like an anime without counterpart.
+ * @returns {Promise<{ mal_id: number, tmdb_type: string|null, best: object|null, confidence: number, candidates: object[], partial: boolean }>}
+ */
+export async function matchAnime(anime) {
+    const typeFit = TYPE_FIT[anime.type];
+
+    // Music videos, commercials and the like have no TMDB counterpart
+    if (!typeFit) {
+        return { mal_id: anime.mal_id, tmdb_type: null, best: null, confidence: 0, candidates: [], partial: false };
+    }
+
+    const { catalog } = typeFit;
+    const normalized = normalizeAnime(anime);
+    const animeTitles = [normalized.title, ...normalized.alternative_titles];
+    const queries = [...new Set([anime.title_english, anime.title, anime.title_japanese].filter(Boolean))].slice(0, MAX_TITLE_VARIANTS);
+
+    const searches = await Promise.allSettled(queries.map(query => searchCatalog(catalog, query)));
+    const failed = searches.filter(result => result.status === 'rejected');
+
+    if (failed.length === searches.length) throw failed[0].reason;
+    let partial = failed.length > 0;
+
+    const found = new Map();
+    for (const result of searches) {
+        if (result.status === 'rejected') continue;
+        for (const item of result.value) {
+            if (!found.has(item.id)) found.set(item.id, item);
+        }
+    }
+
+    let candidates = [...found.values()].map(item => {
+        const candidateTitles = catalog === 'movie' ? [item.title, item.original_title] : [item.name, item.original_name];
+        const dateField = catalog === 'movie' ? item.release_date : item.first_air_date;
+        const candidateYear = parseInt(String(dateField || '').slice(0, 4), 10) || null;
+
+        return {
+            tmdb_type: catalog,
+            tmdb_id: item.id,
+            title: candidateTitles[0],
+            year: candidateYear,
+            signals: {
+                title: Math.max(...animeTitles.flatMap(animeTitle => candidateTitles.map(title => titleSimilarity(animeTitle, title)))),
+                year: yearSignal(normalized.year, candidateYear, catalog),
+                episodes: null,
+                type: typeFit.fit,
+                animation: animationSignal(item)
+            }
+        };
+    });
+
+    candidates.forEach(candidate => { candidate.confidence = combine(candidate.signals); });
+    candidates.sort((a, b) => b.confidence - a.confidence);
+
+    // Episode counts need a details call per show, only worth it for the front runners
+    if (catalog === 'tv') {
+        await Promise.all(candidates.slice(0, EPISODE_CHECKS).map(async (candidate) => {
+            try {
+                const details = await getTvDetails(candidate.tmdb_id);
+                candidate.signals.episodes = episodesSignal(anime.episodes, details);
+                candidate.confidence = combine(candidate.signals);
+            } catch (err) {
+                partial = true;
+                logger.warn(`Mapping: no details for TMDB tv ${candidate.tmdb_id}, scoring without episodes: ${err.message}`);
+            }
+        }));
+        candidates.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    candidates = candidates.slice(0, MAX_CANDIDATES_RETURNED);
+
+    return {
+        mal_id: anime.mal_id,
+        tmdb_type: catalog,
+        best: candidates[0] || null,
+        confidence: candidates[0]?.confidence || 0,
+        candidates,
+        partial
+    };
+}
+
+const isComplete = (match) => !match.partial;
+
+/**
+ * Scores the TMDB candidates of a raw Jikan anime record, cached per MAL id.
+ */
+export async function matchAnimeCached(anime) {
+    return withCache(`anime_mapping_${anime.mal_id}`, 'anime_mapping', () => matchAnime(anime), { cacheable: isComplete });
+}
+
+/**
+ * Fetches an anime from Jikan and scores its TMDB candidates, cached.
+ */
+export async function matchAnimeById(malId) {
+    return withCache(`anime_mapping_${malId}`, 'anime_mapping', async () => {
+        const anime = await jikanGet(`${URLs.jikan}/anime/${malId}`);
+        const match = await matchAnime(anime.data.data);
+
+        logger.info(`Matched MAL ${malId} against TMDB: best ${match.best ? `${match.best.tmdb_type} ${match.best.tmdb_id}` : 'none'} (confidence ${match.confidence}${match.partial ? ', partial' : ''})`);
+        return match;
+    }, { cacheable: isComplete });
+}
@@ -0,0 +1,137 @@
+/*
+███╗   ███╗ █████╗ ██████╗ ██████╗ ██╗███╗   ██╗ ██████╗     ███████╗████████╗ ██████╗ ██████╗ ███████╗
+████╗ ████║██╔══██╗██╔══██╗██╔══██╗██║████╗  ██║██╔════╝     ██╔════╝╚══██╔══╝██╔═══██╗██╔══██╗██╔════╝
+██╔████╔██║███████║██████╔╝██████╔╝██║██╔██╗ ██║██║  ███╗    ███████╗   ██║   ██║   ██║██████╔╝█████╗
+██║╚██╔╝██║██╔══██║██╔═══╝ ██╔═══╝ ██║██║╚██╗██║██║   ██║    ╚════██║   ██║   ██║   ██║██╔══██╗██╔══╝
+██║ ╚═╝ ██║██║  ██║██║     ██║     ██║██║ ╚████║╚██████╔╝    ███████║   ██║   ╚██████╔╝██║  ██║███████╗
+╚═╝     ╚═╝╚═╝  ╚═╝╚═╝     ╚═╝     ╚═╝╚═╝  ╚═══╝ ╚═════╝     ╚══════╝   ╚═╝    ╚═════╝ ╚═╝  ╚═╝╚══════╝
+*/
+
+// Persistent MAL <-> TMDB mappings, kept outside the cache windows:
+//  mapping_anime_<mal_id>          -> { mal_id, tmdb_type, tmdb_id, confidence, source, updated_at }
+//  mapping_tmdb_<type>_<tmdb_id>   -> set of MAL ids pointing at that TMDB entry
+// Manual overrides never expire, automatic matches are re-checked after MAPPING_AUTO_TTL seconds.
+// While Redis is unreachable mappings live in a bounded in-memory LRU and are lost on restart.
+
+import logger from '../utils/logger.js';
+import redisClient, { isRedisReady, withTimeout } from '../caching/redisClient.js';
+import MemoryCache from '../caching/memoryCache.js';
+import { envInt } from '../utils/env.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const AUTO_TTL = parseInt(process.env.MAPPING_AUTO_TTL, 10) || 30 * 24 * 3600;
+const MEMORY_MAX_ENTRIES = envInt('MAPPING_MEMORY_MAX_ENTRIES', 5000);
+
+export const MAPPING_SOURCE = {
+    auto: 'auto',
+    manual: 'manual'
+};
+
+const animeKey = (malId) => `mapping_anime_${malId}`;
+const tmdbKey = (type, tmdbId) => `mapping_tmdb_${type}_${tmdbId}`;
+
+/* ============================================ */
+/*                 Memory fallback              */
+/* ============================================ */
+const memoryMappings = new MemoryCache(MEMORY_MAX_ENTRIES);
+const memoryReverse = new MemoryCache(MEMORY_MAX_ENTRIES);
+
+const memory = {
+    get: (malId) => memoryMappings.get(animeKey(malId)),
+    save(mapping) {
+        // Same lifetimes as in Redis, manual overrides stay until evicted
+        const ttl = mapping.source === MAPPING_SOURCE.manual ? Infinity : AUTO_TTL;
+        memoryMappings.set(animeKey(mapping.mal_id), mapping, ttl);
+
+        if (mapping.tmdb_id) {
+            const key = tmdbKey(mapping.tmdb_type, mapping.tmdb_id);
+            const malIds = memoryReverse.get(key) || new Set();
+            malIds.add(String(mapping.mal_id));
+            memoryReverse.set(key, malIds, Infinity);
+        }
+    },
+    remove: (malId) => memoryMappings.delete(animeKey(malId)),
+    malIdsFor: (type, tmdbId) => [...(memoryReverse.get(tmdbKey(type, tmdbId)) || [])]
+};
+
+// Runs the Redis version of an operation, or the memory one while Redis is down
+const withFallback = async (operation, redisFn, memoryFn) => {
+    if (!isRedisReady()) return memoryFn();
+
+    try {
+        return await redisFn();
+    } catch (err) {
+        logger.warn(`Mapping store ${operation} failed on Redis, using memory: ${err.message}`);
+        return memoryFn();
+    }
+};
+
+/* ============================================ */
+/*                 Store                        */
+/* ============================================ */
+const mappingStore = {
+    async get(malId) {
+        return withFallback('get', async () => {
+            const raw = await withTimeout(redisClient.get(animeKey(malId)));
+            return raw ? JSON.parse(raw) : null;
+        }, () => memory.get(malId));
+    },
+
+    /**
+     * Saves a mapping. `tmdb_id: null` records that the anime has no TMDB counterpart.
+     * @param {{ mal_id: number, tmdb_type: string|null, tmdb_id: number|null, confidence: number, source: string }} mapping
+     */
+    async save(mapping) {
+        // A changed mapping must disappear from the reverse set of its old TMDB entry
+        const previous = await this.get(mapping.mal_id);
+        const entry = { ...mapping, updated_at: new Date().toISOString() };
+
+        await withFallback('save', async () => {
+            const pipeline = redisClient.multi();
+            const value = JSON.stringify(entry);
+
+            if (entry.source === MAPPING_SOURCE.manual) {
+                pipeline.set(animeKey(entry.mal_id), value);
+            } else {
+                pipeline.set(animeKey(entry.mal_id), value, 'EX', AUTO_TTL);
+            }
+
+            if (previous?.tmdb_id) pipeline.srem(tmdbKey(previous.tmdb_type, previous.tmdb_id), String(entry.mal_id));
+            if (entry.tmdb_id) pipeline.sadd(tmdbKey(entry.tmdb_type, entry.tmdb_id), String(entry.mal_id));
+
+            await withTimeout(pipeline.exec());
+        }, () => memory.save(entry));
+
+        logger.info(`Saved ${entry.source} mapping MAL ${entry.mal_id} -> ${entry.tmdb_id ? `TMDB ${entry.tmdb_type} ${entry.tmdb_id}` : 'none'} (confidence ${entry.confidence})`);
+        return entry;
+    },
+
+    async remove(malId) {
+        const previous = await this.get(malId);
+        if (!previous) return false;
+
+        await withFallback('remove', async () => {
+            const pipeline = redisClient.multi().del(animeKey(malId));
+            if (previous.tmdb_id) pipeline.srem(tmdbKey(previous.tmdb_type, previous.tmdb_id), String(malId));
+            await withTimeout(pipeline.exec());
+        }, () => memory.remove(malId));
+
+        return true;
+    },
+
+    // Every stored mapping pointing at a TMDB entry, e.g. all the seasons of a show listed separately on MAL
+    async findByTmdb(type, tmdbId) {
+        const malIds = await withFallback('lookup',
+            () => withTimeout(redisClient.smembers(tmdbKey(type, tmdbId))),
+            () => memory.malIdsFor(type, tmdbId));
+
+        const mappings = await Promise.all(malIds.map(malId => this.get(malId)));
+
+        // Expired or re-pointed mappings can linger in the set, only trust the forward entry
+        return mappings.filter(mapping => mapping && mapping.tmdb_type === type && String(mapping.tmdb_id) === String(tmdbId));
+    }
+};
+
+export default mappingStore;
@@ -0,0 +1,33 @@
+/*
+ █████╗ ██████╗ ███╗   ███╗██╗███╗   ██╗    ████████╗ ██████╗ ██╗  ██╗███████╗███╗   ██╗
+██╔══██╗██╔══██╗████╗ ████║██║████╗  ██║    ╚══██╔══╝██╔═══██╗██║ ██╔╝██╔════╝████╗  ██║
+███████║██║  ██║██╔████╔██║██║██╔██╗ ██║       ██║   ██║   ██║█████╔╝ █████╗  ██╔██╗ ██║
+██╔══██║██║  ██║██║╚██╔╝██║██║██║╚██╗██║       ██║   ██║   ██║██╔═██╗ ██╔══╝  ██║╚██╗██║
+██║  ██║██████╔╝██║ ╚═╝ ██║██║██║ ╚████║       ██║   ╚██████╔╝██║  ██╗███████╗██║ ╚████║
+╚═╝  ╚═╝╚═════╝ ╚═╝     ╚═╝╚═╝╚═╝  ╚═══╝       ╚═╝    ╚═════╝ ╚═╝  ╚═╝╚══════╝╚═╝  ╚═══╝
+*/
+
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+import { secretMatches } from '../utils/secrets.js';
+import { adminLimiter } from './rateLimiter.js';
+
+// Guards admin endpoints with the X-Admin-Token header. Without ADMIN_TOKEN set they are disabled.
+const checkAdminToken = (request, response, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (!adminToken) {
+        return next(new ForbiddenError("Admin endpoints are disabled, set ADMIN_TOKEN to enable them."));
+    }
+
+    const provided = request.get('X-Admin-Token');
+    if (!secretMatches(provided, adminToken)) {
+        return next(new UnauthorizedError("Missing or invalid X-Admin-Token header."));
+    }
+
+    next();
+};
+
+// Every route using the admin token gets the admin limiter with it, against token guessing
+const requireAdminToken = [adminLimiter, checkAdminToken];
+
+export default requireAdminToken;
@@ -0,0 +1,109 @@
+/*
+ █████╗ ██████╗ ██╗    ██╗  ██╗███████╗██╗   ██╗
+██╔══██╗██╔══██╗██║    ██║ ██╔╝██╔════╝╚██╗ ██╔╝
+███████║██████╔╝██║    █████╔╝ █████╗   ╚████╔╝
+██╔══██║██╔═══╝ ██║    ██╔═██╗ ██╔══╝    ╚██╔╝
+██║  ██║██║     ██║    ██║  ██╗███████╗   ██║
+╚═╝  ╚═╝╚═╝     ╚═╝    ╚═╝  ╚═╝╚══════╝   ╚═╝
+*/
+
+// Identifies the caller by API key, sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+// Keyed requests skip the per IP limiters (middlewares/rateLimiter.js) and get the per second
+// limit and the daily and monthly quotas of their key instead, counted in UTC.
+// Requests without a key stay anonymous and IP limited, unless API_KEY_REQUIRED=true.
+
+import apiKeyStore, { KEY_STATUS } from '../auth/apiKeyStore.js';
+import { UnauthorizedError, ForbiddenError, RateLimitedError, QuotaExceededError } from '../utils/errors.js';
+import { recordRateLimitRejection } from '../utils/metrics.js';
+
+const KEY_REQUIRED = process.env.API_KEY_REQUIRED === 'true';
+
+const extractKey = (request) => {
+    const header = request.get('X-API-Key');
+    if (header) return header.trim();
+
+    const bearer = request.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+    return bearer ? bearer[1] : null;
+};
+
+// Seconds until the next UTC day or month, when a used up quota starts over
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const nextUtcDay = () => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+};
+
+const nextUtcMonth = () => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+};
+
+const setQuotaHeaders = (response, quotas, usage) => {
+    if (quotas.daily) {
+        response.setHeader('X-Quota-Daily-Limit', quotas.daily);
+        response.setHeader('X-Quota-Daily-Remaining', Math.max(0, quotas.daily - usage.day));
+    }
+    if (quotas.monthly) {
+        response.setHeader('X-Quota-Monthly-Limit', quotas.monthly);
+        response.setHeader('X-Quota-Monthly-Remaining', Math.max(0, quotas.monthly - usage.month));
+    }
+};
+
+const apiKeyAuth = async (request, response, next) => {
+    const apiKey = extractKey(request);
+    request.apiKey = null;
+
+    if (!apiKey) {
+        return KEY_REQUIRED
+            ? next(new UnauthorizedError("An API key is required, send it in the X-API-Key header or as a Bearer token."))
+            : next();
+    }
+
+    try {
+        const record = await apiKeyStore.findByKey(apiKey);
+
+        if (!record) {
+            return next(new UnauthorizedError("Invalid API key."));
+        }
+
+        if (record.status !== KEY_STATUS.active) {
+            return next(new ForbiddenError("This API key is suspended.", { key_id: record.id }));
+        }
+
+        const { per_second: perSecond, daily, monthly } = record.quotas;
+
+        // Checked first, a throttled burst must not use up the daily and monthly quotas
+        if (perSecond && await apiKeyStore.countSecond(record.id) > perSecond) {
+            recordRateLimitRejection('api_key');
+            return next(new RateLimitedError(`Too many requests, this API key allows ${perSecond} per second.`, { key_id: record.id, limit: perSecond }, 1));
+        }
+
+        const now = new Date();
+        const usage = await apiKeyStore.recordRequest(record.id, now);
+        setQuotaHeaders(response, record.quotas, usage);
+
+        if ((daily && usage.day > daily) || (monthly && usage.month > monthly)) {
+            await apiKeyStore.releaseRequest(record.id, now);
+        }
+
+        if (daily && usage.day > daily) {
+            recordRateLimitRejection('api_key_daily');
+            const resetsAt = nextUtcDay();
+            return next(new QuotaExceededError(`The daily quota of ${daily} requests is used up.`, { key_id: record.id, quota: 'daily', limit: daily, resets_at: resetsAt.toISOString() }, secondsUntil(resetsAt)));
+        }
+
+        if (monthly && usage.month > monthly) {
+            recordRateLimitRejection('api_key_monthly');
+            const resetsAt = nextUtcMonth();
+            return next(new QuotaExceededError(`The monthly quota of ${monthly} requests is used up.`, { key_id: record.id, quota: 'monthly', limit: monthly, resets_at: resetsAt.toISOString() }, secondsUntil(resetsAt)));
+        }
+
+        request.apiKey = { id: record.id, name: record.name };
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+export default apiKeyAuth;
@@ -0,0 +1,52 @@
+/*
+ █████╗ ██████╗ ██╗    ██╗   ██╗███████╗██████╗ ███████╗██╗ ██████╗ ███╗   ██╗
+██╔══██╗██╔══██╗██║    ██║   ██║██╔════╝██╔══██╗██╔════╝██║██╔═══██╗████╗  ██║
+███████║██████╔╝██║    ██║   ██║█████╗  ██████╔╝███████╗██║██║   ██║██╔██╗ ██║
+██╔══██║██╔═══╝ ██║    ╚██╗ ██╔╝██╔══╝  ██╔══██╗╚════██║██║██║   ██║██║╚██╗██║
+██║  ██║██║     ██║     ╚████╔╝ ███████╗██║  ██║███████║██║╚██████╔╝██║ ╚████║
+╚═╝  ╚═╝╚═╝     ╚═╝      ╚═══╝  ╚══════╝╚═╝  ╚═╝╚══════╝╚═╝ ╚═════╝ ╚═╝  ╚═══╝
+*/
+
+// Picks the API version of a request, first match wins:
+//  1. path prefix        /v2/trending/anime
+//  2. header             Accept-Version: 2
+//  3. query parameter    ?api_version=2
+//  4. DEFAULT_API_VERSION environment variable (1 until every consumer has moved over)
+
+import { ValidationError } from '../utils/errors.js';
+
+export const SUPPORTED_API_VERSIONS = [1, 2];
+
+const DEFAULT_API_VERSION = SUPPORTED_API_VERSIONS.includes(parseInt(process.env.DEFAULT_API_VERSION, 10))
+    ? parseInt(process.env.DEFAULT_API_VERSION, 10)
+    : 1;
+
+const apiVersion = (request, response, next) => {
+    let version = DEFAULT_API_VERSION;
+
+    const prefix = request.url.match(/^\/v(\d+)(\/|\?|$)/);
+    const requested = prefix?.[1] || request.get('Accept-Version') || request.query.api_version;
+
+    if (requested !== undefined) {
+        version = parseInt(requested, 10);
+
+        if (!SUPPORTED_API_VERSIONS.includes(version)) {
+            return next(new ValidationError(
+                `Invalid API version: "${requested}". Supported versions are: ${SUPPORTED_API_VERSIONS.join(", ")}`,
+                { parameter: 'api_version', allowed: SUPPORTED_API_VERSIONS }
+            ));
+        }
+    }
+
+    // Strip the prefix so the same routers serve every version
+    if (prefix) {
+        const rest = request.url.slice(`/v${prefix[1]}`.length);
+        request.url = rest.startsWith('/') ? rest : `/${rest}`;
+    }
+
+    request.apiVersion = version;
+    response.setHeader('API-Version', version);
+    next();
+};
+
+export default apiVersion;
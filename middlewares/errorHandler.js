@@ -0,0 +1,40 @@
+/*
+███████╗██████╗ ██████╗  ██████╗ ██████╗     ██╗  ██╗ █████╗ ███╗   ██╗██████╗ ██╗     ███████╗██████╗
+██╔════╝██╔══██╗██╔══██╗██╔═══██╗██╔══██╗    ██║  ██║██╔══██╗████╗  ██║██╔══██╗██║     ██╔════╝██╔══██╗
+█████╗  ██████╔╝██████╔╝██║   ██║██████╔╝    ███████║███████║██╔██╗ ██║██║  ██║██║     █████╗  ██████╔╝
+██╔══╝  ██╔══██╗██╔══██╗██║   ██║██╔══██╗    ██╔══██║██╔══██║██║╚██╗██║██║  ██║██║     ██╔══╝  ██╔══██╗
+███████╗██║  ██║██║  ██║╚██████╔╝██║  ██║    ██║  ██║██║  ██║██║ ╚████║██████╔╝███████╗███████╗██║  ██║
+╚══════╝╚═╝  ╚═╝╚═╝  ╚═╝ ╚═════╝ ╚═╝  ╚═╝    ╚═╝  ╚═╝╚═╝  ╚═╝╚═╝  ╚═══╝╚═════╝ ╚══════╝╚══════╝╚═╝  ╚═╝
+*/
+
+import logger from '../utils/logger.js';
+import { toApiError } from '../utils/errors.js';
+
+// Last middleware in the chain: every error passed to next(err) ends up here.
+// Express only treats 4 argument middleware as an error handler, so `next` has to stay.
+const errorHandler = (err, request, response, next) => {
+    const apiError = toApiError(err);
+
+    const logLine = `[${request.id}] ${request.method} ${request.originalUrl} -> ${apiError.status} ${apiError.code}: ${err.message}`;
+    if (apiError.status >= 500) {
+        logger.error(logLine);
+    } else {
+        logger.warn(logLine);
+    }
+
+    // Upstream rate limits, our own limits and quotas all tell when to come back
+    if (apiError.retryAfter) {
+        response.setHeader('Retry-After', apiError.retryAfter);
+    }
+
+    response.status(apiError.status).send({
+        error: {
+            code: apiError.code,
+            message: apiError.message,
+            details: apiError.details,
+            request_id: request.id
+        }
+    });
+};
+
+export default errorHandler;
@@ -0,0 +1,62 @@
+/*
+██╗███╗   ███╗ █████╗  ██████╗ ███████╗     ██████╗ ██████╗ ████████╗██╗ ██████╗ ███╗   ██╗███████╗
+██║████╗ ████║██╔══██╗██╔════╝ ██╔════╝    ██╔═══██╗██╔══██╗╚══██╔══╝██║██╔═══██╗████╗  ██║██╔════╝
+██║██╔████╔██║███████║██║  ███╗█████╗      ██║   ██║██████╔╝   ██║   ██║██║   ██║██╔██╗ ██║███████╗
+██║██║╚██╔╝██║██╔══██║██║   ██║██╔══╝      ██║   ██║██╔═══╝    ██║   ██║██║   ██║██║╚██╗██║╚════██║
+██║██║ ╚═╝ ██║██║  ██║╚██████╔╝███████╗    ╚██████╔╝██║        ██║   ██║╚██████╔╝██║ ╚████║███████║
+╚═╝╚═╝     ╚═╝╚═╝  ╚═╝ ╚═════╝ ╚══════╝     ╚═════╝ ╚═╝        ╚═╝   ╚═╝ ╚═════╝ ╚═╝  ╚═══╝╚══════╝
+*/
+
+// Reads the image options of a request, applied by respond() (utils/envelope.js) on the way out:
+//  ?image_size=w342      size of every TMDB and Jikan image URL (default original)
+//  ?image_srcset=true    adds a `*_srcset` object with several sizes next to every image
+//  ?image_proxy=true     points image URLs at our /img proxy instead of TMDB and Jikan
+//                        (on by default with IMAGE_PROXY_DEFAULT=true)
+
+import { ValidationError } from '../utils/errors.js';
+import { IMAGE_SIZES } from '../utils/imageSizes.js';
+
+const BOOLEANS = ['true', 'false'];
+
+const PROXY_DEFAULT = process.env.IMAGE_PROXY_DEFAULT === 'true' ? 'true' : 'false';
+
+// Absolute proxy URLs only under PUBLIC_BASE_URL, otherwise root-relative (/img/...). Never built from
+// the Host header: any client can set it, and the rewritten responses are shared through caches.
+const PROXY_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+const imageOptions = (request, response, next) => {
+    const {
+        image_size: size = 'original',
+        image_srcset: srcset = 'false',
+        image_proxy: proxy = PROXY_DEFAULT
+    } = request.query;
+
+    if (!IMAGE_SIZES.includes(size)) {
+        return next(new ValidationError(
+            `Invalid image_size value: "${size}". Allowed values are: ${IMAGE_SIZES.join(", ")}`,
+            { parameter: 'image_size', allowed: IMAGE_SIZES }
+        ));
+    }
+
+    if (!BOOLEANS.includes(srcset)) {
+        return next(new ValidationError(
+            `Invalid image_srcset value: "${srcset}". Allowed values are: ${BOOLEANS.join(", ")}`,
+            { parameter: 'image_srcset', allowed: BOOLEANS }
+        ));
+    }
+
+    if (!BOOLEANS.includes(proxy)) {
+        return next(new ValidationError(
+            `Invalid image_proxy value: "${proxy}". Allowed values are: ${BOOLEANS.join(", ")}`,
+            { parameter: 'image_proxy', allowed: BOOLEANS }
+        ));
+    }
+
+    // Nothing to rewrite with the defaults
+    request.imageOptions = size === 'original' && srcset === 'false' && proxy === 'false'
+        ? null
+        : { size, srcset: srcset === 'true', proxy: proxy === 'true' ? PROXY_BASE_URL : null };
+    next();
+};
+
+export default imageOptions;
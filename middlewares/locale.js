@@ -0,0 +1,105 @@
+/*
+██╗      ██████╗  ██████╗ █████╗ ██╗     ███████╗
+██║     ██╔═══██╗██╔════╝██╔══██╗██║     ██╔════╝
+██║     ██║   ██║██║     ███████║██║     █████╗
+██║     ██║   ██║██║     ██╔══██║██║     ██╔══╝
+███████╗╚██████╔╝╚██████╗██║  ██║███████╗███████╗
+╚══════╝ ╚═════╝  ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝
+*/
+
+// Picks the language of TMDB titles, overviews and images, first match wins:
+//  1. query parameter    ?language=de-DE (or just ?language=de)
+//  2. header             Accept-Language: de-AT,de;q=0.9,en;q=0.5
+//  3. DEFAULT_LANGUAGE
+// ?region=DE is independent of the language, it narrows release dates and lists to a country.
+// Only mounted on TMDB routes, Jikan has no translations.
+
+import { ValidationError } from '../utils/errors.js';
+
+export const SUPPORTED_LANGUAGES = [
+    'en-US', 'en-GB', 'de-DE', 'fr-FR', 'es-ES', 'es-MX', 'it-IT', 'pt-BR', 'pt-PT', 'nl-NL',
+    'pl-PL', 'sv-SE', 'tr-TR', 'ru-RU', 'ja-JP', 'ko-KR', 'zh-CN', 'zh-TW'
+];
+
+export const DEFAULT_LANGUAGE = 'en-US';
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/* ============================================ */
+/*                 Negotiation                  */
+/* ============================================ */
+// Exact tag first, then the first supported variant of the same language ("de-AT" -> "de-DE")
+const matchLanguage = (tag) => {
+    const wanted = tag.trim().toLowerCase();
+    const exact = SUPPORTED_LANGUAGES.find(language => language.toLowerCase() === wanted);
+    if (exact) return exact;
+
+    const primary = wanted.split('-')[0];
+    return SUPPORTED_LANGUAGES.find(language => language.toLowerCase().split('-')[0] === primary) || null;
+};
+
+// Best supported language of an Accept-Language header, null when nothing matches
+const negotiateLanguage = (header) => {
+    if (!header) return null;
+
+    const ranges = header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.split(';');
+            const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+            return { tag: tag.trim(), quality: quality ? parseFloat(quality[1]) : 1, index };
+        })
+        .filter(range => range.tag && range.tag !== '*' && range.quality > 0)
+        // Highest quality first, header order breaks ties
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    for (const range of ranges) {
+        const language = matchLanguage(range.tag);
+        if (language) return language;
+    }
+
+    return null;
+};
+
+// ISO 3166-1 codes only, Intl echoes unknown codes back instead of naming them (ZZ is "Unknown Region")
+const isRegion = (code) => /^[A-Z]{2}$/.test(code) && code !== 'ZZ' && regionNames.of(code) !== code;
+
+/* ============================================ */
+/*                 Middleware                   */
+/* ============================================ */
+const locale = (request, response, next) => {
+    const { language: requestedLanguage, region: requestedRegion } = request.query;
+    let language = DEFAULT_LANGUAGE;
+
+    if (requestedLanguage !== undefined) {
+        language = matchLanguage(String(requestedLanguage));
+
+        if (!language) {
+            return next(new ValidationError(
+                `Invalid language value: "${requestedLanguage}". Supported languages are: ${SUPPORTED_LANGUAGES.join(", ")}`,
+                { parameter: 'language', allowed: SUPPORTED_LANGUAGES }
+            ));
+        }
+    } else {
+        language = negotiateLanguage(request.get('Accept-Language')) || DEFAULT_LANGUAGE;
+    }
+
+    let region = null;
+
+    if (requestedRegion !== undefined) {
+        region = String(requestedRegion).toUpperCase();
+
+        if (!isRegion(region)) {
+            return next(new ValidationError(
+                `Invalid region value: "${requestedRegion}". Regions are ISO 3166-1 country codes, e.g. US, DE or JP.`,
+                { parameter: 'region' }
+            ));
+        }
+    }
+
+    request.locale = { language, region };
+    // Shared caches must not hand a German answer to an English client
+    response.vary('Accept-Language');
+    next();
+};
+
+export default locale;
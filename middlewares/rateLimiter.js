@@ -1,4 +1,26 @@
 import rateLimit from 'express-rate-limit';
+import SlidingWindowStore from '../caching/rateLimitStore.js';
+import { RateLimitedError } from '../utils/errors.js';
+import { recordRateLimitRejection } from '../utils/metrics.js';
+
+// Counters are shared by every instance through Redis (see caching/rateLimitStore.js),
+// each instance falls back to its own counters while Redis is down.
+
+// Requests with an API key are limited by their key instead (see middlewares/apiKey.js)
+const hasApiKey = (request) => Boolean(request.apiKey);
+
+// Answers with the JSON error model instead of express-rate-limit's plain text
+const rejectRequest = (request, response, next, options) => {
+    const { limit, resetTime } = request.rateLimit;
+    const retryAfter = Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000));
+    recordRateLimitRejection(options.store.name);
+
+    next(new RateLimitedError(options.message, {
+        limit,
+        window_seconds: options.windowMs / 1000,
+        reset_at: resetTime.toISOString()
+    }, retryAfter));
+};
 
 // TMDB Rate Limiter (movies and TV shows endpoints) Slightly below TMDB's 50 requests per second limit
 export const tmdbLimiter = rateLimit({
@@ -7,6 +29,9 @@ export const tmdbLimiter = rateLimit({
     message: 'Too many requests to TMDB (/movies, /tv endpoints), please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
+    skip: hasApiKey,
+    store: new SlidingWindowStore('tmdb'),
+    handler: rejectRequest,
 });
 
 // Jikan Rate Limiter (anime endpoints) Slightly below Jikan’s 3 requests per second and 60 requests per minute
@@ -16,6 +41,9 @@ export const jikanLimiter = rateLimit({
     message: 'Too many requests to Jikan (/anime endpoints), please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
+    skip: hasApiKey,
+    store: new SlidingWindowStore('jikan'),
+    handler: rejectRequest,
 });
 
 export const jikanMinuteLimiter = rateLimit({
@@ -24,4 +52,29 @@ export const jikanMinuteLimiter = rateLimit({
     message: 'Too many requests to Jikan, please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
+    skip: hasApiKey,
+    store: new SlidingWindowStore('jikan_minute'),
+    handler: rejectRequest,
+});
+
+// Admin endpoints (every route behind middlewares/adminToken.js) Slows down guessing the admin token, nobody manages keys this fast
+export const adminLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute window
+    max: 30,             // Limit each IP to 30 admin requests per minute
+    message: 'Too many admin requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: new SlidingWindowStore('admin'),
+    handler: rejectRequest,
+});
+
+// Image proxy (/img) A page of posters fires dozens of requests at once, cache hits never reach upstream
+export const imageLimiter = rateLimit({
+    windowMs: 1000, // 1 second window
+    max: 60,        // Limit each IP to 60 images per second
+    message: 'Too many image requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: new SlidingWindowStore('image'),
+    handler: rejectRequest,
 });
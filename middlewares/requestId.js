@@ -0,0 +1,23 @@
+/*
+██████╗ ███████╗ ██████╗ ██╗   ██╗███████╗███████╗████████╗    ██╗██████╗
+██╔══██╗██╔════╝██╔═══██╗██║   ██║██╔════╝██╔════╝╚══██╔══╝    ██║██╔══██╗
+██████╔╝█████╗  ██║   ██║██║   ██║█████╗  ███████╗   ██║       ██║██║  ██║
+██╔══██╗██╔══╝  ██║▄▄ ██║██║   ██║██╔══╝  ╚════██║   ██║       ██║██║  ██║
+██║  ██║███████╗╚██████╔╝╚██████╔╝███████╗███████║   ██║       ██║██████╔╝
+╚═╝  ╚═╝╚══════╝ ╚══▀▀═╝  ╚═════╝ ╚══════╝╚══════╝   ╚═╝       ╚═╝╚═════╝
+*/
+
+import { randomUUID } from 'crypto';
+
+// Keep an id handed over by a proxy or client, as long as it looks sane
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+// Tags every request with an id that shows up in logs, error bodies and the X-Request-Id header
+const requestId = (request, response, next) => {
+    const incoming = request.get('X-Request-Id');
+    request.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    response.setHeader('X-Request-Id', request.id);
+    next();
+};
+
+export default requestId;
@@ -0,0 +1,218 @@
+/*
+██╗   ██╗ █████╗ ██╗     ██╗██████╗  █████╗ ████████╗███████╗
+██║   ██║██╔══██╗██║     ██║██╔══██╗██╔══██╗╚══██╔══╝██╔════╝
+██║   ██║███████║██║     ██║██║  ██║███████║   ██║   █████╗
+╚██╗ ██╔╝██╔══██║██║     ██║██║  ██║██╔══██║   ██║   ██╔══╝
+ ╚████╔╝ ██║  ██║███████╗██║██████╔╝██║  ██║   ██║   ███████╗
+  ╚═══╝  ╚═╝  ╚═╝╚══════╝╚═╝╚═════╝ ╚═╝  ╚═╝   ╚═╝   ╚══════╝
+*/
+
+// Declarative validation of path and query parameters. Every route lists its parameters:
+//
+//   router.get("/popular/anime", validate({
+//       query: {
+//           page: PAGE,
+//           limit: { type: 'integer', min: 1, max: 25, default: 25 },
+//           rating: { type: 'enum', values: ANIME_RATINGS }
+//       }
+//   }), handler);
+//
+// Values are coerced (numbers, booleans, lists) and defaults filled in before the handler runs,
+// and every invalid parameter is reported in the same VALIDATION_ERROR.
+// Parameters a route doesn't list are left alone, e.g. `language` or `image_size` of other middlewares.
+//
+// Rule fields:
+//  type       integer | number | string | boolean | flag | enum | date | list
+//  required   missing or empty values are an error instead of being skipped
+//  default    value used when the parameter is missing
+//  min, max   bounds of integer and number
+//  values     allowed values of enum
+//  pattern    RegExp a string must match
+//  check      (value) => boolean for anything else, e.g. timezones
+//  items      rule of every entry of a comma separated list
+//  hint       sentence appended to the error message instead of the generated one
+
+import { ValidationError } from '../utils/errors.js';
+
+/* ============================================ */
+/*                 Shared rules                 */
+/* ============================================ */
+export const PAGE = { type: 'integer', min: 1, default: 1 };
+
+/* ============================================ */
+/*                 Coercion                     */
+/* ============================================ */
+// Thrown by the coercers, caught and collected by validate()
+class Violation {
+    constructor(hint, extra = {}) {
+        this.hint = hint;
+        this.extra = extra;
+    }
+}
+
+const rangeHint = ({ min, max }, kind) => {
+    if (min !== undefined && max !== undefined) return `Use ${kind} between ${min} and ${max}.`;
+    if (min !== undefined) return `Use ${kind} of at least ${min}.`;
+    if (max !== undefined) return `Use ${kind} of at most ${max}.`;
+    return `Use ${kind}.`;
+};
+
+const inRange = (value, rule, kind) => {
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        throw new Violation(rangeHint(rule, kind), { min: rule.min, max: rule.max });
+    }
+    return value;
+};
+
+// YYYY, YYYY-MM or YYYY-MM-DD, the precisions Jikan and TMDB filter on
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+const coercers = {
+    integer(value, rule) {
+        if (!/^-?\d+$/.test(value)) throw new Violation(rangeHint(rule, 'an integer'));
+        return inRange(Number(value), rule, 'an integer');
+    },
+
+    number(value, rule) {
+        const number = Number(value);
+        if (!/^-?\d+(\.\d+)?$/.test(value) || !Number.isFinite(number)) throw new Violation(rangeHint(rule, 'a number'));
+        return inRange(number, rule, 'a number');
+    },
+
+    string(value, rule) {
+        if (rule.pattern && !rule.pattern.test(value)) throw new Violation('It has the wrong format.');
+        if (rule.check && !rule.check(value)) throw new Violation('It is not a valid value.');
+        return value;
+    },
+
+    boolean(value) {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        throw new Violation('Allowed values are: true, false', { allowed: ['true', 'false'] });
+    },
+
+    // Like boolean, but a bare `?sfw` turns it on as well
+    flag(value) {
+        return value === '' ? true : coercers.boolean(value);
+    },
+
+    enum(value, rule) {
+        if (!rule.values.includes(value)) {
+            throw new Violation(`Allowed values are: ${rule.values.join(", ")}`, { allowed: rule.values });
+        }
+        return value;
+    },
+
+    date(value) {
+        const [year, month = '01', day = '01'] = value.split('-');
+        const parsed = new Date(`${year}-${month}-${day}T00:00:00Z`);
+        // new Date() rolls 2024-02-30 over to March, the day has to survive the round trip
+        if (!DATE_PATTERN.test(value) || parsed.getUTCDate() !== Number(day)) {
+            throw new Violation('Use a date like 2024, 2024-04 or 2024-04-15.');
+        }
+        return value;
+    },
+
+    // "a, b,a" -> ['a', 'b'], every entry checked against `items`
+    list(value, rule) {
+        const entries = [...new Set(value.split(',').map(entry => entry.trim()).filter(Boolean))];
+        if (!entries.length) throw new Violation('Use a comma separated list.');
+
+        const invalid = [];
+        const coerced = entries.map(entry => {
+            try {
+                return coercers[rule.items.type](entry, rule.items);
+            } catch (err) {
+                if (!(err instanceof Violation)) throw err;
+                invalid.push(entry);
+                return null;
+            }
+        });
+
+        if (invalid.length) {
+            const allowed = rule.items.values;
+            throw new Violation(
+                allowed ? `Allowed values are: ${allowed.join(", ")}` : 'Use a comma separated list.',
+                { invalid, ...(allowed && { allowed }) }
+            );
+        }
+        return coerced;
+    }
+};
+
+// Enum hints end without a period, they read like a list
+const sentence = (message) => /[.!?]$/.test(message) ? message : `${message}.`;
+
+// Empty values count as missing, except for flags where `?sfw` means on
+const isMissing = (raw, rule) => raw === undefined || (raw === '' && rule.type !== 'flag');
+
+/**
+ * Coerces one parameter. Returns { value } or { error }.
+ */
+const coerce = (name, raw, rule) => {
+    if (isMissing(raw, rule)) {
+        if (rule.required) {
+            return { error: { parameter: name, message: `Missing ${name} value.${rule.hint ? ` ${rule.hint}` : ''}` } };
+        }
+        return { value: rule.default };
+    }
+
+    // ?page=1&page=2 or ?page[x]=1
+    if (typeof raw !== 'string') {
+        return { error: { parameter: name, message: `Invalid ${name} value. Give ${name} once, as a plain value.` } };
+    }
+
+    try {
+        return { value: coercers[rule.type](raw, rule) };
+    } catch (err) {
+        if (!(err instanceof Violation)) throw err;
+
+        const shown = err.extra.invalid ? err.extra.invalid.join(", ") : raw;
+        return {
+            error: {
+                parameter: name,
+                message: `Invalid ${name} value: "${shown}". ${rule.hint || err.hint}`,
+                ...Object.fromEntries(Object.entries(err.extra).filter(([, value]) => value !== undefined))
+            }
+        };
+    }
+};
+
+/* ============================================ */
+/*                 Middleware                   */
+/* ============================================ */
+/**
+ * Validates and coerces `request.params` and `request.query` against the rules of a route.
+ * @param {{ params?: Object<string, object>, query?: Object<string, object> }} schema
+ */
+export default function validate(schema) {
+    const middleware = (request, response, next) => {
+        const errors = [];
+
+        for (const source of ['params', 'query']) {
+            for (const [name, rule] of Object.entries(schema[source] || {})) {
+                const { value, error } = coerce(name, request[source][name], rule);
+
+                if (error) {
+                    errors.push(error);
+                } else if (value === undefined) {
+                    delete request[source][name];
+                } else {
+                    request[source][name] = value;
+                }
+            }
+        }
+
+        if (!errors.length) return next();
+
+        // `parameter` keeps naming the first one, as in every other VALIDATION_ERROR
+        const message = errors.length === 1
+            ? errors[0].message
+            : `${errors.length} parameters are invalid: ${errors.map(error => sentence(error.message)).join(" ")}`;
+        next(new ValidationError(message, { parameter: errors[0].parameter, errors }));
+    };
+
+    // Read by scripts/checkOpenApi.js to compare the rules with the OpenAPI document
+    middleware.schema = schema;
+    return middleware;
+}
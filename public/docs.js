@@ -0,0 +1,192 @@
+// Renders /openapi.json into public/docs.html: one card per endpoint with its parameters,
+// response schema and a form to try it against this server. No dependencies, so it works
+// with the Content-Security-Policy of the API.
+
+(async () => {
+  const nav = document.getElementById('nav');
+  const content = document.getElementById('content');
+
+  /* ============================================ */
+  /*                 DOM helpers                  */
+  /* ============================================ */
+  const el = (tag, attributes = {}, ...children) => {
+    const node = document.createElement(tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      if (value !== undefined && value !== null) node.setAttribute(name, value);
+    }
+    node.append(...children.filter(child => child !== null && child !== undefined));
+    return node;
+  };
+
+  // Markdown-ish text: `code` spans and blank line separated paragraphs, never raw HTML
+  const text = (value) => !value ? [] : value.split(/\n\n+/).map(paragraph => el('p', {},
+    ...paragraph.split('`').map((part, index) => index % 2 ? el('code', {}, part) : part)
+  ));
+
+  const anchorOf = (method, path) => `${method}-${path}`.replace(/[^a-zA-Z0-9]+/g, '-');
+
+  /* ============================================ */
+  /*                 Spec helpers                 */
+  /* ============================================ */
+  let spec;
+  try {
+    const response = await fetch('/openapi.json');
+    spec = await response.json();
+  } catch (err) {
+    content.replaceChildren(el('p', {}, `Could not load /openapi.json: ${err.message}`));
+    return;
+  }
+
+  const resolve = (value) => {
+    if (!value?.$ref) return value;
+    return value.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+  };
+  const refName = (value) => value?.$ref?.split('/').pop();
+
+  // Short type label, e.g. "array of Movie" or "string | null"
+  const typeLabel = (schema) => {
+    if (!schema) return 'any';
+    if (schema.$ref) return refName(schema);
+    if (schema.oneOf) return schema.oneOf.map(typeLabel).join(' | ');
+    if (schema.allOf) return schema.allOf.map(typeLabel).filter(label => label !== 'object').join(' + ') || 'object';
+
+    const types = [].concat(schema.type || 'any');
+    if (types.includes('array')) return `array of ${typeLabel(schema.items)}`;
+    return types.join(' | ');
+  };
+
+  // Properties of a schema, following $ref and allOf
+  const propertiesOf = (schema) => {
+    const resolved = resolve(schema);
+    if (!resolved) return {};
+    if (resolved.allOf) return Object.assign({}, ...resolved.allOf.map(propertiesOf));
+    return resolved.properties || {};
+  };
+
+  /* ============================================ */
+  /*                 Rendering                    */
+  /* ============================================ */
+  const enumLine = (schema) => {
+    const values = schema.enum || schema.items?.enum;
+    return values ? el('div', { class: 'muted' }, 'One of: ', ...values.flatMap((value, index) => [index ? ', ' : '', el('code', {}, String(value))])) : null;
+  };
+
+  const parameterTable = (parameters) => el('table', {},
+    el('tr', {}, el('th', {}, 'Name'), el('th', {}, 'In'), el('th', {}, 'Type'), el('th', {}, 'Description')),
+    ...parameters.map(parameter => el('tr', {},
+      el('td', {}, el('code', {}, parameter.name), parameter.required ? el('div', { class: 'required' }, 'required') : null),
+      el('td', {}, parameter.in),
+      el('td', {}, typeLabel(parameter.schema), parameter.schema?.default !== undefined ? el('div', { class: 'muted' }, `default ${parameter.schema.default}`) : null),
+      el('td', {}, ...text(parameter.description), enumLine(parameter.schema || {}))
+    ))
+  );
+
+  const schemaTable = (schema) => el('table', {},
+    el('tr', {}, el('th', {}, 'Field'), el('th', {}, 'Type'), el('th', {}, 'Description')),
+    ...Object.entries(propertiesOf(schema)).map(([name, property]) => el('tr', {},
+      el('td', {}, el('code', {}, name)),
+      el('td', {}, refName(property) || refName(property.items)
+        ? el('a', { href: `#schema-${refName(property) || refName(property.items)}` }, typeLabel(property))
+        : typeLabel(property)),
+      el('td', {}, ...text(property.description), enumLine(property))
+    ))
+  );
+
+  // Form sending the request through the /v2 prefix, so the answer is the documented envelope
+  const tryIt = (path, parameters) => {
+    const output = el('pre', { hidden: '' });
+    const inputs = parameters.filter(parameter => parameter.in !== 'header').map(parameter => {
+      const values = parameter.schema?.enum || (parameter.schema?.type === 'boolean' ? [true, false] : null);
+      const input = values
+        ? el('select', { name: parameter.name }, el('option', { value: '' }, ''), ...values.map(value => el('option', { value }, String(value))))
+        : el('input', { name: parameter.name, placeholder: parameter.required ? 'required' : '' });
+      return { parameter, input, row: el('div', {}, el('label', {}, parameter.name), input) };
+    });
+
+    const send = el('button', { type: 'button' }, 'Send');
+    send.addEventListener('click', async () => {
+      let url = `/v2${path}`;
+      const query = new URLSearchParams();
+
+      for (const { parameter, input } of inputs) {
+        if (!input.value) continue;
+        if (parameter.in === 'path') url = url.replace(`{${parameter.name}}`, encodeURIComponent(input.value));
+        else query.set(parameter.name, input.value);
+      }
+      if ([...query].length) url += `?${query}`;
+
+      output.hidden = false;
+      output.textContent = `GET ${url}\n\n...`;
+      try {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        const body = await response.json();
+        output.textContent = `GET ${url}\n${response.status} ${response.statusText}\n\n${JSON.stringify(body, null, 2)}`;
+      } catch (err) {
+        output.textContent = `GET ${url}\n\n${err.message}`;
+      }
+    });
+
+    return el('details', { class: 'try-it' }, el('summary', {}, 'Try it'), ...inputs.map(({ row }) => row), send, output);
+  };
+
+  const operationCard = (method, path, operation) => {
+    const parameters = (operation.parameters || []).map(resolve);
+    const success = operation.responses['200'];
+    const data = success?.content?.['application/json']?.schema?.properties?.data;
+    const paginated = success?.content?.['application/json']?.schema?.properties?.pagination?.$ref;
+
+    const errors = Object.entries(operation.responses)
+      .filter(([status]) => status !== '200')
+      .map(([status, response]) => el('li', {}, el('strong', {}, status), ' ', ...text(resolve(response).description)));
+
+    return el('section', { class: 'operation', id: anchorOf(method, path) },
+      el('div', { class: 'operation-title' }, el('span', { class: 'method' }, method.toUpperCase()), el('code', {}, path)),
+      el('div', { class: 'summary' }, operation.summary),
+      ...text(operation.description),
+      el('h4', {}, 'Parameters'),
+      parameterTable(parameters),
+      el('h4', {}, 'Response'),
+      el('p', {}, el('code', {}, 'data'), `: ${typeLabel(data)}`, paginated ? ', paginated' : ''),
+      data ? schemaTable(data.items || data) : null,
+      el('h4', {}, 'Errors'),
+      el('ul', {}, ...errors),
+      tryIt(path, parameters)
+    );
+  };
+
+  /* ============================================ */
+  /*                 Page                         */
+  /* ============================================ */
+  const byTag = new Map(spec.tags.map(tag => [tag.name, []]));
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const tag = operation.tags?.[0] || 'Other';
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push({ method, path, operation });
+    }
+  }
+
+  const sections = [el('section', { class: 'intro' }, el('h2', {}, `${spec.info.title} ${spec.info.version}`), ...text(spec.info.description))];
+  const navItems = [];
+
+  for (const [tag, operations] of byTag) {
+    sections.push(el('h2', { id: `tag-${tag}` }, tag));
+    navItems.push(el('h3', {}, tag));
+    navItems.push(el('ul', {}, ...operations.map(({ method, path, operation }) =>
+      el('li', {}, el('a', { href: `#${anchorOf(method, path)}`, title: operation.summary }, path))
+    )));
+    sections.push(...operations.map(({ method, path, operation }) => operationCard(method, path, operation)));
+  }
+
+  sections.push(el('h2', { id: 'schemas' }, 'Schemas'));
+  navItems.push(el('h3', {}, el('a', { href: '#schemas' }, 'Schemas')));
+  for (const [name, schema] of Object.entries(spec.components.schemas)) {
+    sections.push(el('section', { class: 'schema', id: `schema-${name}` }, el('h4', {}, name), ...text(schema.description), schemaTable(schema)));
+  }
+
+  nav.replaceChildren(...navItems);
+  content.replaceChildren(...sections);
+
+  // The anchor of the URL only exists once everything is rendered
+  if (location.hash) document.getElementById(decodeURIComponent(location.hash.slice(1)))?.scrollIntoView();
+})();
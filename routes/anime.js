@@ -8,26 +8,131 @@
 */
 
 import express from 'express';
-import axios from 'axios';
 import logger from '../utils/logger.js';
+import { respond, jikanPagination } from '../utils/envelope.js';
 import { URLs } from '../config/constants.js';
-import redisClient from '../caching/redisClient.js';
+import { withCache } from '../caching/cache.js';
+import { jikanGet } from '../utils/httpClient.js';
+import validate, { PAGE } from '../middlewares/validate.js';
 
 const router = express.Router();
 
+/* =============================================== */
+/*                  Allowed values                 */
+/* =============================================== */
+// Also listed in the OpenAPI document (config/openapi.js)
+export const SEASON_FILTERS = ["tv", "movie", "ova", "special", "ona", "music"];
+export const TOP_FILTERS = ["airing", "upcoming", "bypopularity", "favorite"];
+export const ANIME_TYPES = ["tv", "movie", "ova", "special", "ona", "music", "cm", "pv", "tv_special"];
+export const ANIME_STATUSES = ["airing", "complete", "upcoming"];
+export const ANIME_RATINGS = ["g", "pg", "pg13", "r17", "r", "rx"];
+export const ANIME_ORDER_BY = ["mal_id", "title", "start_date", "end_date", "episodes", "score", "scored_by", "rank", "popularity", "members", "favorites"];
+export const SORT_DIRECTIONS = ["desc", "asc"];
+
+// Jikan answers 25 entries at most
+const LIMIT = { type: 'integer', min: 1, max: 25, default: 25 };
+const ANIME_ID = { type: 'integer', min: 1, hint: 'Anime ids are numeric MyAnimeList ids.' };
+const SCORE = { type: 'number', min: 0, max: 10 };
+
+// Current and next season lists take the same parameters
+const seasonQuery = {
+    page: PAGE,
+    limit: LIMIT,
+    filter: { type: 'enum', values: SEASON_FILTERS },
+    sfw: { type: 'flag' },
+    unapproved: { type: 'flag' },
+    continuing: { type: 'flag' }
+};
+
+/* =============================================== */
+/*                  List items                     */
+/* =============================================== */
+// Season and top lists share one item shape, GraphQL builds its Anime type from it as well
+export const formatAnime = (anime) => ({
+    mal_id: anime.mal_id,
+    mal_url: anime.url,
+    images: [
+        anime.images?.jpg?.image_url || null,
+        anime.images?.jpg?.large_image_url || null,
+        anime.trailer?.images?.maximum_image_url || null
+    ],
+    trailer: {
+        yt_id: anime.trailer?.youtube_id,
+        yt_url: anime.trailer?.url,
+        embed_url: anime.trailer?.embed_url
+    },
+    titles: {
+        default_title: anime.title,
+        japanese_title: anime.title_japanese,
+        english_title: anime.title_english
+    },
+    episodes: anime.episodes,
+    rating: anime.rating,
+    type: anime.type,
+    source: anime.source,
+    status: anime.status,
+    score: anime.score,
+    rank: anime.rank,
+    popularity: anime.popularity,
+    synopsis: anime.synopsis,
+    backgroud: anime.backgroud,
+    season: anime.season,
+    year: anime.year,
+    genres: anime.genres.map(genre => genre.name),
+    themes: anime.themes.map(theme => theme.name),
+    demographics: anime.demographics.map(demographic => demographic.name),
+    explicit_genres: anime.explicit_genres.map(genre => genre.name)
+});
+
 /* =============================================== */
 /*                  Trending anime                 */
 /* =============================================== */
-router.get("/trending/anime", async (request, response) => {
-    let { page = 1, limit = 25, filter, sfw, unapproved, continuing } = request.query;
+router.get("/trending/anime", validate({ query: seasonQuery }), async (request, response, next) => {
+    const { page, limit } = request.query;
 
-    // Define allowed filter values & validate
-    const allowedFilters = ["tv", "movie", "ova", "special", "ona", "music"];
+    try {
+        const responseData = await getTrendingAnime(request.query);
 
-    if (filter && !allowedFilters.includes(filter)) {
-        return response.status(400).send({ error: `Invalid filter value: "${filter}". Allowed values are: ${allowedFilters.join(", ")}` });
+        // Check if the requested page exceeds the last visible page
+        if (page > responseData.pagination.last_visible_page) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: jikanPagination({ ...responseData.pagination, current_page: page, has_next_page: false }),
+                meta: { source: 'jikan', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.last_visible_page,
+                        has_next_page: false,
+                        items: {
+                            count: 0,
+                            total: 0,
+                            per_page: limit
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
+            });
+        }
+
+        respond(request, response, {
+            data: responseData.results,
+            pagination: jikanPagination(responseData.pagination),
+            meta: { source: 'jikan' },
+            legacy: responseData
+        });
+    } catch (err) {
+        next(err);
     }
+});
 
+/* =============================================== */
+/*            Trending anime (shared logic)        */
+/* =============================================== */
+// Also used by the GraphQL endpoint
+export async function getTrendingAnime({ page = 1, limit = 25, filter, sfw, unapproved, continuing }) {
     // Generate Redis key dynamically based on existing query parameters
     const redisKeyParts = [`trending_anime_${page}_${limit}`];
     if (filter) redisKeyParts.push(`filter_${filter}`);
@@ -37,7 +142,7 @@ router.get("/trending/anime", async (request, response) => {
 
     const redisKey = redisKeyParts.join('_');
 
-    try {
+    return withCache(redisKey, 'trending_anime', async () => {
         let trendingAnimeUrl = `${URLs.jikan}/seasons/now?page=${page}&limit=${limit}`;
 
         // Add filters if provided
@@ -46,68 +151,10 @@ router.get("/trending/anime", async (request, response) => {
         if (unapproved) trendingAnimeUrl += `&unapproved`;
         if (continuing) trendingAnimeUrl += `&continuing`;
 
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving trending anime data from cache 🧑‍🍳🍽️🍕");
-            return response.send(JSON.parse(cachedData));
-        }
-
-        const trending = await axios.get(trendingAnimeUrl);
+        const trending = await jikanGet(trendingAnimeUrl);
         const trendingAnimeData = trending.data;
 
-        // Check if the requested page exceeds the last visible page
-        if (page > trendingAnimeData.pagination.last_visible_page) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: trendingAnimeData.pagination.last_visible_page,
-                    has_next_page: false,
-                    items: {
-                        count: 0,
-                        total: 0,
-                        per_page: limit
-                    }
-                },
-                results: [],
-                message: "No results found for the requested page."
-            });
-        }
-
-        const trendingAnimeArray = trendingAnimeData.data.slice(0, limit).map(anime => ({
-            mal_id: anime.mal_id,
-            mal_url: anime.url,
-            images: [
-                anime.images?.jpg?.image_url || null,
-                anime.images?.jpg?.large_image_url || null,
-                anime.trailer.images?.maximum_image_url || null
-            ],
-            trailer: {
-                yt_id: anime.trailer.youtube_id,
-                yt_url: anime.trailer.url,
-                embed_url: anime.trailer.embed_url
-            },
-            titles: {
-                default_title: anime.title,
-                japanese_title: anime.title_japanese,
-                english_title: anime.title_english
-            },
-            episodes: anime.episodes,
-            rating: anime.rating,
-            type: anime.type,
-            source: anime.source,
-            status: anime.status,
-            score: anime.score,
-            rank: anime.rank,
-            popularity: anime.popularity,
-            synopsis: anime.synopsis,
-            backgroud: anime.backgroud,
-            season: anime.season,
-            year: anime.year,
-            genres: anime.genres.map(genre => genre.name),
-            themes: anime.themes.map(theme => theme.name),
-            demographics: anime.demographics.map(demographic => demographic.name),
-            explicit_genres: anime.explicit_genres.map(genre => genre.name)
-        }));
+        const trendingAnimeArray = trendingAnimeData.data.slice(0, limit).map(formatAnime);
 
         const paginationInfo = {
             current_page: page,
@@ -120,160 +167,113 @@ router.get("/trending/anime", async (request, response) => {
             }
         };
 
-        const responseData = {
+        logger.info(`Fetched trending anime with query params: page=${page}, limit=${limit}, filter=${filter}, at ${new Date().toISOString()}`);
+
+        return {
             pagination: paginationInfo,
             results: trendingAnimeArray
         };
-
-        await redisClient.set(redisKey, JSON.stringify(responseData), 'EX', 3600);
-
-        logger.info(`Fetched trending anime with query params: page=${page}, limit=${limit}, filter=${filter}, at ${new Date().toISOString()}`);
-        response.send(responseData);
-    } catch (err) {
-        handleError(err, response);
-    }
-});
+    });
+}
 
 /* =============================================== */
 /*                  Popular anime                  */
 /* =============================================== */
-router.get("/popular/anime", async (request, response) => {
-    let { page = 1, limit = 25, type, filter, rating, sfw } = request.query;
-
-    // Define allowed filter values & validate
-    const allowedFilters = ["airing", "upcoming", "bypopularity", "favorite"];
-    const allowedTypes = ["tv", "movie", "ova", "special", "ona", "music", "cm", "pv", "tv_special"];
-    const allowedRatings = ["g", "pg", "pg13", "r17", "r", "rx"];
-
-    if (filter && !allowedFilters.includes(filter)) {
-        return response.status(400).send({ error: `Invalid filter value: "${filter}". Allowed values are: ${allowedFilters.join(", ")}` });
-    }
-
-    if (type && !allowedTypes.includes(type)) {
-        return response.status(400).send({ error: `Invalid type value: "${type}". Allowed values are: ${allowedTypes.join(", ")}` });
-    }
-
-    if (rating && !allowedRatings.includes(rating)) {
-        return response.status(400).send({ error: `Invalid rating value: "${type}". Allowed values are: ${allowedRatings.join(", ")}` });
+router.get("/popular/anime", validate({
+    query: {
+        page: PAGE,
+        limit: LIMIT,
+        type: { type: 'enum', values: ANIME_TYPES },
+        filter: { type: 'enum', values: TOP_FILTERS },
+        rating: { type: 'enum', values: ANIME_RATINGS },
+        sfw: { type: 'flag' }
     }
+}), async (request, response, next) => {
+    const { page, limit, type, filter, rating, sfw } = request.query;
 
     // Generate Redis key dynamically based on existing query parameters
     const redisKeyParts = [`popular_anime_${page}_${limit}`];
     if (type) redisKeyParts.push(`type_${type}`);
     if (filter) redisKeyParts.push(`filter_${filter}`);
+    if (rating) redisKeyParts.push(`rating_${rating}`);
     if (sfw) redisKeyParts.push(`sfw`);
 
     const redisKey = redisKeyParts.join('_');
 
     try {
-        let popularAnimeUrl = `${URLs.jikan}/top/anime?page=${page}&limit=${limit}`;
-
-        // add filters if provided
-        if (type) popularAnimeUrl += `&type=${type}`;
-        if (filter) popularAnimeUrl += `&filter=${filter}`;
-        if (rating) popularAnimeUrl += `&rating=${rating}`;
-        if (sfw) popularAnimeUrl += `&sfw`;
-
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving popular anime data from cache 🧑‍🍳🍽️🍕");
-            return response.send(JSON.parse(cachedData));
-        }
-
-        const popular = await axios.get(popularAnimeUrl);
-        const popularAnimeData = popular.data;
+        const responseData = await withCache(redisKey, 'popular_anime', async () => {
+            let popularAnimeUrl = `${URLs.jikan}/top/anime?page=${page}&limit=${limit}`;
+
+            // add filters if provided
+            if (type) popularAnimeUrl += `&type=${type}`;
+            if (filter) popularAnimeUrl += `&filter=${filter}`;
+            if (rating) popularAnimeUrl += `&rating=${rating}`;
+            if (sfw) popularAnimeUrl += `&sfw`;
+
+            const popular = await jikanGet(popularAnimeUrl);
+            const popularAnimeData = popular.data;
+
+            const popularAnimeArray = popularAnimeData.data.slice(0, limit).map(formatAnime);
+
+            const paginationInfo = {
+                current_page: page,
+                last_visible_page: popularAnimeData.pagination.last_visible_page,
+                has_next_page: popularAnimeData.pagination.has_next_page,
+                items: {
+                    count: popularAnimeData.pagination.items.count,
+                    total: popularAnimeData.pagination.items.total,
+                    per_page: limit
+                }
+            };
+
+            logger.info(`Fetched popular anime with query params: page=${page}, limit=${limit}, filter=${filter}, at ${new Date().toISOString()}`);
+
+            return {
+                pagination: paginationInfo,
+                results: popularAnimeArray
+            };
+        });
 
         // Check if the requested page exceeds the last visible page
-        if (page > popularAnimeData.pagination.last_visible_page) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: popularAnimeData.pagination.last_visible_page,
-                    has_next_page: false,
-                    items: {
-                        count: 0,
-                        total: 0,
-                        per_page: limit
-                    }
-                },
-                results: [],
-                message: "No results found for the requested page."
+        if (page > responseData.pagination.last_visible_page) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: jikanPagination({ ...responseData.pagination, current_page: page, has_next_page: false }),
+                meta: { source: 'jikan', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.last_visible_page,
+                        has_next_page: false,
+                        items: {
+                            count: 0,
+                            total: 0,
+                            per_page: limit
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
             });
         }
 
-        const popularAnimeArray = popularAnimeData.data.slice(0, limit).map(anime => ({
-            mal_id: anime.mal_id,
-            mal_url: anime.url,
-            images: [
-                anime.images.jpg.image_url,
-                anime.images.jpg.large_image_url,
-                anime.trailer.images?.maximum_image_url || null
-            ],
-            trailer: {
-                yt_id: anime.trailer.youtube_id,
-                yt_url: anime.trailer.url,
-                embed_url: anime.trailer.embed_url
-            },
-            titles: {
-                default_title: anime.title,
-                japanese_title: anime.title_japanese,
-                english_title: anime.title_english
-            },
-            episodes: anime.episodes,
-            rating: anime.rating,
-            type: anime.type,
-            source: anime.source,
-            status: anime.status,
-            score: anime.score,
-            rank: anime.rank,
-            popularity: anime.popularity,
-            synopsis: anime.synopsis,
-            backgroud: anime.backgroud,
-            season: anime.season,
-            year: anime.year,
-            genres: anime.genres.map(genre => genre.name),
-            themes: anime.themes.map(theme => theme.name),
-            demographics: anime.demographics.map(demographic => demographic.name),
-            explicit_genres: anime.explicit_genres.map(genre => genre.name)
-        }));
-
-        const paginationInfo = {
-            current_page: page,
-            last_visible_page: popularAnimeData.pagination.last_visible_page,
-            has_next_page: popularAnimeData.pagination.has_next_page,
-            items: {
-                count: popularAnimeData.pagination.items.count,
-                total: popularAnimeData.pagination.items.total,
-                per_page: limit
-            }
-        };
-
-        const responseData = {
-            pagination: paginationInfo,
-            results: popularAnimeArray
-        };
-
-        await redisClient.set(redisKey, JSON.stringify(responseData), 'EX', 3600);
-
-        logger.info(`Fetched popular anime with query params: page=${page}, limit=${limit}, filter=${filter}, at ${new Date().toISOString()}`);
-        response.send(responseData);
+        respond(request, response, {
+            data: responseData.results,
+            pagination: jikanPagination(responseData.pagination),
+            meta: { source: 'jikan' },
+            legacy: responseData
+        });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
 /* =============================================== */
 /*                  Upcoming anime                 */
 /* =============================================== */
-router.get("/upcoming/anime", async (request, response) => {
-    let { page = 1, limit = 25, filter, sfw, unapproved, continuing } = request.query;
-
-    // Define allowed filter values & validate
-    const allowedFilters = ["tv", "movie", "ova", "special", "ona", "music"];
-
-    if (filter && !allowedFilters.includes(filter)) {
-        return response.status(400).send({ error: `Invalid filter value: "${filter}". Allowed values are: ${allowedFilters.join(", ")}` });
-    }
+router.get("/upcoming/anime", validate({ query: seasonQuery }), async (request, response, next) => {
+    const { page, limit, filter, sfw, unapproved, continuing } = request.query;
 
     // Generate Redis key dynamically based on existing query parameters
     const redisKeyParts = [`upcoming_anime_${page}_${limit}`];
@@ -285,143 +285,115 @@ router.get("/upcoming/anime", async (request, response) => {
     const redisKey = redisKeyParts.join('_');
 
     try {
-        const upcomingAnimeUrl = `${URLs.jikan}/seasons/upcoming?page=${page}&limit=${limit}`;
-
-        // Add filters if provided
-        if (filter) upcomingAnimeUrl += `&filter=${filter}`;
-        if (sfw) upcomingAnimeUrl += `&sfw`;
-        if (unapproved) upcomingAnimeUrl += `&unapproved`;
-        if (continuing) upcomingAnimeUrl += `&continuing`;
-
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving upcoming anime data from cache 🧑‍🍳🍽️🍕");
-            return response.send(JSON.parse(cachedData));
-        }
-
-        const upcoming = await axios.get(upcomingAnimeUrl);
-        const upcomingAnimeData = upcoming.data;
+        const responseData = await withCache(redisKey, 'upcoming_anime', async () => {
+            let upcomingAnimeUrl = `${URLs.jikan}/seasons/upcoming?page=${page}&limit=${limit}`;
+
+            // Add filters if provided
+            if (filter) upcomingAnimeUrl += `&filter=${filter}`;
+            if (sfw) upcomingAnimeUrl += `&sfw`;
+            if (unapproved) upcomingAnimeUrl += `&unapproved`;
+            if (continuing) upcomingAnimeUrl += `&continuing`;
+
+            const upcoming = await jikanGet(upcomingAnimeUrl);
+            const upcomingAnimeData = upcoming.data;
+
+            const upcomingAnimeArray = upcomingAnimeData.data.slice(0, limit).map(formatAnime);
+
+            const paginationInfo = {
+                current_page: page,
+                last_visible_page: upcomingAnimeData.pagination.last_visible_page,
+                has_next_page: upcomingAnimeData.pagination.has_next_page,
+                items: {
+                    count: upcomingAnimeData.pagination.items.count,
+                    total: upcomingAnimeData.pagination.items.total,
+                    per_page: limit
+                }
+            };
+
+            logger.info(`Fetched upcoming anime with query params: page=${page}, limit=${limit}, filter=${filter}, at ${new Date().toISOString()}`);
+
+            return {
+                pagination: paginationInfo,
+                results: upcomingAnimeArray
+            };
+        });
 
         // Check if the requested page exceeds the last visible page
-        if (page > upcomingAnimeData.pagination.last_visible_page) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: upcomingAnimeData.pagination.last_visible_page,
-                    has_next_page: false,
-                    items: {
-                        count: 0,
-                        total: 0,
-                        per_page: limit
-                    }
-                },
-                results: [],
-                message: "No results found for the requested page."
+        if (page > responseData.pagination.last_visible_page) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: jikanPagination({ ...responseData.pagination, current_page: page, has_next_page: false }),
+                meta: { source: 'jikan', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.last_visible_page,
+                        has_next_page: false,
+                        items: {
+                            count: 0,
+                            total: 0,
+                            per_page: limit
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
             });
         }
 
-        const upcomingAnimeArray = upcomingAnimeData.data.slice(0, limit).map(anime => ({
-            mal_id: anime.mal_id,
-            mal_url: anime.url,
-            images: [
-                anime.images.jpg.image_url,
-                anime.images.jpg.large_image_url,
-                anime.trailer.images?.maximum_image_url || null
-            ],
-            trailer: {
-                yt_id: anime.trailer.youtube_id,
-                yt_url: anime.trailer.url,
-                embed_url: anime.trailer.embed_url
-            },
-            titles: {
-                default_title: anime.title,
-                japanese_title: anime.title_japanese,
-                english_title: anime.title_english
-            },
-            episodes: anime.episodes,
-            rating: anime.rating,
-            type: anime.type,
-            source: anime.source,
-            status: anime.status,
-            score: anime.score,
-            rank: anime.rank,
-            popularity: anime.popularity,
-            synopsis: anime.synopsis,
-            backgroud: anime.backgroud,
-            season: anime.season,
-            year: anime.year,
-            genres: anime.genres.map(genre => genre.name),
-            themes: anime.themes.map(theme => theme.name),
-            demographics: anime.demographics.map(demographic => demographic.name),
-            explicit_genres: anime.explicit_genres.map(genre => genre.name)
-        }));
-
-        const paginationInfo = {
-            current_page: page,
-            last_visible_page: upcomingAnimeData.pagination.last_visible_page,
-            has_next_page: upcomingAnimeData.pagination.has_next_page,
-            items: {
-                count: upcomingAnimeData.pagination.items.count,
-                total: upcomingAnimeData.pagination.items.total,
-                per_page: limit
-            }
-        };
-
-        const responseData = {
-            pagination: paginationInfo,
-            results: upcomingAnimeArray
-        };
-
-        await redisClient.set(redisKey, JSON.stringify(responseData), 'EX', 3600);
-
-        logger.info(`Fetched upcoming anime with query params: page=${page}, limit=${limit}, filter=${filter}, at ${new Date().toISOString()}`);
-        response.send(responseData);
+        respond(request, response, {
+            data: responseData.results,
+            pagination: jikanPagination(responseData.pagination),
+            meta: { source: 'jikan' },
+            legacy: responseData
+        });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
 /* ================================================== */
 /*                 Search anime by id                 */
 /* ================================================== */
-router.get("/search/anime/:id", async (request, response) => {
+router.get("/search/anime/:id", validate({ params: { id: ANIME_ID } }), async (request, response, next) => {
     const animeId = request.params.id;
 
-    const redisKey = `search_anime_${animeId}`;
-
-    // adding a delay
-    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
     try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info(`Serving anime with id->${animeId} data from cache 🧑‍🍳🍽️🍕`);
-            return response.send(JSON.parse(cachedData));
-        }
-
-        const fetchAnime = async () => {
-            await delay(0); // No delay 
-            return axios.get(`${URLs.jikan}/anime/${animeId}`);
-        };
+        const searchAnimeData = await getAnimeDetails(animeId);
 
-        const fetchImages = async () => {
-            await delay(1000); // 1 second delay 
-            return axios.get(`${URLs.jikan}/anime/${animeId}/pictures`);
-        };
+        respond(request, response, {
+            data: { ...searchAnimeData.data, images_data: searchAnimeData.images_data, videos: searchAnimeData.videos },
+            meta: { source: 'jikan', mal_id: animeId },
+            legacy: searchAnimeData
+        });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        const fetchVideos = async () => {
-            await delay(2000); // 2 seconds delay 
-            return axios.get(`${URLs.jikan}/anime/${animeId}/videos`);
-        };
+/* ================================================== */
+/*            Anime by id (shared logic)              */
+/* ================================================== */
+// Also used by the GraphQL endpoint. Resolves with Jikan's { data } body plus `images_data` and `videos`.
+export async function getAnimeDetails(animeId) {
+    const redisKey = `search_anime_${animeId}`;
 
+    return withCache(redisKey, 'anime_details', async () => {
+        // The Jikan queue spaces these out to fit the rate budget
         const [animeResult, imagesResult, videosResult] = await Promise.allSettled([
-            fetchAnime(),
-            fetchImages(),
-            fetchVideos()
+            jikanGet(`${URLs.jikan}/anime/${animeId}`),
+            jikanGet(`${URLs.jikan}/anime/${animeId}/pictures`),
+            jikanGet(`${URLs.jikan}/anime/${animeId}/videos`)
         ]);
 
+        // Without the anime itself there is nothing worth caching, let the cache fall back to stale data
+        if (animeResult.status === 'rejected') {
+            throw animeResult.reason;
+        }
+
         // Handling anime data
-        let searchAnimeData = animeResult.status === 'fulfilled' ? animeResult.value.data : { isFetched: false, error: "Can't fetch anime data" };
+        let animeData = animeResult.value.data;
 
         // Handling images data
         let imagesData = imagesResult.status === 'fulfilled'
@@ -450,72 +422,259 @@ router.get("/search/anime/:id", async (request, response) => {
             ? { isFetched: true, data: videosResult.value.data.data }
             : { isFetched: false, error: "Can't fetch videos" };
 
-        searchAnimeData.images_data = organizedImages;
-        searchAnimeData.videos = videosData;
-
-        await redisClient.set(redisKey, JSON.stringify(searchAnimeData), 'EX', 3600);
+        animeData.images_data = organizedImages;
+        animeData.videos = videosData;
 
         logger.info(`Successfully fetched anime for ID "${animeId}" at ${new Date().toISOString()}`);
-        response.send(searchAnimeData);
+
+        return animeData;
+    });
+}
+
+/* ================================================== */
+/*                 Anime episodes                     */
+/* ================================================== */
+router.get("/anime/:id/episodes", validate({ params: { id: ANIME_ID }, query: { page: PAGE } }), async (request, response, next) => {
+    const animeId = request.params.id;
+    const { page } = request.query;
+
+    const redisKey = `anime_episodes_${animeId}_${page}`;
+
+    try {
+        const responseData = await withCache(redisKey, 'anime_episodes', async () => {
+            const episodes = await jikanGet(`${URLs.jikan}/anime/${animeId}/episodes?page=${page}`);
+            const episodesData = episodes.data;
+
+            const episodesArray = episodesData.data.map(episode => ({
+                episode: episode.mal_id,
+                mal_url: episode.url,
+                titles: {
+                    default_title: episode.title,
+                    japanese_title: episode.title_japanese,
+                    romanji_title: episode.title_romanji
+                },
+                aired: episode.aired,
+                score: episode.score,
+                filler: episode.filler,
+                recap: episode.recap,
+                forum_url: episode.forum_url
+            }));
+
+            const paginationInfo = {
+                current_page: page,
+                last_visible_page: episodesData.pagination.last_visible_page,
+                has_next_page: episodesData.pagination.has_next_page,
+                items: {
+                    count: episodesArray.length,
+                    total: null,
+                    // Jikan lists episodes 100 at a time
+                    per_page: 100
+                }
+            };
+
+            logger.info(`Fetched episodes page ${page} of anime ID "${animeId}" at ${new Date().toISOString()}`);
+
+            return {
+                pagination: paginationInfo,
+                results: episodesArray
+            };
+        });
+
+        // Check if the requested page exceeds the last visible page
+        if (page > responseData.pagination.last_visible_page) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: jikanPagination({ ...responseData.pagination, current_page: page, has_next_page: false }),
+                meta: { source: 'jikan', mal_id: animeId, message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.last_visible_page,
+                        has_next_page: false,
+                        items: {
+                            count: 0,
+                            total: null,
+                            per_page: 100
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
+            });
+        }
+
+        respond(request, response, {
+            data: responseData.results,
+            pagination: jikanPagination(responseData.pagination),
+            meta: { source: 'jikan', mal_id: animeId },
+            legacy: responseData
+        });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
-/* ===================================================== */
-/*                 Search anime by query                 */
-/* ===================================================== */
-router.get("/search/anime", async (request, response) => {
-    let {
-        page = 1,
-        limit = 25,
-        q,
-        type,
-        score,
-        min_score,
-        max_score,
-        status,
-        rating,
-        sfw,
-        genres,
-        genres_exclude,
-        order_by,
-        sort = "desc",
-        letter,
-        producers,
-        start_date,
-        end_date,
-        unapproved
-    } = request.query;
-
-    // Allowed Enums for validation
-    const allowedTypes = ["tv", "movie", "ova", "special", "ona", "music", "cm", "pv", "tv_special"];
-    const allowedStatuses = ["airing", "complete", "upcoming"];
-    const allowedRatings = ["g", "pg", "pg13", "r17", "r", "rx"];
-    const allowedOrderBy = ["mal_id", "title", "start_date", "end_date", "episodes", "score", "scored_by", "rank", "popularity", "members", "favorites"];
-    const allowedSortDirections = ["desc", "asc"];
-
-    // Validation (only if the query parameters are provided)
-    if (type && !allowedTypes.includes(type)) {
-        return response.status(400).send({ error: `Invalid type value: "${type}". Allowed values are: ${allowedTypes.join(", ")}` });
-    }
+/* ================================================== */
+/*                 Anime characters                   */
+/* ================================================== */
+router.get("/anime/:id/characters", validate({ params: { id: ANIME_ID } }), async (request, response, next) => {
+    const animeId = request.params.id;
 
-    if (status && !allowedStatuses.includes(status)) {
-        return response.status(400).send({ error: `Invalid status value: "${status}". Allowed values are: ${allowedStatuses.join(", ")}` });
+    const redisKey = `anime_characters_${animeId}`;
+
+    try {
+        const charactersArray = await withCache(redisKey, 'anime_characters', async () => {
+            const characters = await jikanGet(`${URLs.jikan}/anime/${animeId}/characters`);
+
+            logger.info(`Fetched characters of anime ID "${animeId}" at ${new Date().toISOString()}`);
+
+            return characters.data.data.map(entry => ({
+                ...formatPerson(entry.character),
+                role: entry.role,
+                favorites: entry.favorites,
+                voice_actors: entry.voice_actors.map(voiceActor => ({
+                    ...formatPerson(voiceActor.person),
+                    language: voiceActor.language
+                }))
+            }));
+        });
+
+        respond(request, response, { data: charactersArray, meta: { source: 'jikan', mal_id: animeId } });
+    } catch (err) {
+        next(err);
     }
+});
+
+/* ================================================== */
+/*                 Anime staff                        */
+/* ================================================== */
+router.get("/anime/:id/staff", validate({ params: { id: ANIME_ID } }), async (request, response, next) => {
+    const animeId = request.params.id;
 
-    if (rating && !allowedRatings.includes(rating)) {
-        return response.status(400).send({ error: `Invalid rating value: "${rating}". Allowed values are: ${allowedRatings.join(", ")}` });
+    const redisKey = `anime_staff_${animeId}`;
+
+    try {
+        const staffArray = await withCache(redisKey, 'anime_staff', async () => {
+            const staff = await jikanGet(`${URLs.jikan}/anime/${animeId}/staff`);
+
+            logger.info(`Fetched staff of anime ID "${animeId}" at ${new Date().toISOString()}`);
+
+            return staff.data.data.map(entry => ({
+                ...formatPerson(entry.person),
+                positions: entry.positions
+            }));
+        });
+
+        respond(request, response, { data: staffArray, meta: { source: 'jikan', mal_id: animeId } });
+    } catch (err) {
+        next(err);
     }
+});
+
+// Characters, voice actors and staff all come as { mal_id, url, images, name }
+const formatPerson = (person) => ({
+    mal_id: person.mal_id,
+    mal_url: person.url,
+    images: [
+        person.images?.jpg?.image_url || null,
+        person.images?.webp?.image_url || null
+    ],
+    name: person.name
+});
 
-    if (order_by && !allowedOrderBy.includes(order_by)) {
-        return response.status(400).send({ error: `Invalid order_by value: "${order_by}". Allowed values are: ${allowedOrderBy.join(", ")}` });
+/* ===================================================== */
+/*                 Search anime by query                 */
+/* ===================================================== */
+router.get("/search/anime", validate({
+    query: {
+        q: { type: 'string' },
+        page: PAGE,
+        limit: LIMIT,
+        type: { type: 'enum', values: ANIME_TYPES },
+        score: SCORE,
+        min_score: SCORE,
+        max_score: SCORE,
+        status: { type: 'enum', values: ANIME_STATUSES },
+        rating: { type: 'enum', values: ANIME_RATINGS },
+        sfw: { type: 'flag' },
+        genres: { type: 'list', items: { type: 'integer', min: 1 } },
+        genres_exclude: { type: 'list', items: { type: 'integer', min: 1 } },
+        order_by: { type: 'enum', values: ANIME_ORDER_BY },
+        sort: { type: 'enum', values: SORT_DIRECTIONS, default: 'desc' },
+        letter: { type: 'string', pattern: /^[A-Za-z0-9]$/, hint: 'Use a single letter or digit.' },
+        producers: { type: 'list', items: { type: 'integer', min: 1 } },
+        start_date: { type: 'date' },
+        end_date: { type: 'date' },
+        unapproved: { type: 'flag' }
     }
+}), async (request, response, next) => {
+    const { page, limit } = request.query;
+
+    try {
+        const searchAnimeData = await searchAnime(request.query);
+
+        // Check if the requested page exceeds the last visible page
+        if (page > searchAnimeData.pagination.last_visible_page) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: jikanPagination({ ...searchAnimeData.pagination, current_page: page, has_next_page: false }),
+                meta: { source: 'jikan', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: searchAnimeData.pagination.last_visible_page,
+                        has_next_page: false,
+                        items: {
+                            count: 0,
+                            total: 0,
+                            per_page: limit
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
+            });
+        }
 
-    if (sort && !allowedSortDirections.includes(sort)) {
-        return response.status(400).send({ error: `Invalid sort value: "${sort}". Allowed values are: ${allowedSortDirections.join(", ")}` });
+        logger.info(`Fetched searched anime with query parameters: ${JSON.stringify(request.query)} at ${new Date().toISOString()}`);
+        respond(request, response, {
+            data: searchAnimeData.data,
+            pagination: jikanPagination(searchAnimeData.pagination),
+            meta: { source: 'jikan' },
+            legacy: searchAnimeData
+        });
+    } catch (err) {
+        next(err);
     }
+});
 
+/* ===================================================== */
+/*            Search anime by query (shared logic)       */
+/* ===================================================== */
+// Also used by the unified /search endpoint
+export async function searchAnime({
+    page = 1,
+    limit = 25,
+    q,
+    type,
+    score,
+    min_score,
+    max_score,
+    status,
+    rating,
+    sfw,
+    genres,
+    genres_exclude,
+    order_by,
+    sort = "desc",
+    letter,
+    producers,
+    start_date,
+    end_date,
+    unapproved
+}) {
     // Build query string dynamically, including only provided parameters
     const queryParams = new URLSearchParams();
     queryParams.set('page', page);
@@ -560,58 +719,11 @@ router.get("/search/anime", async (request, response) => {
 
     const redisKey = redisKeyParts.join('_');
 
-    try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving searched anime data from cache 🎉");
-            return response.send(JSON.parse(cachedData));
-        }
-
+    return withCache(redisKey, 'search_anime', async () => {
         const searchAnimeUrl = `${URLs.jikan}/anime?${queryParams.toString()}`;
-        const searchAnime = await axios.get(searchAnimeUrl);
-        const searchAnimeData = searchAnime.data;
-
-        // Check if the requested page exceeds the last visible page
-        if (page > searchAnimeData.pagination.last_visible_page) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: searchAnimeData.pagination.last_visible_page,
-                    has_next_page: false,
-                    items: {
-                        count: 0,
-                        total: 0,
-                        per_page: limit
-                    }
-                },
-                results: [],
-                message: "No results found for the requested page."
-            });
-        }
-
-        await redisClient.set(redisKey, JSON.stringify(searchAnimeData), 'EX', 3600);
-
-        logger.info(`Fetched searched anime with query parameters: ${JSON.stringify(request.query)} at ${new Date().toISOString()}`);
-        response.send(searchAnimeData);
-    } catch (err) {
-        handleError(err, response);
-    }
-});
-
-/* ============================================ */
-/*                 Handle Error                 */
-/* ============================================ */
-function handleError(err, response) {
-    if (err.response) {
-        logger.error(`API Error: ${err.response.status} - ${JSON.stringify(err.response.data)}`);
-        response.status(err.response.status).send("Error fetching data from API.");
-    } else if (err.request) {
-        logger.error('No response received from API:', err.request);
-        response.status(500).send("No response received from API.");
-    } else {
-        logger.error(`Error: ${err.message}`);
-        response.status(500).send("Internal Server Error.");
-    }
+        const searchedAnime = await jikanGet(searchAnimeUrl);
+        return searchedAnime.data;
+    });
 }
 
 export default router;
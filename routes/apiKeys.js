@@ -0,0 +1,141 @@
+/*
+ █████╗ ██████╗ ██╗    ██╗  ██╗███████╗██╗   ██╗███████╗
+██╔══██╗██╔══██╗██║    ██║ ██╔╝██╔════╝╚██╗ ██╔╝██╔════╝
+███████║██████╔╝██║    █████╔╝ █████╗   ╚████╔╝ ███████╗
+██╔══██║██╔═══╝ ██║    ██╔═██╗ ██╔══╝    ╚██╔╝  ╚════██║
+██║  ██║██║     ██║    ██║  ██╗███████╗   ██║   ███████║
+╚═╝  ╚═╝╚═╝     ╚═╝    ╚═╝  ╚═╝╚══════╝   ╚═╝   ╚══════╝
+*/
+
+// Admin endpoints managing API keys, guarded by X-Admin-Token (see middlewares/adminToken.js).
+// A key is only ever returned when it is created or rotated, store it right away.
+
+import express from 'express';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { respond } from '../utils/envelope.js';
+import apiKeyStore, { KEY_STATUS, DEFAULT_QUOTAS } from '../auth/apiKeyStore.js';
+import requireAdminToken from '../middlewares/adminToken.js';
+
+const router = express.Router();
+
+router.use('/admin/keys', requireAdminToken);
+
+const QUOTA_NAMES = Object.keys(DEFAULT_QUOTAS);
+const STATUSES = Object.values(KEY_STATUS);
+
+// Never hand out the hash
+const formatKey = ({ hash, ...record }) => record;
+
+// { per_second, daily, monthly }, each a positive integer or null for unlimited
+const parseQuotas = (quotas) => {
+    if (quotas === undefined) return {};
+
+    if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+        throw new ValidationError("Invalid quotas value. Use an object with per_second, daily and monthly.", { parameter: 'quotas', allowed: QUOTA_NAMES });
+    }
+
+    const unknown = Object.keys(quotas).filter(name => !QUOTA_NAMES.includes(name));
+    if (unknown.length) {
+        throw new ValidationError(`Invalid quotas entry: "${unknown.join(", ")}". Allowed entries are: ${QUOTA_NAMES.join(", ")}`, { parameter: 'quotas', allowed: QUOTA_NAMES });
+    }
+
+    for (const [name, value] of Object.entries(quotas)) {
+        if (value !== null && (!Number.isInteger(value) || value < 1)) {
+            throw new ValidationError(`Invalid quotas.${name} value: "${value}". Use a positive integer, or null for unlimited.`, { parameter: `quotas.${name}` });
+        }
+    }
+
+    return quotas;
+};
+
+const parseName = (name) => {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+        throw new ValidationError("Invalid name value. Use a non empty name of up to 100 characters, e.g. the app using the key.", { parameter: 'name' });
+    }
+    return name.trim();
+};
+
+const findKey = async (id) => {
+    const record = await apiKeyStore.get(id);
+    if (!record) throw new NotFoundError(`No API key with id "${id}".`);
+    return record;
+};
+
+/* ============================================ */
+/*                 Create and list              */
+/* ============================================ */
+// Body: { "name": "ios-app", "quotas": { "per_second": 20, "daily": 50000, "monthly": null } }
+router.post("/admin/keys", async (request, response, next) => {
+    try {
+        const { name, quotas } = request.body || {};
+        const { record, apiKey } = await apiKeyStore.create({ name: parseName(name), quotas: parseQuotas(quotas) });
+
+        respond(request, response, { status: 201, data: { ...formatKey(record), key: apiKey } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.get("/admin/keys", async (request, response, next) => {
+    try {
+        const records = await apiKeyStore.list();
+        const keys = records
+            .map(formatKey)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+        respond(request, response, { data: keys, meta: { count: keys.length } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* ============================================ */
+/*                 Inspect and update           */
+/* ============================================ */
+router.get("/admin/keys/:id", async (request, response, next) => {
+    try {
+        const record = await findKey(request.params.id);
+        const usage = await apiKeyStore.usage(record.id);
+
+        respond(request, response, { data: { ...formatKey(record), usage } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Body: any of { "name", "status": "active" | "suspended", "quotas" }, quotas are merged
+router.patch("/admin/keys/:id", async (request, response, next) => {
+    try {
+        const record = await findKey(request.params.id);
+        const { name, status, quotas } = request.body || {};
+
+        if (status !== undefined && !STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid status value: "${status}". Allowed values are: ${STATUSES.join(", ")}`, { parameter: 'status', allowed: STATUSES });
+        }
+
+        const updated = await apiKeyStore.save({
+            ...record,
+            name: name === undefined ? record.name : parseName(name),
+            status: status ?? record.status,
+            quotas: { ...record.quotas, ...parseQuotas(quotas) }
+        });
+
+        respond(request, response, { data: formatKey(updated) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// New secret for the same key, the old one stops working immediately
+router.post("/admin/keys/:id/rotate", async (request, response, next) => {
+    try {
+        const record = await findKey(request.params.id);
+        const { record: rotated, apiKey } = await apiKeyStore.rotate(record);
+
+        respond(request, response, { data: { ...formatKey(rotated), key: apiKey } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,208 @@
+/*
+ ██████╗ █████╗ ██╗     ███████╗███╗   ██╗██████╗  █████╗ ██████╗
+██╔════╝██╔══██╗██║     ██╔════╝████╗  ██║██╔══██╗██╔══██╗██╔══██╗
+██║     ███████║██║     █████╗  ██╔██╗ ██║██║  ██║███████║██████╔╝
+██║     ██╔══██║██║     ██╔══╝  ██║╚██╗██║██║  ██║██╔══██║██╔══██╗
+╚██████╗██║  ██║███████╗███████╗██║ ╚████║██████╔╝██║  ██║██║  ██║
+ ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝╚═╝  ╚═══╝╚═════╝ ╚═╝  ╚═╝╚═╝  ╚═╝
+*/
+
+// iCalendar (.ics) feeds to subscribe to from Google Calendar, Outlook or Apple Calendar:
+// movie releases, weekly anime broadcast slots and the episodes of a TV show.
+// UIDs only depend on what an event is about, so calendar apps update events instead of duplicating them.
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import { URLs } from '../config/constants.js';
+import { withCache } from '../caching/cache.js';
+import { tmdbGet } from '../utils/httpClient.js';
+import { buildCalendar, UID_DOMAIN } from '../utils/icalendar.js';
+import validate from '../middlewares/validate.js';
+import locale from '../middlewares/locale.js';
+import { getGenres } from '../utils/genres.js';
+import { ANIME_TYPES } from './anime.js';
+import { getAnimeSchedule, nextBroadcast } from './schedule.js';
+import { getTvDetails, getTvSeason } from './tvShows.js';
+
+const router = express.Router();
+
+/* =============================================== */
+/*                  Settings                       */
+/* =============================================== */
+// TMDB lists 20 upcoming movies per page
+const MOVIE_PAGES = 3;
+// Seasons of a show that make it into its feed, counted from the latest one
+const TV_SEASONS = 2;
+// Jikan doesn't know how long a broadcast slot is, most TV anime run about 24 minutes
+const ANIME_SLOT_MINUTES = 30;
+// Series of shows without a known first airing start at their first slot after this date
+const ANIME_SERIES_ANCHOR = Date.UTC(2024, 0, 1);
+// Episode kinds TMDB tags episodes with
+const EPISODE_TYPES = ['standard', 'mid_season', 'finale'];
+
+const sendCalendar = (response, filename, calendar) => {
+    response.set('Content-Type', 'text/calendar; charset=utf-8');
+    response.set('Content-Disposition', `inline; filename="${filename}"`);
+    response.send(buildCalendar(calendar));
+};
+
+/* =============================================== */
+/*                  Movie releases                 */
+/* =============================================== */
+router.get("/calendar/movies.ics", validate({
+    query: {
+        region: { type: 'string', pattern: /^[A-Za-z]{2}$/, default: 'US', hint: 'Use an ISO 3166-1 country code like "US" or "FR".' },
+        genre: { type: 'list', items: { type: 'integer', min: 1 }, default: [], hint: 'Use comma separated TMDB genre ids like "28,12" (see /genres/movie).' }
+    }
+}), locale, async (request, response, next) => {
+    const { region, genre: genreIds } = request.query;
+    const { language } = request.locale;
+
+    const upperRegion = region.toUpperCase();
+    const redisKey = `calendar_movies_${upperRegion}_${language}`;
+
+    try {
+        const movies = await withCache(redisKey, 'calendar_movies', async () => {
+            const pages = await Promise.all(
+                Array.from({ length: MOVIE_PAGES }, (_, index) =>
+                    tmdbGet(`${URLs.tmdb}/movie/upcoming?language=${language}&region=${upperRegion}&page=${index + 1}`))
+            );
+
+            logger.info(`Fetched upcoming movies of region ${upperRegion} (${language}) for the calendar feed at ${new Date().toISOString()}`);
+
+            // The same movie can slip to the next page while TMDB reorders its list, keep its first listing
+            const unique = new Map();
+            for (const movie of pages.flatMap(page => page.data.results)) {
+                if (!unique.has(movie.id)) unique.set(movie.id, movie);
+            }
+
+            return [...unique.values()].map(movie => ({
+                id: movie.id,
+                title: movie.title,
+                overview: movie.overview,
+                release_date: movie.release_date,
+                genre_ids: movie.genre_ids
+            }));
+        });
+
+        const events = movies
+            .filter(movie => movie.release_date)
+            .filter(movie => !genreIds.length || movie.genre_ids.some(id => genreIds.includes(id)))
+            .map(movie => ({
+                uid: `movie-${movie.id}-${upperRegion}@${UID_DOMAIN}`,
+                date: movie.release_date,
+                summary: movie.title,
+                description: movie.overview,
+                url: `https://www.themoviedb.org/movie/${movie.id}`
+            }));
+
+        sendCalendar(response, 'movies.ics', {
+            name: `Upcoming movies (${upperRegion})`,
+            description: 'Upcoming movie releases from TMDB',
+            events
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* =============================================== */
+/*                  Anime broadcasts               */
+/* =============================================== */
+router.get("/calendar/anime.ics", validate({
+    query: {
+        type: { type: 'enum', values: ANIME_TYPES },
+        genre: { type: 'list', items: { type: 'integer', min: 1 }, default: [], hint: 'Use comma separated MyAnimeList genre ids like "1,22" (see /genres/anime).' },
+        sfw: { type: 'flag' }
+    }
+}), async (request, response, next) => {
+    const { type, genre: genreIds, sfw } = request.query;
+
+    try {
+        const schedule = await getAnimeSchedule({ type, sfw });
+
+        // Schedule items only carry names, ids are looked up in the same list /genres/anime shows
+        // (genres, themes and demographics)
+        const genres = genreIds.length
+            ? (await getGenres('anime')).filter(genre => genreIds.includes(genre.id)).map(genre => genre.name)
+            : [];
+
+        // Every show becomes a weekly series starting at its first broadcast, so DTSTART stays
+        // the same from one fetch to the next. JST has no daylight saving time, the slot never moves in UTC
+        const events = Object.values(schedule)
+            .flat()
+            .filter(anime => anime.broadcast.local.next_broadcast)
+            .filter(anime => !genreIds.length || [...anime.genres, ...(anime.themes || []), ...(anime.demographics || [])].some(name => genres.includes(name)))
+            .map(anime => ({
+                uid: `anime-${anime.mal_id}@${UID_DOMAIN}`,
+                start: nextBroadcast(anime.broadcast.jst.day, anime.broadcast.jst.time, Date.parse(anime.aired_from) || ANIME_SERIES_ANCHOR),
+                durationMinutes: ANIME_SLOT_MINUTES,
+                rrule: 'FREQ=WEEKLY',
+                summary: anime.titles.english_title || anime.titles.default_title,
+                description: [anime.titles.default_title, anime.type, anime.episodes && `${anime.episodes} episodes`].filter(Boolean).join(' · '),
+                url: anime.mal_url,
+                categories: anime.genres
+            }));
+
+        sendCalendar(response, 'anime.ics', {
+            name: 'Anime broadcasts',
+            description: 'Weekly broadcast slots of airing anime from MyAnimeList',
+            events
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* =============================================== */
+/*                  TV episodes                    */
+/* =============================================== */
+router.get("/calendar/tv/:id.ics", validate({
+    params: { id: { type: 'integer', min: 1, hint: 'TV show ids are numeric TMDB ids.' } },
+    query: {
+        type: { type: 'list', items: { type: 'enum', values: EPISODE_TYPES }, default: [] }
+    }
+}), async (request, response, next) => {
+    const tvId = request.params.id;
+    const { type: episodeTypes } = request.query;
+
+    try {
+        const show = await getTvDetails(tvId);
+
+        // Specials (season 0) have no place in an episode guide
+        const seasonNumbers = show.seasons
+            .map(season => season.season_number)
+            .filter(number => number > 0)
+            .sort((a, b) => a - b)
+            .slice(-TV_SEASONS);
+
+        const seasons = await Promise.all(seasonNumbers.map(number => getTvSeason(tvId, number)));
+
+        const events = seasons
+            .flatMap(season => season.episodes)
+            .filter(episode => episode.air_date)
+            .filter(episode => !episodeTypes.length || episodeTypes.includes(episode.episode_type))
+            .map(episode => {
+                const code = `S${String(episode.season_number).padStart(2, '0')}E${String(episode.episode_number).padStart(2, '0')}`;
+
+                return {
+                    uid: `tv-${tvId}-s${episode.season_number}e${episode.episode_number}@${UID_DOMAIN}`,
+                    date: episode.air_date,
+                    summary: `${show.name} ${code}${episode.name ? `: ${episode.name}` : ''}`,
+                    description: episode.overview,
+                    url: `https://www.themoviedb.org/tv/${tvId}/season/${episode.season_number}/episode/${episode.episode_number}`,
+                    categories: show.networks.map(network => network.name)
+                };
+            });
+
+        sendCalendar(response, `tv-${tvId}.ics`, {
+            name: show.name,
+            description: `Episode air dates of ${show.name} from TMDB`,
+            events
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
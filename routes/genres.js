@@ -0,0 +1,40 @@
+/*
+ ██████╗ ███████╗███╗   ██╗██████╗ ███████╗███████╗
+██╔════╝ ██╔════╝████╗  ██║██╔══██╗██╔════╝██╔════╝
+██║  ███╗█████╗  ██╔██╗ ██║██████╔╝█████╗  ███████╗
+██║   ██║██╔══╝  ██║╚██╗██║██╔══██╗██╔══╝  ╚════██║
+╚██████╔╝███████╗██║ ╚████║██║  ██║███████╗███████║
+ ╚═════╝ ╚══════╝╚═╝  ╚═══╝╚═╝  ╚═╝╚══════╝╚══════╝
+*/
+
+import express from 'express';
+import { respond } from '../utils/envelope.js';
+import { getGenres, GENRE_MEDIA_TYPES } from '../utils/genres.js';
+import locale from '../middlewares/locale.js';
+import validate from '../middlewares/validate.js';
+
+const router = express.Router();
+
+/* =============================================== */
+/*                  Genre catalogs                 */
+/* =============================================== */
+router.get("/genres/:media_type", validate({
+    params: { media_type: { type: 'enum', values: GENRE_MEDIA_TYPES } }
+}), locale, async (request, response, next) => {
+    const mediaType = request.params.media_type;
+
+    try {
+        const genres = await getGenres(mediaType, request.locale.language);
+
+        respond(request, response, {
+            data: genres,
+            meta: mediaType === 'anime'
+                ? { source: 'jikan', media_type: mediaType }
+                : { source: 'tmdb', media_type: mediaType, language: request.locale.language }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+/*
+ ██████╗ ██████╗  █████╗ ██████╗ ██╗  ██╗ ██████╗ ██╗
+██╔════╝ ██╔══██╗██╔══██╗██╔══██╗██║  ██║██╔═══██╗██║
+██║  ███╗██████╔╝███████║██████╔╝███████║██║   ██║██║
+██║   ██║██╔══██╗██╔══██║██╔═══╝ ██╔══██║██║▄▄ ██║██║
+╚██████╔╝██║  ██║██║  ██║██║     ██║  ██║╚██████╔╝███████╗
+ ╚═════╝ ╚═╝  ╚═╝╚═╝  ╚═╝╚═╝     ╚═╝  ╚═╝ ╚══▀▀═╝ ╚══════╝
+*/
+
+// POST /graphql with { query, variables, operationName }, or GET /graphql?query=...
+// Answers in the GraphQL format ({ data, errors }), not in the REST envelope. Errors carry the REST
+// error codes in `extensions.code`, plus QUERY_TOO_COMPLEX when the depth or cost limits refuse a query.
+
+import express from 'express';
+import { parse, validate, execute, specifiedRules, GraphQLError } from 'graphql';
+import logger from '../utils/logger.js';
+import { toApiError } from '../utils/errors.js';
+import { rewriteImages } from '../utils/imageSizes.js';
+import locale from '../middlewares/locale.js';
+import schema from '../graphql/schema.js';
+import { createLoaders } from '../graphql/loaders.js';
+import { checkQueryLimits } from '../graphql/limits.js';
+
+const router = express.Router();
+
+/* ================================================== */
+/*                 Errors                             */
+/* ================================================== */
+// Errors thrown by resolvers (they have a `path`) become their ApiError, the query's own mistakes,
+// variables of the wrong type included, are validation errors
+const formatError = (request, error) => {
+    const apiError = error.originalError && error.path ? toApiError(error.originalError) : null;
+
+    if (apiError?.status >= 500) {
+        logger.error(`[${request.id}] GraphQL ${error.path?.join('.')} -> ${apiError.code}: ${error.originalError.message}`);
+    }
+
+    return {
+        message: apiError ? apiError.message : error.message,
+        locations: error.locations,
+        path: error.path,
+        extensions: {
+            code: apiError?.code || error.extensions?.code || 'VALIDATION_ERROR',
+            details: apiError?.details ?? error.extensions?.details ?? null,
+            request_id: request.id
+        }
+    };
+};
+
+const reject = (request, response, errors) => response.status(400).json({
+    errors: errors.map(error => formatError(request, error))
+});
+
+// GET sends variables as a JSON string
+const variablesOf = (raw) => {
+    if (raw === undefined || raw === '') return {};
+    if (typeof raw !== 'string') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+};
+
+/* ================================================== */
+/*                 Endpoint                           */
+/* ================================================== */
+const handleGraphql = async (request, response, next) => {
+    const params = request.method === 'GET' ? request.query : request.body || {};
+    const { query, operationName } = params;
+    const variables = variablesOf(params.variables);
+
+    if (typeof query !== 'string' || !query.trim()) {
+        return reject(request, response, [new GraphQLError('Send the GraphQL query in `query`.')]);
+    }
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return reject(request, response, [new GraphQLError('`variables` must be a JSON object.')]);
+    }
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (err) {
+        return reject(request, response, [err]);
+    }
+
+    const validationErrors = validate(schema, document, specifiedRules);
+    if (validationErrors.length) return reject(request, response, validationErrors);
+
+    const { errors: limitErrors, cost } = checkQueryLimits(schema, document, { operationName, variables });
+    if (limitErrors.length) {
+        logger.warn(`[${request.id}] GraphQL query refused: ${limitErrors.map(error => error.message).join(' ')}`);
+        return reject(request, response, limitErrors);
+    }
+
+    const { language } = request.locale;
+
+    try {
+        const result = await execute({
+            schema,
+            document,
+            operationName,
+            variableValues: variables,
+            contextValue: { language, loaders: createLoaders(language) }
+        });
+
+        // Image URLs are resized and proxied as asked (middlewares/imageOptions.js), srcset siblings would be fields nobody asked for
+        const images = request.imageOptions;
+        const data = images && result.data ? rewriteImages(result.data, { ...images, srcset: false }) : result.data;
+
+        // No data at all means the request itself was wrong, e.g. variables of the wrong type
+        response.status(data === undefined ? 400 : 200).json({
+            ...(result.errors && { errors: result.errors.map(error => formatError(request, error)) }),
+            ...(data !== undefined && { data }),
+            extensions: { cost, language }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+router.get("/graphql", locale, handleGraphql);
+router.post("/graphql", locale, handleGraphql);
+
+export default router;
@@ -0,0 +1,45 @@
+/*
+██╗  ██╗███████╗ █████╗ ██╗  ████████╗██╗  ██╗
+██║  ██║██╔════╝██╔══██╗██║  ╚══██╔══╝██║  ██║
+███████║█████╗  ███████║██║     ██║   ███████║
+██╔══██║██╔══╝  ██╔══██║██║     ██║   ██╔══██║
+██║  ██║███████╗██║  ██║███████╗██║   ██║  ██║
+╚═╝  ╚═╝╚══════╝╚═╝  ╚═╝╚══════╝╚═╝   ╚═╝  ╚═╝
+*/
+
+// Probes for load balancers and platforms:
+//  - /healthz (liveness): the process is up and serving, never looks at dependencies
+//  - /readyz (readiness): 503 while a critical dependency is down (see utils/healthChecks.js)
+
+import express from 'express';
+import { respond } from '../utils/envelope.js';
+import { getBuildInfo, getReadiness } from '../utils/healthChecks.js';
+
+const router = express.Router();
+
+/* ================================================== */
+/*                 Liveness                           */
+/* ================================================== */
+router.get("/healthz", (request, response) => {
+    response.setHeader('Cache-Control', 'no-store');
+    respond(request, response, { data: { status: 'ok', ...getBuildInfo() } });
+});
+
+/* ================================================== */
+/*                 Readiness                          */
+/* ================================================== */
+router.get("/readyz", async (request, response, next) => {
+    try {
+        const { ready, dependencies } = await getReadiness();
+
+        response.setHeader('Cache-Control', 'no-store');
+        respond(request, response, {
+            status: ready ? 200 : 503,
+            data: { status: ready ? 'ready' : 'not_ready', ...getBuildInfo(), dependencies }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+/*
+██╗███╗   ███╗ █████╗  ██████╗ ███████╗    ██████╗ ██████╗  ██████╗ ██╗  ██╗██╗   ██╗
+██║████╗ ████║██╔══██╗██╔════╝ ██╔════╝    ██╔══██╗██╔══██╗██╔═══██╗╚██╗██╔╝╚██╗ ██╔╝
+██║██╔████╔██║███████║██║  ███╗█████╗      ██████╔╝██████╔╝██║   ██║ ╚███╔╝  ╚████╔╝
+██║██║╚██╔╝██║██╔══██║██║   ██║██╔══╝      ██╔═══╝ ██╔══██╗██║   ██║ ██╔██╗   ╚██╔╝
+██║██║ ╚═╝ ██║██║  ██║╚██████╔╝███████╗    ██║     ██║  ██║╚██████╔╝██╔╝ ██╗   ██║
+╚═╝╚═╝     ╚═╝╚═╝  ╚═╝ ╚═════╝ ╚══════╝    ╚═╝     ╚═╝  ╚═╝ ╚═════╝ ╚═╝  ╚═╝   ╚═╝
+*/
+
+// GET /img/:provider/* serves TMDB and Jikan images from our own origin (see utils/imageProxy.js
+// for the allowed paths). Bytes are streamed to the client while they are written to the disk
+// cache, later requests are answered from disk. Image paths never change content upstream, so
+// the ETag derives from the path and clients may keep their copy for a long time.
+
+import express from 'express';
+import axios from 'axios';
+import fsp from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
+import logger from '../utils/logger.js';
+import { ValidationError, UpstreamUnavailableError, toApiError } from '../utils/errors.js';
+import { IMAGE_PROXY_PROVIDERS, IMAGE_CONTENT_TYPES } from '../utils/imageProxy.js';
+import DiskCache from '../caching/diskCache.js';
+import { observeUpstream, recordCacheLookup } from '../utils/metrics.js';
+import { envInt } from '../utils/env.js';
+
+const router = express.Router();
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const CACHE_DIR = path.resolve(process.cwd(), process.env.IMAGE_CACHE_DIR || '.cache/images');
+const CACHE_MAX_BYTES = envInt('IMAGE_CACHE_MAX_MB', 500) * 1024 * 1024;
+const TIMEOUT_MS = envInt('IMAGE_PROXY_TIMEOUT_MS', 10000);
+const MAX_AGE = envInt('IMAGE_PROXY_MAX_AGE', 30 * 24 * 3600);
+// Posters and backdrops at `original` stay well below this
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+const imageCache = new DiskCache(CACHE_DIR, CACHE_MAX_BYTES);
+
+/* ============================================ */
+/*                 Helpers                      */
+/* ============================================ */
+const setImageHeaders = (response, key, extension) => {
+    response.setHeader('Content-Type', IMAGE_CONTENT_TYPES[extension]);
+    response.setHeader('Cache-Control', `public, max-age=${MAX_AGE}, immutable`);
+    response.setHeader('ETag', `"${createHash('sha1').update(key).digest('hex')}"`);
+    response.setHeader('X-Content-Type-Options', 'nosniff');
+    // SVG logos must never run scripts on our origin
+    response.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+};
+
+// Read stream of the cached image, null on a miss. A file evicted between the lookup
+// and opening it is a miss too.
+const openCached = async (key) => {
+    const cached = await imageCache.get(key);
+    if (!cached) return null;
+
+    try {
+        const handle = await fsp.open(cached.file);
+        return { size: cached.size, stream: handle.createReadStream() };
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        imageCache.forget(key);
+        return null;
+    }
+};
+
+// Error answers come back as streams too, drop them so the socket is released
+const discardBody = (err) => err.response?.data?.destroy?.();
+
+// Streams the upstream image to the client and into the disk cache at the same time
+const fetchAndStore = async (provider, url, key, response) => {
+    // Latency up to the response headers, the body is streamed afterwards
+    const upstream = await observeUpstream(`${provider}_images`, () => axios.get(url, {
+        responseType: 'stream',
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0
+    }));
+
+    const length = parseInt(upstream.headers['content-length'], 10);
+    if (length > MAX_IMAGE_BYTES) {
+        upstream.data.destroy();
+        throw new UpstreamUnavailableError("The upstream image is too large to proxy.", { upstream: new URL(url).hostname, bytes: length });
+    }
+
+    response.setHeader('X-Cache', 'MISS');
+    if (!Number.isNaN(length)) response.setHeader('Content-Length', length);
+
+    const writer = await imageCache.writer(key);
+    let bytes = 0;
+
+    upstream.data.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (bytes > MAX_IMAGE_BYTES) upstream.data.destroy(new Error(`Image over ${MAX_IMAGE_BYTES} bytes`));
+    });
+
+    // pipe() waits for the slower of both, a client that leaves only stops its own copy
+    upstream.data.pipe(writer.stream);
+    upstream.data.pipe(response);
+
+    try {
+        await new Promise((resolve, reject) => {
+            upstream.data.on('end', resolve);
+            upstream.data.on('error', reject);
+            writer.stream.on('error', reject);
+        });
+        await writer.commit();
+    } catch (err) {
+        await writer.abort();
+        throw err;
+    }
+};
+
+/* ============================================ */
+/*                 Image proxy                  */
+/* ============================================ */
+router.get("/img/:provider/*", async (request, response, next) => {
+    const { provider } = request.params;
+    const imagePath = request.params[0];
+    const source = IMAGE_PROXY_PROVIDERS[provider];
+    const allowedProviders = Object.keys(IMAGE_PROXY_PROVIDERS);
+
+    if (!source) {
+        return next(new ValidationError(`Invalid provider value: "${provider}". Allowed values are: ${allowedProviders.join(", ")}`, { parameter: 'provider', allowed: allowedProviders }));
+    }
+
+    if (!source.path.test(imagePath)) {
+        return next(new ValidationError(`Invalid image path: "${imagePath}". Only ${provider} poster, backdrop, still and profile images can be proxied.`, { parameter: 'path' }));
+    }
+
+    const key = `${provider}/${imagePath}`;
+    setImageHeaders(response, key, path.extname(imagePath).slice(1));
+
+    // The client already has this exact image
+    if (request.fresh) {
+        return response.status(304).end();
+    }
+
+    try {
+        const cached = await openCached(key);
+
+        if (cached) {
+            recordCacheLookup('images', 'hit');
+            response.setHeader('X-Cache', 'HIT');
+            response.setHeader('Content-Length', cached.size);
+            return await pipeline(cached.stream, response);
+        }
+
+        recordCacheLookup('images', 'miss');
+        await fetchAndStore(provider, source.origin + imagePath, key, response);
+        logger.info(`Proxied and cached image ${key} at ${new Date().toISOString()}`);
+    } catch (err) {
+        discardBody(err);
+
+        if (response.headersSent) {
+            // Too late for an error body, cut the connection so the client sees a broken image
+            logger.warn(`Image proxy ${key} failed mid-stream: ${err.message}`);
+            return response.destroy(err);
+        }
+
+        // Nothing was sent yet, the error handler answers with JSON instead
+        response.removeHeader('Content-Type');
+        response.removeHeader('Cache-Control');
+        response.removeHeader('ETag');
+        response.removeHeader('Content-Length');
+        next(toApiError(err));
+    }
+});
+
+export default router;
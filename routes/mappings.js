@@ -0,0 +1,215 @@
+/*
+███╗   ███╗ █████╗ ██████╗ ██████╗ ██╗███╗   ██╗ ██████╗ ███████╗
+████╗ ████║██╔══██╗██╔══██╗██╔══██╗██║████╗  ██║██╔════╝ ██╔════╝
+██╔████╔██║███████║██████╔╝██████╔╝██║██╔██╗ ██║██║  ███╗███████╗
+██║╚██╔╝██║██╔══██║██╔═══╝ ██╔═══╝ ██║██║╚██╗██║██║   ██║╚════██║
+██║ ╚═╝ ██║██║  ██║██║     ██║     ██║██║ ╚████║╚██████╔╝███████║
+╚═╝     ╚═╝╚═╝  ╚═╝╚═╝     ╚═╝     ╚═╝╚═╝  ╚═══╝ ╚═════╝ ╚══════╝
+*/
+
+// MAL <-> TMDB cross references, so the same anime is not listed twice under its MAL and TMDB ids.
+// Confirmed mappings (manual, or automatic above MAPPING_MIN_CONFIDENCE) are stored in Redis,
+// anything else is answered with the scored candidates and computed again once the cache expires.
+
+import express from 'express';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import validate from '../middlewares/validate.js';
+import { respond } from '../utils/envelope.js';
+import { withCache } from '../caching/cache.js';
+import mappingStore, { MAPPING_SOURCE } from '../mapping/mappingStore.js';
+import { matchAnimeCached, matchAnimeById, MIN_CONFIDENCE } from '../mapping/animeMatcher.js';
+import requireAdminToken from '../middlewares/adminToken.js';
+import { searchAnime } from './anime.js';
+import { getMovieDetails } from './movies.js';
+import { getTvDetails } from './tvShows.js';
+
+const router = express.Router();
+
+const TMDB_TYPES = ['tv', 'movie'];
+// Jikan search results checked when looking up a TMDB entry without stored mappings,
+// each one costs up to 6 TMDB calls unless its match is cached already
+const REVERSE_CANDIDATES = 3;
+
+const formatMapping = (mapping) => ({
+    mal_id: Number(mapping.mal_id),
+    tmdb: mapping.tmdb_id ? { type: mapping.tmdb_type, id: Number(mapping.tmdb_id) } : null,
+    confidence: mapping.confidence,
+    source: mapping.source,
+    confirmed: true,
+    updated_at: mapping.updated_at
+});
+
+const MAL_ID = validate({
+    params: { mal_id: { type: 'integer', min: 1, hint: 'MAL ids are numeric.' } }
+});
+
+// Throws NotFoundError (through toApiError) when TMDB doesn't know the entry
+const getTmdbEntry = async (type, tmdbId) => {
+    if (type === 'movie') {
+        const movie = await getMovieDetails(tmdbId);
+        return { title: movie.title, original_title: movie.original_title };
+    }
+
+    const show = await getTvDetails(tmdbId);
+    return { title: show.name, original_title: show.original_name };
+};
+
+/* ================================================== */
+/*                 MAL -> TMDB                        */
+/* ================================================== */
+router.get("/mappings/anime/:mal_id", MAL_ID, async (request, response, next) => {
+    const malId = request.params.mal_id;
+
+    try {
+        const stored = await mappingStore.get(malId);
+        if (stored) {
+            return respond(request, response, { data: formatMapping(stored), meta: { stored: true } });
+        }
+
+        const match = await matchAnimeById(malId);
+        const confirmed = Boolean(match.best) && match.confidence >= MIN_CONFIDENCE;
+
+        if (confirmed) {
+            const saved = await mappingStore.save({
+                mal_id: malId,
+                tmdb_type: match.best.tmdb_type,
+                tmdb_id: match.best.tmdb_id,
+                confidence: match.confidence,
+                source: MAPPING_SOURCE.auto
+            });
+            return respond(request, response, {
+                data: { ...formatMapping(saved), candidates: match.candidates },
+                meta: { stored: true, min_confidence: MIN_CONFIDENCE }
+            });
+        }
+
+        respond(request, response, {
+            data: {
+                mal_id: malId,
+                tmdb: null,
+                confidence: match.confidence,
+                source: MAPPING_SOURCE.auto,
+                confirmed: false,
+                candidates: match.candidates
+            },
+            // Partial: some TMDB lookups failed, asking again later may find a match
+            meta: { stored: false, min_confidence: MIN_CONFIDENCE, partial: match.partial }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* ================================================== */
+/*                 TMDB -> MAL                        */
+/* ================================================== */
+router.get("/mappings/tmdb/:type/:id", validate({
+    params: {
+        type: { type: 'enum', values: TMDB_TYPES },
+        id: { type: 'integer', min: 1, hint: 'TMDB ids are numeric.' }
+    }
+}), async (request, response, next) => {
+    const { type, id: tmdbId } = request.params;
+
+    try {
+        let mappings = await mappingStore.findByTmdb(type, tmdbId);
+
+        // Nothing stored yet: search Jikan for the TMDB title and keep the anime that map back to it
+        if (!mappings.length) {
+            await withCache(`tmdb_mapping_${type}_${tmdbId}`, 'anime_mapping', async () => {
+                const entry = await getTmdbEntry(type, tmdbId);
+                const searched = await searchAnime({ q: entry.title, page: 1, limit: REVERSE_CANDIDATES });
+                const matches = await Promise.all(searched.data.map(matchAnimeCached));
+
+                const confirmed = matches.filter(match =>
+                    match.best?.tmdb_type === type &&
+                    match.best.tmdb_id === tmdbId &&
+                    match.confidence >= MIN_CONFIDENCE);
+
+                for (const match of confirmed) {
+                    // Never overwrite a manual decision
+                    const existing = await mappingStore.get(match.mal_id);
+                    if (existing?.source === MAPPING_SOURCE.manual) continue;
+
+                    await mappingStore.save({
+                        mal_id: match.mal_id,
+                        tmdb_type: type,
+                        tmdb_id: tmdbId,
+                        confidence: match.confidence,
+                        source: MAPPING_SOURCE.auto
+                    });
+                }
+
+                return {
+                    mal_ids: confirmed.map(match => match.mal_id),
+                    partial: matches.some(match => match.partial)
+                };
+            }, { cacheable: result => !result.partial });
+
+            mappings = await mappingStore.findByTmdb(type, tmdbId);
+        }
+
+        respond(request, response, {
+            data: {
+                tmdb: { type, id: tmdbId },
+                anime: mappings.map(formatMapping).sort((a, b) => a.mal_id - b.mal_id)
+            },
+            meta: { min_confidence: MIN_CONFIDENCE }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* ================================================== */
+/*                 Manual overrides                   */
+/* ================================================== */
+// Body: { "tmdb_type": "tv", "tmdb_id": 1429 }, or { "tmdb_id": null } when the anime has no TMDB counterpart
+router.put("/mappings/anime/:mal_id", requireAdminToken, MAL_ID, async (request, response, next) => {
+    const malId = request.params.mal_id;
+    const { tmdb_type: tmdbType, tmdb_id: tmdbId } = request.body || {};
+
+    if (tmdbId !== null) {
+        if (!TMDB_TYPES.includes(tmdbType)) {
+            return next(new ValidationError(`Invalid tmdb_type value: "${tmdbType}". Allowed values are: ${TMDB_TYPES.join(", ")}`, { parameter: 'tmdb_type', allowed: TMDB_TYPES }));
+        }
+
+        if (!Number.isInteger(tmdbId) || tmdbId < 1) {
+            return next(new ValidationError(`Invalid tmdb_id value: "${tmdbId}". Use a numeric TMDB id, or null for no counterpart.`, { parameter: 'tmdb_id' }));
+        }
+    }
+
+    try {
+        // Catch typos before they end up in every lookup
+        if (tmdbId !== null) await getTmdbEntry(tmdbType, tmdbId);
+
+        const saved = await mappingStore.save({
+            mal_id: malId,
+            tmdb_type: tmdbId === null ? null : tmdbType,
+            tmdb_id: tmdbId,
+            confidence: 1,
+            source: MAPPING_SOURCE.manual
+        });
+
+        respond(request, response, { data: formatMapping(saved), meta: { stored: true } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete("/mappings/anime/:mal_id", requireAdminToken, MAL_ID, async (request, response, next) => {
+    const malId = request.params.mal_id;
+
+    try {
+        const removed = await mappingStore.remove(malId);
+        if (!removed) {
+            return next(new NotFoundError(`No stored mapping for MAL id ${malId}.`));
+        }
+
+        respond(request, response, { data: { mal_id: malId, deleted: true } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
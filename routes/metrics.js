@@ -0,0 +1,51 @@
+/*
+███╗   ███╗███████╗████████╗██████╗ ██╗ ██████╗███████╗
+████╗ ████║██╔════╝╚══██╔══╝██╔══██╗██║██╔════╝██╔════╝
+██╔████╔██║█████╗     ██║   ██████╔╝██║██║     ███████╗
+██║╚██╔╝██║██╔══╝     ██║   ██╔══██╗██║██║     ╚════██║
+██║ ╚═╝ ██║███████╗   ██║   ██║  ██║██║╚██████╗███████║
+╚═╝     ╚═╝╚══════╝   ╚═╝   ╚═╝  ╚═╝╚═╝ ╚═════╝╚══════╝
+*/
+
+// GET /metrics in the Prometheus text format (see utils/metrics.js for what is measured).
+// Open by default like the other probes; with METRICS_TOKEN set, scrapers must send it as
+// `Authorization: Bearer <token>`.
+
+import express from 'express';
+import { registry } from '../utils/metrics.js';
+import { UnauthorizedError } from '../utils/errors.js';
+import { secretMatches } from '../utils/secrets.js';
+
+const router = express.Router();
+
+/* ================================================== */
+/*                 Scrape guard                       */
+/* ================================================== */
+const requireMetricsToken = (request, response, next) => {
+    const metricsToken = process.env.METRICS_TOKEN;
+    if (!metricsToken) return next();
+
+    const provided = request.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    if (!secretMatches(provided, metricsToken)) {
+        return next(new UnauthorizedError("Missing or invalid metrics token, send it as a Bearer token."));
+    }
+
+    next();
+};
+
+/* ================================================== */
+/*                 Prometheus scrape                  */
+/* ================================================== */
+router.get("/metrics", requireMetricsToken, async (request, response, next) => {
+    try {
+        const body = await registry.metrics();
+
+        response.setHeader('Content-Type', registry.contentType);
+        response.setHeader('Cache-Control', 'no-store');
+        response.send(body);
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -8,194 +8,271 @@
 */
 
 import express from 'express';
-import axios from 'axios';
 import logger from '../utils/logger.js';
-import { URLs, options } from '../config/constants.js';
-import redisClient from '../caching/redisClient.js';
+import { respond, tmdbPagination } from '../utils/envelope.js';
+import { URLs } from '../config/constants.js';
+import { withCache } from '../caching/cache.js';
+import { tmdbGet } from '../utils/httpClient.js';
+import { expandImage, expandLogos, expandPeople } from '../utils/tmdbImages.js';
+import { genreNameResolver } from '../utils/genres.js';
+import { fetchWithEnglishFallback, imageLanguages, byImageLanguage } from '../utils/translations.js';
+import locale, { DEFAULT_LANGUAGE } from '../middlewares/locale.js';
+import validate, { PAGE } from '../middlewares/validate.js';
 
 const router = express.Router();
 
+// Texts taken from the English version when TMDB has no translation for them
+const TEXT_FIELDS = ['title', 'overview'];
+
+// Also listed in the OpenAPI document (config/openapi.js)
+export const TIME_WINDOWS = ['week', 'day'];
+export const MOVIE_INCLUDES = ['credits', 'videos', 'release_dates', 'keywords', 'similar'];
+
+// TMDB refuses pages past 500
+export const TMDB_PAGE = { ...PAGE, max: 500 };
+const MOVIE_ID = { type: 'integer', min: 1, hint: 'Movie ids are numeric TMDB ids.' };
+
 /* =============================================== */
 /*                  Trending movies                */
 /* =============================================== */
-router.get("/trending/movies/:time_window?", async (request, response) => {
-    const time_window = request.params.time_window || 'week';
-
-    // Validate that the time_window is either 'week' or 'day'
-    const allowedValues = ['week', 'day'];
-    if (!allowedValues.includes(time_window)) {
-        return response.status(400).send({
-            error: `Invalid time_window value: "${time_window}". Allowed values are: ${allowedValues.join(", ")}`
-        });
-    }
-
-    // Generate a Redis key based on the time_window
-    const redisKey = `trending_movies_${time_window}`;
+router.get("/trending/movies/:time_window?", locale, validate({
+    params: { time_window: { type: 'enum', values: TIME_WINDOWS, default: 'week' } }
+}), async (request, response, next) => {
+    const { time_window } = request.params;
+    const { language } = request.locale;
 
     try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving trending movies data from cache 🎥🍿");
-            return response.send(JSON.parse(cachedData));
-        }
+        const modifiedTrendingData = await getTrendingMovies(time_window, language);
 
-        const url = `${URLs.tmdb}/trending/movie/${time_window}?language=en-US`;
-        const trending = await axios.get(url, options);
-        const trendingData = trending.data.results;
+        respond(request, response, { data: modifiedTrendingData, meta: { source: 'tmdb', time_window, language } });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        const modifiedTrendingData = trendingData.map(movie => ({
+/* =============================================== */
+/*            Trending movies (shared logic)       */
+/* =============================================== */
+// Also used by the GraphQL endpoint
+export async function getTrendingMovies(timeWindow = 'week', language = DEFAULT_LANGUAGE) {
+    // Generate a Redis key based on the time_window and the language
+    const redisKey = `trending_movies_${timeWindow}_${language}`;
+
+    return withCache(redisKey, 'trending_movies', async () => {
+        const trending = await fetchWithEnglishFallback(language, async (lang) => {
+            const url = `${URLs.tmdb}/trending/movie/${timeWindow}?language=${lang}`;
+            return (await tmdbGet(url)).data;
+        }, { fields: TEXT_FIELDS });
+        const trendingData = trending.results;
+
+        logger.info(`Fetched trending movies for time_window "${timeWindow}" (${language}) at ${new Date().toISOString()}`);
+
+        const genreNames = await genreNameResolver('movie', language);
+        return trendingData.map(movie => ({
             ...movie,
             backdrop_path: movie.backdrop_path ? URLs.image + movie.backdrop_path : null,
             poster_path: movie.poster_path ? URLs.image + movie.poster_path : null,
+            genres: genreNames(movie.genre_ids)
         }));
-
-        await redisClient.set(redisKey, JSON.stringify(modifiedTrendingData), 'EX', 3600);
-
-        logger.info(`Fetched trending movies for time_window "${time_window}" at ${new Date().toISOString()}`);
-        response.send(modifiedTrendingData);
-    } catch (err) {
-        handleError(err, response);
-    }
-});
+    });
+}
 
 /* =============================================== */
 /*                  Popular movies                 */
 /* =============================================== */
-router.get("/popular/movies", async (request, response) => {
-    const { page = 1 } = request.query;
+router.get("/popular/movies", locale, validate({ query: { page: TMDB_PAGE } }), async (request, response, next) => {
+    const { page } = request.query;
+    const { language, region } = request.locale;
 
-    // Generate a Redis key based on the page number
-    const redisKey = `popular_movies_page_${page}`;
+    // Generate a Redis key based on the page number, the language and the region
+    const redisKey = `popular_movies_page_${page}_${language}${region ? `_${region}` : ''}`;
 
     try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving popular movies data from cache 🎬🍿");
-            return response.send(JSON.parse(cachedData));
-        }
+        const responseData = await withCache(redisKey, 'popular_movies', async () => {
+            const popularData = await fetchWithEnglishFallback(language, async (lang) => {
+                const url = `${URLs.tmdb}/movie/popular?language=${lang}&page=${page}${region ? `&region=${region}` : ''}`;
+                return (await tmdbGet(url)).data;
+            }, { fields: TEXT_FIELDS });
+
+            const genreNames = await genreNameResolver('movie', language);
+            const modifiedPopularData = popularData.results.map(movie => ({
+                ...movie,
+                backdrop_path: movie.backdrop_path ? URLs.image + movie.backdrop_path : null,
+                poster_path: movie.poster_path ? URLs.image + movie.poster_path : null,
+                genres: genreNames(movie.genre_ids)
+            }));
+
+            const pageInfo = {
+                current_page: popularData.page,
+                total_pages: popularData.total_pages,
+                total_results: popularData.total_results
+            };
+
+            logger.info(`Fetched popular movies at page=${page} (${language}) at ${new Date().toISOString()}`);
+            return { pagination: pageInfo, popular_movies: modifiedPopularData };
+        });
 
-        const url = `${URLs.tmdb}/movie/popular?language=en-US&page=${page}`;
-        const popular = await axios.get(url, options);
-        const popularData = popular.data;
-
-        if (page > popularData.total_pages) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: popularData.total_pages,
-                    has_next_page: false,
-                    items: {
-                        total_pages: popularData.total_pages,
-                        total_results: popularData.total_results,
+        if (page > responseData.pagination.total_pages) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: tmdbPagination({ ...responseData.pagination, current_page: page }),
+                meta: { source: 'tmdb', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.total_pages,
+                        has_next_page: false,
+                        items: {
+                            total_pages: responseData.pagination.total_pages,
+                            total_results: responseData.pagination.total_results,
+                        },
                     },
-                },
-                results: [],
-                message: "No results found for the requested page."
+                    results: [],
+                    message: "No results found for the requested page."
+                }
             });
         }
 
-        const modifiedPopularData = popularData.results.map(movie => ({
-            ...movie,
-            backdrop_path: movie.backdrop_path ? URLs.image + movie.backdrop_path : null,
-            poster_path: movie.poster_path ? URLs.image + movie.poster_path : null
-        }));
-
-        const pageInfo = {
-            current_page: popularData.page,
-            total_pages: popularData.total_pages,
-            total_results: popularData.total_results
-        };
-
-        const responseData = { pagination: pageInfo, popular_movies: modifiedPopularData };
-
-        await redisClient.set(redisKey, JSON.stringify(responseData), 'EX', 3600);
-
-        logger.info(`Fetched popular movies at page=${page} at ${new Date().toISOString()}`);
-        response.send(responseData);
+        respond(request, response, {
+            data: responseData.popular_movies,
+            pagination: tmdbPagination(responseData.pagination),
+            meta: { source: 'tmdb', language, region },
+            legacy: responseData
+        });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
 /* =============================================== */
 /*                  Upcoming movies                */
 /* =============================================== */
-router.get("/upcoming/movies", async (request, response) => {
-    const { page = 1 } = request.query;
+router.get("/upcoming/movies", locale, validate({ query: { page: TMDB_PAGE } }), async (request, response, next) => {
+    const { page } = request.query;
+    const { language, region } = request.locale;
 
-    // Generate a Redis key based on the page number
-    const redisKey = `upcoming_movies_page_${page}`;
+    // Generate a Redis key based on the page number, the language and the region
+    const redisKey = `upcoming_movies_page_${page}_${language}${region ? `_${region}` : ''}`;
 
     try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving upcoming movies data from cache 🎬🍿");
-            return response.send(JSON.parse(cachedData));
-        }
-
-        const url = `${URLs.tmdb}/movie/upcoming?language=en-US&page=${page}`;
-        const upcoming = await axios.get(url, options);
-        const upcomingData = upcoming.data;
+        const responseData = await withCache(redisKey, 'upcoming_movies', async () => {
+            const upcomingData = await fetchWithEnglishFallback(language, async (lang) => {
+                const url = `${URLs.tmdb}/movie/upcoming?language=${lang}&page=${page}${region ? `&region=${region}` : ''}`;
+                return (await tmdbGet(url)).data;
+            }, { fields: TEXT_FIELDS });
+
+            const genreNames = await genreNameResolver('movie', language);
+            const modifiedUpcomingData = upcomingData.results.map(movie => ({
+                ...movie,
+                backdrop_path: movie.backdrop_path ? URLs.image + movie.backdrop_path : null,
+                poster_path: movie.poster_path ? URLs.image + movie.poster_path : null,
+                genres: genreNames(movie.genre_ids)
+            }));
+
+            const pageInfo = {
+                current_page: upcomingData.page,
+                total_pages: upcomingData.total_pages,
+                total_results: upcomingData.total_results,
+            };
+
+            logger.info(`Fetched upcoming movies at page=${page} (${language}) at ${new Date().toISOString()}`);
+            return { pagination: pageInfo, upcoming_movies: modifiedUpcomingData };
+        });
 
         // Check if the requested page exists
-        if (page > upcomingData.total_pages) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: upcomingData.total_pages,
-                    has_next_page: false,
-                    items: {
-                        total_pages: upcomingData.total_pages,
-                        total_results: upcomingData.total_results,
+        if (page > responseData.pagination.total_pages) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: tmdbPagination({ ...responseData.pagination, current_page: page }),
+                meta: { source: 'tmdb', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.total_pages,
+                        has_next_page: false,
+                        items: {
+                            total_pages: responseData.pagination.total_pages,
+                            total_results: responseData.pagination.total_results,
+                        },
                     },
-                },
-                results: [],
-                message: "No results found for the requested page."
+                    results: [],
+                    message: "No results found for the requested page."
+                }
             });
         }
 
-        const modifiedUpcomingData = upcomingData.results.map(movie => ({
-            ...movie,
-            backdrop_path: movie.backdrop_path ? URLs.image + movie.backdrop_path : null,
-            poster_path: movie.poster_path ? URLs.image + movie.poster_path : null
-        }));
-
-        const pageInfo = {
-            current_page: upcomingData.page,
-            total_pages: upcomingData.total_pages,
-            total_results: upcomingData.total_results,
-        };
-
-        const responseData = { pagination: pageInfo, upcoming_movies: modifiedUpcomingData };
-
-        await redisClient.set(redisKey, JSON.stringify(responseData), 'EX', 3600);
-
-        logger.info(`Fetched upcoming movies at page=${page} at ${new Date().toISOString()}`);
-        response.send(responseData);
+        respond(request, response, {
+            data: responseData.upcoming_movies,
+            pagination: tmdbPagination(responseData.pagination),
+            meta: { source: 'tmdb', language, region },
+            legacy: responseData
+        });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
 /* ============================================== */
 /*                  Search Movie                  */
 /* ============================================== */
-router.get("/search/movies", async (request, response) => {
-    const { page = 1, query, primary_release_year, region, year, include_adult } = request.query;
+router.get("/search/movies", locale, validate({
+    query: {
+        query: { type: 'string', required: true },
+        page: TMDB_PAGE,
+        primary_release_year: { type: 'integer', min: 1800, max: 2200 },
+        year: { type: 'integer', min: 1800, max: 2200 },
+        include_adult: { type: 'boolean' }
+    }
+}), async (request, response, next) => {
+    const { page, query } = request.query;
+
+    try {
+        const responseData = await searchMovies({ ...request.query, ...request.locale });
 
-    if (!query) {
-        return response.status(400).send({
-            error: "No query provided! ☹️"
+        // Check if the requested page exists
+        if (page > responseData.pagination.total_pages) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: tmdbPagination({ ...responseData.pagination, current_page: page }),
+                meta: { source: 'tmdb', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.total_pages,
+                        has_next_page: false,
+                        items: {
+                            total_pages: responseData.pagination.total_pages,
+                            total_results: responseData.pagination.total_results,
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
+            });
+        }
+
+        logger.info(`Fetched movies for query "${query}" with page ${page} at ${new Date().toISOString()}`);
+        respond(request, response, {
+            data: responseData.search_result,
+            pagination: tmdbPagination(responseData.pagination),
+            meta: { source: 'tmdb', query, language: request.locale.language },
+            legacy: responseData
         });
+    } catch (err) {
+        next(err);
     }
+});
 
-    // Fixed parameters for every request
-    const fixedParams = {
-        language: 'en-US',
-    };
-
+/* ============================================== */
+/*            Search Movie (shared logic)         */
+/* ============================================== */
+// Also used by the unified /search endpoint
+export async function searchMovies({ page = 1, query, primary_release_year, region, year, include_adult, language = DEFAULT_LANGUAGE }) {
     // Generate a Redis key based on the query parameters
-    const redisKeyParts = [`search_movies`, `page_${page}`, `query_${query}`];
+    const redisKeyParts = [`search_movies`, `page_${page}`, `query_${query}`, `language_${language}`];
 
     if (primary_release_year) redisKeyParts.push(`primary_release_year_${primary_release_year}`);
     if (region) redisKeyParts.push(`region_${region}`);
@@ -205,8 +282,8 @@ router.get("/search/movies", async (request, response) => {
     const redisKey = redisKeyParts.join('_');
 
     // Create query parameters for the API request
-    const queryParams = new URLSearchParams({
-        ...fixedParams,
+    const queryParams = (lang) => new URLSearchParams({
+        language: lang,
         query: query || '',
         primary_release_year: primary_release_year || '',
         region: region || '',
@@ -215,38 +292,18 @@ router.get("/search/movies", async (request, response) => {
         include_adult: include_adult || false
     }).toString();
 
-    try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving search movie data from cache 🎬🍿");
-            return response.send(JSON.parse(cachedData));
-        }
-
-        const searchMovieUrl = `${URLs.tmdb}/search/movie?${queryParams}`;
-        const searchMovie = await axios.get(searchMovieUrl, options);
-        const searchMovieData = searchMovie.data;
-
-        // Check if the requested page exists
-        if (page > searchMovieData.total_pages) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: searchMovieData.total_pages,
-                    has_next_page: false,
-                    items: {
-                        total_pages: searchMovieData.total_pages,
-                        total_results: searchMovieData.total_results,
-                    }
-                },
-                results: [],
-                message: "No results found for the requested page."
-            });
-        }
+    return withCache(redisKey, 'search_movies', async () => {
+        const searchMovieData = await fetchWithEnglishFallback(language, async (lang) => {
+            const searchMovieUrl = `${URLs.tmdb}/search/movie?${queryParams(lang)}`;
+            return (await tmdbGet(searchMovieUrl)).data;
+        }, { fields: TEXT_FIELDS });
 
+        const genreNames = await genreNameResolver('movie', language);
         const formattedMovies = searchMovieData.results.map(movie => ({
             ...movie,
             backdrop_path: movie.backdrop_path ? URLs.image + movie.backdrop_path : null,
-            poster_path: movie.poster_path ? URLs.image + movie.poster_path : null
+            poster_path: movie.poster_path ? URLs.image + movie.poster_path : null,
+            genres: genreNames(movie.genre_ids)
         }));
 
         const pageInfo = {
@@ -255,81 +312,183 @@ router.get("/search/movies", async (request, response) => {
             total_results: searchMovieData.total_results
         };
 
-        const responseData = { pagination: pageInfo, search_result: formattedMovies };
+        return { pagination: pageInfo, search_result: formattedMovies };
+    });
+}
+
+/* =============================================== */
+/*                  Movie details                  */
+/* =============================================== */
+router.get("/movies/:id", locale, validate({
+    params: { id: MOVIE_ID },
+    query: { include: { type: 'list', items: { type: 'enum', values: MOVIE_INCLUDES }, default: [] } }
+}), async (request, response, next) => {
+    const movieId = request.params.id;
+    const { language } = request.locale;
+    // The certification defaults to the US one
+    const region = request.locale.region || 'US';
+    // Sorted, the list is part of the cache key
+    const includes = [...request.query.include].sort();
 
-        await redisClient.set(redisKey, JSON.stringify(responseData), 'EX', 3600);
+    try {
+        const movie = await getMovieDetails(movieId, includes, language);
 
-        logger.info(`Fetched movies for query "${query}" with page ${page} at ${new Date().toISOString()}`);
-        response.send(responseData);
+        respond(request, response, {
+            data: { ...movie, certification: movie.certifications[region] || null },
+            meta: { source: 'tmdb', movie_id: movieId, include: includes, language, region }
+        });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
+/* =============================================== */
+/*            Movie details (shared logic)         */
+/* =============================================== */
+// Also used by the MAL <-> TMDB mappings and GraphQL. `includes` must be sorted, it is part of the cache key.
+export async function getMovieDetails(movieId, includes = [], language = DEFAULT_LANGUAGE) {
+    // Generate a Redis key based on the movie ID, the language and the included blocks
+    const redisKey = `movie_details_${movieId}_${language}${includes.length ? `_${includes.join('_')}` : ''}`;
+
+    return withCache(redisKey, 'movie_details', async () => {
+        // release_dates is always appended, the certification is derived from it
+        const appended = [...new Set([...includes, 'release_dates'])];
+
+        const details = await fetchWithEnglishFallback(language, async (lang) => {
+            // The English copy only fills in text, it doesn't need the appended blocks
+            const queryParams = new URLSearchParams({
+                language: lang,
+                ...(lang === language && { append_to_response: appended.join(',') })
+            }).toString();
+            return (await tmdbGet(`${URLs.tmdb}/movie/${movieId}?${queryParams}`)).data;
+        }, { fields: TEXT_FIELDS, listKey: null });
+
+        logger.info(`Fetched details for movie ID: "${movieId}" (${language}, include=${includes.join(',') || 'none'}) at ${new Date().toISOString()}`);
+
+        // Similar movies are list items, they get genre names like every other list
+        const genreNames = includes.includes('similar') ? await genreNameResolver('movie', language) : null;
+
+        return formatMovieDetails(details, includes, genreNames);
+    });
+}
+
+// First non empty certification of every region, e.g. { US: 'PG-13', DE: '12' }
+const certificationsByRegion = (releaseDates = []) => Object.fromEntries(
+    releaseDates
+        .map(entry => [entry.iso_3166_1, entry.release_dates.find(release => release.certification)?.certification])
+        .filter(([, certification]) => certification)
+);
+
+const formatMovieDetails = (movie, includes, genreNames) => {
+    const formatted = {
+        ...movie,
+        backdrop_path: expandImage(movie.backdrop_path),
+        poster_path: expandImage(movie.poster_path),
+        belongs_to_collection: movie.belongs_to_collection && {
+            ...movie.belongs_to_collection,
+            backdrop_path: expandImage(movie.belongs_to_collection.backdrop_path),
+            poster_path: expandImage(movie.belongs_to_collection.poster_path)
+        },
+        production_companies: expandLogos(movie.production_companies),
+        certifications: certificationsByRegion(movie.release_dates?.results)
+    };
+
+    // Drop blocks that were only appended internally
+    delete formatted.credits;
+    delete formatted.videos;
+    delete formatted.release_dates;
+    delete formatted.keywords;
+    delete formatted.similar;
+
+    if (includes.includes('credits')) {
+        formatted.credits = {
+            cast: expandPeople(movie.credits.cast),
+            crew: expandPeople(movie.credits.crew)
+        };
+    }
+
+    if (includes.includes('videos')) {
+        formatted.videos = movie.videos.results.map(video => ({
+            ...video,
+            url: video.site === 'YouTube' ? `https://www.youtube.com/watch?v=${video.key}` : null
+        }));
+    }
+
+    if (includes.includes('release_dates')) {
+        formatted.release_dates = movie.release_dates.results;
+    }
+
+    if (includes.includes('keywords')) {
+        formatted.keywords = movie.keywords.keywords;
+    }
+
+    if (includes.includes('similar')) {
+        formatted.similar = movie.similar.results.map(similar => ({
+            ...similar,
+            backdrop_path: expandImage(similar.backdrop_path),
+            poster_path: expandImage(similar.poster_path),
+            genres: genreNames(similar.genre_ids)
+        }));
+    }
+
+    return formatted;
+};
+
 /* =============================================================== */
 /*                  Fetch images of a movie by ID                  */
 /* =============================================================== */
-router.get("/images/movie/:id", async (request, response) => {
+router.get("/images/movie/:id", locale, validate({ params: { id: MOVIE_ID } }), async (request, response, next) => {
     const movieId = request.params.id;
-
-    // Create a Redis key based on the movie ID
-    const redisKey = `movie_images_${movieId}`;
+    const { language } = request.locale;
 
     try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving movie images from cache 🎥📸");
-            return response.send(JSON.parse(cachedData));
-        }
+        const responseData = await getMovieImages(movieId, language);
 
+        respond(request, response, { data: responseData, meta: { source: 'tmdb', movie_id: movieId, language } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* =============================================================== */
+/*                  Movie images (shared logic)                    */
+/* =============================================================== */
+// Also used by the GraphQL endpoint
+export async function getMovieImages(movieId, language = DEFAULT_LANGUAGE) {
+    // Create a Redis key based on the movie ID and the language
+    const redisKey = `movie_images_${movieId}_${language}`;
+
+    return withCache(redisKey, 'movie_images', async () => {
+        // Images with text in the requested language, English ones and textless ones
         const queryParams = new URLSearchParams({
-            include_image_language: "en"
+            include_image_language: imageLanguages(language)
         }).toString();
 
         const fetchMovieImagesUrl = `${URLs.tmdb}/movie/${movieId}/images?${queryParams}`;
-        const fetchedImages = await axios.get(fetchMovieImagesUrl, options);
+        const fetchedImages = await tmdbGet(fetchMovieImagesUrl);
         const fetchedImagesData = fetchedImages.data;
 
-        const backdropsArray = fetchedImagesData.backdrops?.map(backdrop => ({
+        // Localized images first, TMDB's vote order is kept within each language
+        const backdropsArray = fetchedImagesData.backdrops?.sort(byImageLanguage(language)).map(backdrop => ({
             aspect_ratio: backdrop.aspect_ratio,
             height: backdrop.height,
             width: backdrop.width,
+            iso_639_1: backdrop.iso_639_1 ?? null,
             file_path: URLs.image + backdrop.file_path
         })) || []; // Fallback to an empty array
 
-        const postersArray = fetchedImagesData.posters?.map(poster => ({
+        const postersArray = fetchedImagesData.posters?.sort(byImageLanguage(language)).map(poster => ({
             aspect_ratio: poster.aspect_ratio,
             height: poster.height,
             width: poster.width,
+            iso_639_1: poster.iso_639_1 ?? null,
             file_path: URLs.image + poster.file_path
         })) || []; // Fallback to an empty array
 
         logger.info(`Successfully fetched images for movie ID: "${movieId}" at ${new Date().toISOString()}`);
 
-        const responseData = { backdrops: backdropsArray, posters: postersArray };
-
-        await redisClient.set(redisKey, JSON.stringify(responseData), 'EX', 3600);
-
-        response.send(responseData);
-    } catch (err) {
-        handleError(err, response);
-    }
-});
-
-/* ============================================ */
-/*                 Handle Error                 */
-/* ============================================ */
-function handleError(err, response) {
-    if (err.response) {
-        logger.error(`API Error: ${err.response.status} - ${JSON.stringify(err.response.data)}`);
-        response.status(err.response.status).send("Error fetching data from API.");
-    } else if (err.request) {
-        logger.error('No response received from API:', err.request);
-        response.status(500).send("No response received from API.");
-    } else {
-        logger.error(`Error: ${err.message}`);
-        response.status(500).send("Internal Server Error.");
-    }
+        return { backdrops: backdropsArray, posters: postersArray };
+    });
 }
 
 export default router;
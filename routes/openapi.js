@@ -0,0 +1,24 @@
+/*
+ ██████╗ ██████╗ ███████╗███╗   ██╗ █████╗ ██████╗ ██╗
+██╔═══██╗██╔══██╗██╔════╝████╗  ██║██╔══██╗██╔══██╗██║
+██║   ██║██████╔╝█████╗  ██╔██╗ ██║███████║██████╔╝██║
+██║   ██║██╔═══╝ ██╔══╝  ██║╚██╗██║██╔══██║██╔═══╝ ██║
+╚██████╔╝██║     ███████╗██║ ╚████║██║  ██║██║     ██║
+ ╚═════╝ ╚═╝     ╚══════╝╚═╝  ╚═══╝╚═╝  ╚═╝╚═╝     ╚═╝
+*/
+
+import express from 'express';
+import openApiSpec from '../config/openapi.js';
+
+const router = express.Router();
+
+/* ================================================== */
+/*                 OpenAPI document                   */
+/* ================================================== */
+// Served as is, not in the v2 envelope, so tools can load it directly
+router.get("/openapi.json", (request, response) => {
+    response.setHeader('Cache-Control', 'public, max-age=3600');
+    response.json(openApiSpec);
+});
+
+export default router;
@@ -0,0 +1,216 @@
+/*
+██████╗ ███████╗ ██████╗ ██████╗ ███╗   ███╗███╗   ███╗███████╗███╗   ██╗██████╗  █████╗ ████████╗██╗ ██████╗ ███╗   ██╗███████╗
+██╔══██╗██╔════╝██╔════╝██╔═══██╗████╗ ████║████╗ ████║██╔════╝████╗  ██║██╔══██╗██╔══██╗╚══██╔══╝██║██╔═══██╗████╗  ██║██╔════╝
+██████╔╝█████╗  ██║     ██║   ██║██╔████╔██║██╔████╔██║█████╗  ██╔██╗ ██║██║  ██║███████║   ██║   ██║██║   ██║██╔██╗ ██║███████╗
+██╔══██╗██╔══╝  ██║     ██║   ██║██║╚██╔╝██║██║╚██╔╝██║██╔══╝  ██║╚██╗██║██║  ██║██╔══██║   ██║   ██║██║   ██║██║╚██╗██║╚════██║
+██║  ██║███████╗╚██████╗╚██████╔╝██║ ╚═╝ ██║██║ ╚═╝ ██║███████╗██║ ╚████║██████╔╝██║  ██║   ██║   ██║╚██████╔╝██║ ╚████║███████║
+╚═╝  ╚═╝╚══════╝ ╚═════╝ ╚═════╝ ╚═╝     ╚═╝╚═╝     ╚═╝╚══════╝╚═╝  ╚═══╝╚═════╝ ╚═╝  ╚═╝   ╚═╝   ╚═╝ ╚═════╝ ╚═╝  ╚═══╝╚══════╝
+*/
+
+// "What to watch next" for any title: TMDB recommendations + similar titles for movies and TV,
+// Jikan user recommendations for anime. Items of every media type share the item shape of
+// utils/normalize.js (like the unified search) with:
+//  - recommendation_score  0 to 1, from the upstream ranking (and genre overlap when asked for)
+//  - genre_overlap         share of genres in common with the title, null unless genre_scoring=true
+//  - recommended_by        the TMDB lists an item came from, `votes` of MyAnimeList users for anime
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import validate from '../middlewares/validate.js';
+import { respond } from '../utils/envelope.js';
+import { URLs } from '../config/constants.js';
+import { withCache } from '../caching/cache.js';
+import { tmdbGet, jikanGet } from '../utils/httpClient.js';
+import { ValidationError } from '../utils/errors.js';
+import { expandImage } from '../utils/tmdbImages.js';
+import { genreNameResolver } from '../utils/genres.js';
+import { fetchWithEnglishFallback } from '../utils/translations.js';
+import locale from '../middlewares/locale.js';
+import { normalizeMovie, normalizeTvShow, normalizeAnime } from '../utils/normalize.js';
+import { getMovieDetails } from './movies.js';
+import { getTvDetails } from './tvShows.js';
+
+const router = express.Router();
+
+/* =============================================== */
+/*                  Settings                       */
+/* =============================================== */
+const MEDIA_TYPES = ['movie', 'tv', 'anime'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// TMDB "similar" only compares keywords and genres, trust it a bit less than "recommendations"
+const SIMILAR_WEIGHT = 0.8;
+// Bonus of a title both TMDB lists agree on
+const AGREEMENT_BONUS = 0.1;
+// Share of the final score taken by genre overlap when genre_scoring=true
+const GENRE_WEIGHT = 0.4;
+// Texts taken from the English version when TMDB has no translation for them
+const TEXT_FIELDS = { movie: ['title', 'overview'], tv: ['name', 'overview'] };
+
+// 1 for the first item of a ranked list, close to 0 for the last
+const rankScore = (index, length) => 1 - index / length;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/* =============================================== */
+/*                  Upstream lists                 */
+/* =============================================== */
+// Merged and de-duplicated TMDB recommendations + similar titles, best first
+const tmdbRecommendations = async (mediaType, id, language) => {
+    const fetchList = (listName) => fetchWithEnglishFallback(language, async (lang) => {
+        return (await tmdbGet(`${URLs.tmdb}/${mediaType}/${id}/${listName}?language=${lang}&page=1`)).data;
+    }, { fields: TEXT_FIELDS[mediaType] });
+
+    const [recommended, similar] = await Promise.allSettled([
+        fetchList('recommendations'),
+        fetchList('similar')
+    ]);
+
+    // One list is enough to answer, none means the title is unknown or TMDB is down
+    if (recommended.status === 'rejected' && similar.status === 'rejected') {
+        throw recommended.reason;
+    }
+
+    const genreNames = await genreNameResolver(mediaType, language);
+    const normalize = mediaType === 'movie' ? normalizeMovie : normalizeTvShow;
+    const merged = new Map();
+
+    const addList = (result, listName, weight) => {
+        if (result.status === 'rejected') {
+            logger.warn(`TMDB ${listName} of ${mediaType} ${id} failed, answering without it: ${result.reason.message}`);
+            return;
+        }
+
+        const items = result.value.results;
+        items.forEach((item, index) => {
+            const score = weight * rankScore(index, items.length);
+            const existing = merged.get(item.id);
+
+            if (existing) {
+                existing.recommended_by.push(listName);
+                existing.base_score = Math.min(1, Math.max(existing.base_score, score) + AGREEMENT_BONUS);
+                return;
+            }
+
+            merged.set(item.id, {
+                ...normalize({
+                    ...item,
+                    backdrop_path: expandImage(item.backdrop_path),
+                    poster_path: expandImage(item.poster_path),
+                    genres: genreNames(item.genre_ids)
+                }),
+                recommended_by: [listName],
+                // Only used for the overlap scoring, not part of the answer
+                genre_ids: item.genre_ids || [],
+                base_score: score
+            });
+        });
+    };
+
+    addList(recommended, 'recommendations', 1);
+    addList(similar, 'similar', SIMILAR_WEIGHT);
+
+    return [...merged.values()]
+        .filter(item => String(item.id) !== String(id))
+        .sort((a, b) => b.base_score - a.base_score);
+};
+
+// Jikan user recommendations, most voted first. Entries only carry the id, title and images,
+// the other fields of the item shape stay null or empty
+const animeRecommendations = async (id) => {
+    const recommendations = await jikanGet(`${URLs.jikan}/anime/${id}/recommendations`);
+    const entries = recommendations.data.data;
+    const maxVotes = Math.max(1, ...entries.map(entry => entry.votes));
+
+    return entries
+        .map(entry => ({
+            ...normalizeAnime(entry.entry),
+            votes: entry.votes,
+            base_score: entry.votes / maxVotes
+        }))
+        .sort((a, b) => b.base_score - a.base_score);
+};
+
+// Genre ids of the title itself, for the overlap scoring
+const titleGenreIds = async (mediaType, id) => {
+    const details = mediaType === 'movie' ? await getMovieDetails(id) : await getTvDetails(id);
+    return details.genres.map(genre => genre.id);
+};
+
+// Shared genres over all genres of both titles (Jaccard index)
+const genreOverlap = (genreIds, otherGenreIds) => {
+    const all = new Set([...genreIds, ...otherGenreIds]);
+    if (!all.size) return 0;
+    return otherGenreIds.filter(genreId => genreIds.includes(genreId)).length / all.size;
+};
+
+/* =============================================== */
+/*                  Recommendations                */
+/* =============================================== */
+router.get("/recommendations/:media_type/:id", locale, validate({
+    params: {
+        media_type: { type: 'enum', values: MEDIA_TYPES },
+        id: { type: 'integer', min: 1, hint: 'Use a numeric TMDB id, or a MyAnimeList id for anime.' }
+    },
+    query: {
+        limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+        // Movies and TV shows only, Jikan recommendation entries carry no genres to compare
+        genre_scoring: { type: 'boolean', default: false }
+    }
+}), async (request, response, next) => {
+    const { media_type: mediaType, id } = request.params;
+    const { limit, genre_scoring: genreScoring } = request.query;
+    const { language } = request.locale;
+
+    if (genreScoring && mediaType === 'anime') {
+        return next(new ValidationError("genre_scoring is only available for movies and TV shows, Jikan recommendations carry no genres.", { parameter: 'genre_scoring' }));
+    }
+
+    // Jikan has no translations, anime recommendations are the same in every language
+    const redisKey = mediaType === 'anime'
+        ? `recommendations_anime_${id}`
+        : `recommendations_${mediaType}_${id}_${language}`;
+
+    try {
+        const candidates = await withCache(redisKey, 'recommendations', async () => {
+            const list = mediaType === 'anime'
+                ? await animeRecommendations(id)
+                : await tmdbRecommendations(mediaType, id, language);
+
+            logger.info(`Fetched ${list.length} recommendations for ${mediaType} ID "${id}" (${language}) at ${new Date().toISOString()}`);
+            return list;
+        });
+
+        const genreIds = genreScoring ? await titleGenreIds(mediaType, id) : null;
+
+        const items = candidates
+            .map(({ base_score: baseScore, genre_ids: itemGenreIds, ...item }) => {
+                const overlap = genreScoring ? genreOverlap(genreIds, itemGenreIds) : null;
+                const score = genreScoring ? (1 - GENRE_WEIGHT) * baseScore + GENRE_WEIGHT * overlap : baseScore;
+
+                return {
+                    ...item,
+                    recommendation_score: round(score),
+                    genre_overlap: overlap === null ? null : round(overlap)
+                };
+            })
+            .sort((a, b) => b.recommendation_score - a.recommendation_score)
+            .slice(0, limit);
+
+        respond(request, response, {
+            data: items,
+            meta: {
+                source: mediaType === 'anime' ? 'jikan' : 'tmdb',
+                media_type: mediaType,
+                id,
+                language: mediaType === 'anime' ? null : language,
+                genre_scoring: genreScoring,
+                total_results: candidates.length
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+export default router;
@@ -0,0 +1,199 @@
+/*
+███████╗ ██████╗██╗  ██╗███████╗██████╗ ██╗   ██╗██╗     ███████╗
+██╔════╝██╔════╝██║  ██║██╔════╝██╔══██╗██║   ██║██║     ██╔════╝
+███████╗██║     ███████║█████╗  ██║  ██║██║   ██║██║     █████╗
+╚════██║██║     ██╔══██║██╔══╝  ██║  ██║██║   ██║██║     ██╔══╝
+███████║╚██████╗██║  ██║███████╗██████╔╝╚██████╔╝███████╗███████╗
+╚══════╝ ╚═════╝╚═╝  ╚═╝╚══════╝╚═════╝  ╚═════╝ ╚══════╝╚══════╝
+*/
+
+// Weekly anime broadcast schedule. Jikan gives every airing show a broadcast slot in JST
+// ("Saturdays 23:00"), the schedule converts those slots into the caller's timezone,
+// so a late night Saturday show in Tokyo is listed on Saturday morning in Paris.
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import { respond } from '../utils/envelope.js';
+import { URLs } from '../config/constants.js';
+import { withCache } from '../caching/cache.js';
+import { jikanGet } from '../utils/httpClient.js';
+import validate from '../middlewares/validate.js';
+import { ANIME_TYPES } from './anime.js';
+
+const router = express.Router();
+
+/* =============================================== */
+/*                  Settings                       */
+/* =============================================== */
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const BROADCAST_TIMEZONE = 'Asia/Tokyo';
+// Japan has no daylight saving time, JST is always UTC+9
+const JST_OFFSET_MS = 9 * 3600 * 1000;
+// Jikan lists schedules 25 at a time. The whole week is one listing, capped so a cold
+// schedule costs at most MAX_PAGES of the 60 Jikan calls per minute we share with every route
+const PAGE_SIZE = 25;
+const MAX_PAGES = 12;
+
+const isValidTimezone = (tz) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/* =============================================== */
+/*                  Anime schedule                 */
+/* =============================================== */
+router.get("/schedule/anime", validate({
+    query: {
+        day: { type: 'enum', values: WEEKDAYS },
+        tz: {
+            type: 'string',
+            check: isValidTimezone,
+            default: BROADCAST_TIMEZONE,
+            hint: 'Use an IANA timezone like "Europe/Paris" or "America/New_York".'
+        },
+        type: { type: 'enum', values: ANIME_TYPES },
+        sfw: { type: 'flag' }
+    }
+}), async (request, response, next) => {
+    const { day, tz, type, sfw } = request.query;
+
+    try {
+        const schedule = await getAnimeSchedule({ day, tz, type, sfw });
+
+        logger.info(`Fetched anime schedule with query params: day=${day}, tz=${tz}, type=${type} at ${new Date().toISOString()}`);
+        respond(request, response, { data: schedule, meta: { source: 'jikan', timezone: tz, day: day || null } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* =============================================== */
+/*            Anime schedule (shared logic)        */
+/* =============================================== */
+/**
+ * Airing anime grouped by weekday in `tz`, each group sorted by local broadcast time.
+ * With `day`, only that weekday is returned (its shows may come from the JST day before or after).
+ * @returns {Promise<Object<string, object[]>>} e.g. { monday: [...], tuesday: [...] }
+ */
+export async function getAnimeSchedule({ day, tz = BROADCAST_TIMEZONE, type, sfw }) {
+    const weeklySchedule = await getWeeklySchedule(sfw);
+
+    const grouped = Object.fromEntries((day ? [day] : WEEKDAYS).map(weekday => [weekday, []]));
+
+    for (const anime of weeklySchedule) {
+        if (type && anime.type?.toLowerCase().replace(/ /g, '_') !== type) continue;
+
+        const localBroadcast = toLocalBroadcast(anime.broadcast.jst, tz);
+        grouped[localBroadcast.day]?.push({ ...anime, broadcast: { ...anime.broadcast, local: localBroadcast } });
+    }
+
+    // Shows without a known time go last
+    for (const shows of Object.values(grouped)) {
+        shows.sort((a, b) => (a.broadcast.local.time || '99:99').localeCompare(b.broadcast.local.time || '99:99'));
+    }
+
+    return grouped;
+}
+
+// "Saturdays" -> "saturday", null for shows without a regular slot ("Unknown", missing)
+const toWeekday = (jikanDay) => {
+    const weekday = jikanDay?.toLowerCase().replace(/s$/, '');
+    return WEEKDAYS.includes(weekday) ? weekday : null;
+};
+
+// Every show with a weekly JST slot, from one unfiltered listing cached for the whole week
+const getWeeklySchedule = (sfw) => {
+    const redisKey = `anime_schedule_week${sfw ? '_sfw' : ''}`;
+
+    return withCache(redisKey, 'anime_schedule', async () => {
+        const shows = [];
+
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            let scheduleUrl = `${URLs.jikan}/schedules?page=${page}&limit=${PAGE_SIZE}`;
+            if (sfw) scheduleUrl += `&sfw`;
+
+            const schedule = await jikanGet(scheduleUrl);
+            shows.push(...schedule.data.data);
+
+            if (!schedule.data.pagination.has_next_page) break;
+            if (page === MAX_PAGES) logger.warn(`The anime schedule has more than ${MAX_PAGES} pages, the rest is left out`);
+        }
+
+        logger.info(`Fetched the weekly anime schedule (${shows.length} shows) at ${new Date().toISOString()}`);
+
+        // The same show may show up on two pages while Jikan updates its listing
+        const unique = [...new Map(shows.map(anime => [anime.mal_id, anime])).values()]
+            .filter(anime => toWeekday(anime.broadcast?.day));
+
+        return unique.map(anime => ({
+            mal_id: anime.mal_id,
+            mal_url: anime.url,
+            images: [
+                anime.images?.jpg?.image_url || null,
+                anime.images?.jpg?.large_image_url || null
+            ],
+            titles: {
+                default_title: anime.title,
+                japanese_title: anime.title_japanese,
+                english_title: anime.title_english
+            },
+            type: anime.type,
+            episodes: anime.episodes,
+            status: anime.status,
+            score: anime.score,
+            genres: anime.genres.map(genre => genre.name),
+            themes: (anime.themes || []).map(theme => theme.name),
+            demographics: (anime.demographics || []).map(demographic => demographic.name),
+            aired_from: anime.aired?.from || null,
+            broadcast: {
+                jst: {
+                    day: toWeekday(anime.broadcast.day),
+                    time: anime.broadcast?.time || null
+                }
+            }
+        }));
+    });
+};
+
+/* =============================================== */
+/*                  Time conversion                */
+/* =============================================== */
+// Next broadcast of a weekly JST slot as a Date, from `now` on
+export const nextBroadcast = (jstDay, jstTime, now = Date.now()) => {
+    const [hours, minutes] = jstTime.split(':').map(Number);
+    // Reading a JST shifted timestamp with the UTC getters gives the JST wall clock
+    const jstNow = new Date(now + JST_OFFSET_MS);
+    const daysAhead = (WEEKDAYS.indexOf(jstDay) - jstNow.getUTCDay() + 7) % 7;
+
+    let broadcast = Date.UTC(jstNow.getUTCFullYear(), jstNow.getUTCMonth(), jstNow.getUTCDate() + daysAhead, hours, minutes) - JST_OFFSET_MS;
+    if (broadcast < now) broadcast += 7 * 24 * 3600 * 1000;
+
+    return new Date(broadcast);
+};
+
+// { day, time, timezone, next_broadcast } of a JST slot as seen from `tz`, day rollover included
+export const toLocalBroadcast = ({ day, time }, tz, now = Date.now()) => {
+    if (!time || !/^\d{2}:\d{2}$/.test(time)) {
+        return { day, time: null, timezone: tz, next_broadcast: null };
+    }
+
+    const next = nextBroadcast(day, time, now);
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', { timeZone: tz, weekday: 'long', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+            .formatToParts(next)
+            .map(part => [part.type, part.value])
+    );
+
+    return {
+        day: parts.weekday.toLowerCase(),
+        time: `${parts.hour}:${parts.minute}`,
+        timezone: tz,
+        next_broadcast: next.toISOString()
+    };
+};
+
+export default router;
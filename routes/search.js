@@ -0,0 +1,190 @@
+/*
+███████╗███████╗ █████╗ ██████╗  ██████╗██╗  ██╗
+██╔════╝██╔════╝██╔══██╗██╔══██╗██╔════╝██║  ██║
+███████╗█████╗  ███████║██████╔╝██║     ███████║
+╚════██║██╔══╝  ██╔══██║██╔══██╗██║     ██╔══██║
+███████║███████╗██║  ██║██║  ██║╚██████╗██║  ██║
+╚══════╝╚══════╝╚═╝  ╚═╝╚═╝  ╚═╝ ╚═════╝╚═╝  ╚═╝
+*/
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import { toApiError } from '../utils/errors.js';
+import { respond, jikanPagination } from '../utils/envelope.js';
+import { searchMovies } from './movies.js';
+import { searchTvShows } from './tvShows.js';
+import { searchAnime } from './anime.js';
+import { normalizeMovie, normalizeTvShow, normalizeAnime, normalizeText } from '../utils/normalize.js';
+import locale from '../middlewares/locale.js';
+import validate, { PAGE } from '../middlewares/validate.js';
+
+const router = express.Router();
+
+/* ============================================ */
+/*                 Catalog sources              */
+/* ============================================ */
+// Each source fetches the first upstream page of its catalog and reports it in the same shape.
+// TMDB titles come in the requested language, Jikan ones stay as they are.
+const sources = {
+    movie: async ({ query, include_adult, language }) => {
+        const data = await searchMovies({ query, page: 1, include_adult, language });
+        return {
+            items: data.search_result.map(normalizeMovie),
+            total_pages: data.pagination.total_pages,
+            total_results: data.pagination.total_results
+        };
+    },
+    tv: async ({ query, include_adult, language }) => {
+        const data = await searchTvShows({ query, page: 1, include_adult, language });
+        return {
+            items: data.search_result.map(normalizeTvShow),
+            total_pages: data.pagination.total_pages,
+            total_results: data.pagination.total_results
+        };
+    },
+    anime: async ({ query, include_adult }) => {
+        const data = await searchAnime({ q: query, page: 1, sfw: !include_adult });
+        return {
+            items: data.data.map(normalizeAnime),
+            total_pages: data.pagination.last_visible_page,
+            total_results: data.pagination.items.total
+        };
+    }
+};
+
+/* ============================================ */
+/*                 Relevance                    */
+/* ============================================ */
+// Scores how well a single title matches the query, from 0 to 100
+const titleRelevance = (title, query) => {
+    const normalizedTitle = normalizeText(title);
+    if (!normalizedTitle) return 0;
+    if (normalizedTitle === query) return 100;
+    if (normalizedTitle.startsWith(query)) return 80;
+    if (normalizedTitle.includes(query)) return 60;
+
+    // Share of query words found in the title
+    const queryWords = query.split(' ');
+    const titleWords = new Set(normalizedTitle.split(' '));
+    const matched = queryWords.filter(word => titleWords.has(word)).length;
+    return Math.round((matched / queryWords.length) * 40);
+};
+
+const relevance = (item, query) => {
+    const titles = [item.title, ...item.alternative_titles];
+    return Math.max(...titles.map(title => titleRelevance(title, query)));
+};
+
+/* ============================================ */
+/*                 Unified search               */
+/* ============================================ */
+router.get("/search", locale, validate({
+    query: {
+        query: { type: 'string', required: true },
+        page: PAGE,
+        limit: { type: 'integer', min: 1, max: 100, default: 20 },
+        types: { type: 'list', items: { type: 'enum', values: Object.keys(sources) }, default: Object.keys(sources) },
+        include_adult: { type: 'boolean', default: false }
+    }
+}), async (request, response, next) => {
+    const { query, page, limit, types: requestedTypes, include_adult } = request.query;
+
+    // One failing catalog does not fail the others
+    const settled = await Promise.allSettled(
+        requestedTypes.map(type => sources[type]({ query, include_adult, language: request.locale.language }))
+    );
+
+    const sourceStatus = {};
+    let mergedItems = [];
+
+    settled.forEach((result, index) => {
+        const type = requestedTypes[index];
+
+        if (result.status === 'fulfilled') {
+            const { items, total_pages, total_results } = result.value;
+            sourceStatus[type] = { status: 'ok', total_pages, total_results };
+            mergedItems = mergedItems.concat(items);
+        } else {
+            const apiError = toApiError(result.reason);
+            logger.error(`Unified search: ${type} source failed - ${result.reason.message}`);
+            sourceStatus[type] = {
+                status: 'error',
+                http_status: apiError.status,
+                code: apiError.code,
+                error: apiError.message
+            };
+        }
+    });
+
+    // Nothing to merge when every catalog failed
+    if (Object.values(sourceStatus).every(source => source.status === 'error')) {
+        return respond(request, response, {
+            status: 502,
+            data: [],
+            meta: { sources: sourceStatus, message: "All catalogs failed to respond." },
+            legacy: { sources: sourceStatus, results: [], message: "All catalogs failed to respond." }
+        });
+    }
+
+    const normalizedQuery = normalizeText(query);
+
+    // Most relevant first, better rated first on ties
+    const rankedItems = mergedItems
+        .map(item => ({ ...item, relevance: relevance(item, normalizedQuery) }))
+        .sort((a, b) => (b.relevance - a.relevance) || ((b.score ?? 0) - (a.score ?? 0)));
+
+    // Pages are cut from the merged and ranked top hits of every catalog, not from deeper upstream
+    // pages: ranking across catalogs needs the whole set at once. The per source `total_pages` only
+    // describe the upstream catalogs, `last_visible_page` is the real bound.
+    const lastVisiblePage = Math.max(1, Math.ceil(rankedItems.length / limit));
+
+    if (page > lastVisiblePage) {
+        const message = `Unified search ranks the top hits of each catalog and ends at page ${lastVisiblePage} with limit=${limit}. Use the search endpoint of one catalog to go deeper.`;
+        const emptyPagination = {
+            current_page: page,
+            last_visible_page: lastVisiblePage,
+            has_next_page: false,
+            items: {
+                count: 0,
+                total: rankedItems.length,
+                per_page: limit
+            }
+        };
+
+        return respond(request, response, {
+            status: 404,
+            data: [],
+            pagination: jikanPagination(emptyPagination),
+            meta: { query, sources: sourceStatus, message },
+            legacy: {
+                pagination: emptyPagination,
+                sources: sourceStatus,
+                results: [],
+                message
+            }
+        });
+    }
+
+    const results = rankedItems.slice((page - 1) * limit, page * limit);
+
+    const paginationInfo = {
+        current_page: page,
+        last_visible_page: lastVisiblePage,
+        has_next_page: page < lastVisiblePage,
+        items: {
+            count: results.length,
+            total: rankedItems.length,
+            per_page: limit
+        }
+    };
+
+    logger.info(`Unified search for query "${query}" (types=${requestedTypes.join(',')}, page=${page}) at ${new Date().toISOString()}`);
+    respond(request, response, {
+        data: results,
+        pagination: jikanPagination(paginationInfo),
+        meta: { query, language: request.locale.language, sources: sourceStatus },
+        legacy: { pagination: paginationInfo, sources: sourceStatus, results }
+    });
+});
+
+export default router;
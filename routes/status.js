@@ -0,0 +1,31 @@
+/*
+███████╗████████╗ █████╗ ████████╗██╗   ██╗███████╗
+██╔════╝╚══██╔══╝██╔══██╗╚══██╔══╝██║   ██║██╔════╝
+███████╗   ██║   ███████║   ██║   ██║   ██║███████╗
+╚════██║   ██║   ██╔══██║   ██║   ██║   ██║╚════██║
+███████║   ██║   ██║  ██║   ██║   ╚██████╔╝███████║
+╚══════╝   ╚═╝   ╚═╝  ╚═╝   ╚═╝    ╚═════╝ ╚══════╝
+*/
+
+import express from 'express';
+import { respond } from '../utils/envelope.js';
+import { getJikanQueueStats } from '../utils/jikanScheduler.js';
+import { getCircuitBreakerStates } from '../utils/httpClient.js';
+
+const router = express.Router();
+
+/* ================================================== */
+/*                 Upstream circuit breakers          */
+/* ================================================== */
+router.get("/status/upstreams", (request, response) => {
+    respond(request, response, { data: getCircuitBreakerStates() });
+});
+
+/* ================================================== */
+/*                 Jikan queue status                 */
+/* ================================================== */
+router.get("/status/jikan", (request, response) => {
+    respond(request, response, { data: getJikanQueueStats() });
+});
+
+export default router;
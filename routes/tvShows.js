@@ -8,138 +8,216 @@
 */
 
 import express from 'express';
-import axios from 'axios';
 import logger from '../utils/logger.js';
-import { URLs, options } from '../config/constants.js';
-import redisClient from '../caching/redisClient.js';
+import { respond, tmdbPagination } from '../utils/envelope.js';
+import { ValidationError } from '../utils/errors.js';
+import { URLs } from '../config/constants.js';
+import { withCache } from '../caching/cache.js';
+import { tmdbGet } from '../utils/httpClient.js';
+import { expandImage, expandLogos, expandPeople } from '../utils/tmdbImages.js';
+import { genreNameResolver } from '../utils/genres.js';
+import { fetchWithEnglishFallback, imageLanguages, byImageLanguage } from '../utils/translations.js';
+import locale, { DEFAULT_LANGUAGE } from '../middlewares/locale.js';
+import validate from '../middlewares/validate.js';
+import { TIME_WINDOWS, TMDB_PAGE } from './movies.js';
 
 const router = express.Router();
 
+// Texts taken from the English version when TMDB has no translation for them
+const TEXT_FIELDS = ['name', 'overview'];
+
+const TV_ID = { type: 'integer', min: 1, hint: 'TV show ids are numeric TMDB ids.' };
+// Season 0 holds the specials
+const SEASON = { type: 'integer', min: 0, hint: 'Season numbers start at 0.' };
+const EPISODE = { type: 'integer', min: 1, hint: 'Episode numbers start at 1.' };
+
 /* =============================================== */
 /*                  Trending TV                    */
 /* =============================================== */
-router.get("/trending/tv/:time_window?", async (request, response) => {
-    const time_window = request.params.time_window || 'week';
-
-    // Validate that the time_window is either 'week' or 'day'
-    const allowedValues = ['week', 'day'];
-
-    if (!allowedValues.includes(time_window)) {
-        return response.status(400).send({
-            error: `Invalid time_window value: "${time_window}". Allowed values are: ${allowedValues.join(", ")}`
-        });
-    }
-
-    // Create a Redis key based on the time_window
-    const redisKey = `trending_tv_${time_window}`;
+router.get("/trending/tv/:time_window?", locale, validate({
+    params: { time_window: { type: 'enum', values: TIME_WINDOWS, default: 'week' } }
+}), async (request, response, next) => {
+    const { time_window } = request.params;
+    const { language } = request.locale;
 
     try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving trending TV data from cache 🎥📺");
-            return response.send(JSON.parse(cachedData));
-        }
+        const modifiedTrendingData = await getTrendingTvShows(time_window, language);
 
-        const url = `${URLs.tmdb}/trending/tv/${time_window}?language=en-US`;
-        const trending = await axios.get(url, options);
-        const trendingData = trending.data.results;
+        respond(request, response, { data: modifiedTrendingData, meta: { source: 'tmdb', time_window, language } });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        const modifiedTrendingData = trendingData.map(tv => ({
+/* =============================================== */
+/*            Trending TV (shared logic)           */
+/* =============================================== */
+// Also used by the GraphQL endpoint
+export async function getTrendingTvShows(timeWindow = 'week', language = DEFAULT_LANGUAGE) {
+    // Create a Redis key based on the time_window and the language
+    const redisKey = `trending_tv_${timeWindow}_${language}`;
+
+    return withCache(redisKey, 'trending_tv', async () => {
+        const trending = await fetchWithEnglishFallback(language, async (lang) => {
+            const url = `${URLs.tmdb}/trending/tv/${timeWindow}?language=${lang}`;
+            return (await tmdbGet(url)).data;
+        }, { fields: TEXT_FIELDS });
+        const trendingData = trending.results;
+
+        logger.info(`Successfully fetched trending TV shows (${language}) at ${new Date().toISOString()}`);
+
+        const genreNames = await genreNameResolver('tv', language);
+        return trendingData.map(tv => ({
             ...tv,
             backdrop_path: tv.backdrop_path ? URLs.image + tv.backdrop_path : null,
-            poster_path: tv.poster_path ? URLs.image + tv.poster_path : null
+            poster_path: tv.poster_path ? URLs.image + tv.poster_path : null,
+            genres: genreNames(tv.genre_ids)
         }));
-
-        logger.info(`Successfully fetched trending TV shows at ${new Date().toISOString()}`);
-
-        await redisClient.set(redisKey, JSON.stringify(modifiedTrendingData), 'EX', 3600);
-
-        response.send(modifiedTrendingData);
-    } catch (err) {
-        handleError(err, response);
-    }
-});
+    });
+}
 
 /* =============================================== */
 /*                  Popular TV                     */
 /* =============================================== */
-router.get("/popular/tv", async (request, response) => {
-    const { page = 1 } = request.query;
+router.get("/popular/tv", locale, validate({ query: { page: TMDB_PAGE } }), async (request, response, next) => {
+    const { page } = request.query;
+    const { language, region } = request.locale;
 
-    // Create a Redis key based on the current page
-    const redisKey = `popular_tv_${page}`;
+    if (region) {
+        return next(new ValidationError("region is not available for popular TV shows, TMDB ranks them worldwide. Use it on popular or upcoming movies.", { parameter: 'region' }));
+    }
 
-    try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving popular TV data from cache 📺✨");
-            return response.send(JSON.parse(cachedData));
-        }
+    // Create a Redis key based on the current page and the language
+    const redisKey = `popular_tv_${page}_${language}`;
 
-        const url = `${URLs.tmdb}/tv/top_rated?language=en-US&page=${page}`;
-        const popular = await axios.get(url, options);
-        const popularData = popular.data;
+    try {
+        const responseData = await withCache(redisKey, 'popular_tv', async () => {
+            const popularData = await fetchWithEnglishFallback(language, async (lang) => {
+                const url = `${URLs.tmdb}/tv/top_rated?language=${lang}&page=${page}`;
+                return (await tmdbGet(url)).data;
+            }, { fields: TEXT_FIELDS });
+
+            const genreNames = await genreNameResolver('tv', language);
+            const modifiedPopularData = popularData.results.map(tv => ({
+                ...tv,
+                backdrop_path: tv.backdrop_path ? URLs.image + tv.backdrop_path : null,
+                poster_path: tv.poster_path ? URLs.image + tv.poster_path : null,
+                genres: genreNames(tv.genre_ids)
+            }));
+
+            const pageInfo = {
+                current_page: popularData.page,
+                total_pages: popularData.total_pages,
+                total_results: popularData.total_results
+            };
+
+            logger.info(`Successfully fetched popular TV shows (${language}) at ${new Date().toISOString()}`);
+
+            return { pagination: pageInfo, popular_tv_shows: modifiedPopularData };
+        });
 
         // Check if the requested page exists
-        if (page > popularData.total_pages) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: popularData.total_pages,
-                    has_next_page: false,
-                    items: {
-                        total_pages: popularData.total_pages,
-                        total_results: popularData.total_results,
-                    }
-                },
-                results: [],
-                message: "No results found for the requested page."
+        if (page > responseData.pagination.total_pages) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: tmdbPagination({ ...responseData.pagination, current_page: page }),
+                meta: { source: 'tmdb', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.total_pages,
+                        has_next_page: false,
+                        items: {
+                            total_pages: responseData.pagination.total_pages,
+                            total_results: responseData.pagination.total_results,
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
             });
         }
 
-        const modifiedPopularData = popularData.results.map(tv => ({
-            ...tv,
-            backdrop_path: tv.backdrop_path ? URLs.image + tv.backdrop_path : null,
-            poster_path: tv.poster_path ? URLs.image + tv.poster_path : null
-        }));
+        respond(request, response, {
+            data: responseData.popular_tv_shows,
+            pagination: tmdbPagination(responseData.pagination),
+            meta: { source: 'tmdb', language },
+            legacy: responseData
+        });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        const pageInfo = {
-            current_page: popularData.page,
-            total_pages: popularData.total_pages,
-            total_results: popularData.total_results
-        };
+/* =========================================== */
+/*                  Search TV                  */
+/* =========================================== */
+router.get("/search/tv", locale, validate({
+    query: {
+        query: { type: 'string', required: true },
+        page: TMDB_PAGE,
+        first_air_date_year: { type: 'integer', min: 1800, max: 2200 },
+        year: { type: 'integer', min: 1800, max: 2200 },
+        include_adult: { type: 'boolean' }
+    }
+}), async (request, response, next) => {
+    const { page, query } = request.query;
 
-        logger.info(`Successfully fetched popular TV shows at ${new Date().toISOString()}`);
+    try {
+        const responseData = await searchTvShows({ ...request.query, ...request.locale });
 
-        await redisClient.set(redisKey, JSON.stringify({ pagination: pageInfo, popular_tv_shows: modifiedPopularData }), 'EX', 3600);
+        // Check if the requested page exists
+        if (page > responseData.pagination.total_pages) {
+            return respond(request, response, {
+                status: 404,
+                data: [],
+                pagination: tmdbPagination({ ...responseData.pagination, current_page: page }),
+                meta: { source: 'tmdb', message: "No results found for the requested page." },
+                legacy: {
+                    pagination: {
+                        current_page: page,
+                        last_visible_page: responseData.pagination.total_pages,
+                        has_next_page: false,
+                        items: {
+                            total_pages: responseData.pagination.total_pages,
+                            total_results: responseData.pagination.total_results,
+                        }
+                    },
+                    results: [],
+                    message: "No results found for the requested page."
+                }
+            });
+        }
 
-        response.send({ pagination: pageInfo, popular_tv_shows: modifiedPopularData });
+        logger.info(`Successfully fetched TV shows for query "${query}" at ${new Date().toISOString()}`);
+        respond(request, response, {
+            data: responseData.search_result,
+            pagination: tmdbPagination(responseData.pagination),
+            meta: { source: 'tmdb', query, language: request.locale.language },
+            legacy: responseData
+        });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
 /* =========================================== */
-/*                  Search TV                  */
+/*            Search TV (shared logic)         */
 /* =========================================== */
-router.get("/search/tv", async (request, response) => {
-    const {
-        page = 1,
-        limit = 25,
-        query,
-        first_air_date_year,
-        region,
-        year,
-        include_adult
-    } = request.query;
-
-    // Fixed parameters for every request
-    const fixedParams = {
-        language: 'en-US',
-    };
-
-    const queryParams = new URLSearchParams({
-        ...fixedParams,
+// Also used by the unified /search endpoint
+export async function searchTvShows({
+    page = 1,
+    limit = 25,
+    query,
+    first_air_date_year,
+    region,
+    year,
+    include_adult,
+    language = DEFAULT_LANGUAGE
+}) {
+    const queryParams = (lang) => new URLSearchParams({
+        language: lang,
         query: query || '',
         first_air_date_year: first_air_date_year || '',
         region: region || '',
@@ -149,14 +227,8 @@ router.get("/search/tv", async (request, response) => {
         include_adult: include_adult || false
     }).toString();
 
-    if (!query) {
-        return response.status(400).send({
-            error: "No query provided! ☹️"
-        });
-    }
-
     // Generate Redis key based on existing query parameters
-    const redisKeyParts = [`search_tv_${page}`];
+    const redisKeyParts = [`search_tv_${page}`, `language_${language}`];
 
     if (query) redisKeyParts.push(`query_${query}`);
     if (first_air_date_year) redisKeyParts.push(`first_air_date_year_${first_air_date_year}`);
@@ -166,38 +238,18 @@ router.get("/search/tv", async (request, response) => {
 
     const redisKey = redisKeyParts.join('_');
 
-    try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving TV search data from cache 📺🍿");
-            return response.send(JSON.parse(cachedData));
-        }
-
-        const searchTvUrl = `${URLs.tmdb}/search/tv?${queryParams}`;
-        const searchTv = await axios.get(searchTvUrl, options);
-        const searchTvData = searchTv.data;
-
-        // Check if the requested page exists
-        if (page > searchTvData.total_pages) {
-            return response.status(404).json({
-                pagination: {
-                    current_page: page,
-                    last_visible_page: searchTvData.total_pages,
-                    has_next_page: false,
-                    items: {
-                        total_pages: searchTvData.total_pages,
-                        total_results: searchTvData.total_results,
-                    }
-                },
-                results: [],
-                message: "No results found for the requested page."
-            });
-        }
+    return withCache(redisKey, 'search_tv', async () => {
+        const searchTvData = await fetchWithEnglishFallback(language, async (lang) => {
+            const searchTvUrl = `${URLs.tmdb}/search/tv?${queryParams(lang)}`;
+            return (await tmdbGet(searchTvUrl)).data;
+        }, { fields: TEXT_FIELDS });
 
+        const genreNames = await genreNameResolver('tv', language);
         const formattedTVShows = searchTvData.results.map(tv => ({
             ...tv,
             backdrop_path: tv.backdrop_path ? URLs.image + tv.backdrop_path : null,
-            poster_path: tv.poster_path ? URLs.image + tv.poster_path : null
+            poster_path: tv.poster_path ? URLs.image + tv.poster_path : null,
+            genres: genreNames(tv.genre_ids)
         }));
 
         const pageInfo = {
@@ -206,77 +258,228 @@ router.get("/search/tv", async (request, response) => {
             total_results: searchTvData.total_results
         };
 
-        await redisClient.set(redisKey, JSON.stringify({ pagination: pageInfo, search_result: formattedTVShows }), 'EX', 3600);
+        return { pagination: pageInfo, search_result: formattedTVShows };
+    });
+}
 
-        logger.info(`Successfully fetched TV shows for query "${query}" at ${new Date().toISOString()}`);
-        response.send({ pagination: pageInfo, search_result: formattedTVShows });
+/* =============================================== */
+/*                  TV show details                */
+/* =============================================== */
+router.get("/tv/:id", locale, validate({ params: { id: TV_ID } }), async (request, response, next) => {
+    const tvId = request.params.id;
+    const { language } = request.locale;
+
+    try {
+        const show = await getTvDetails(tvId, language);
+
+        respond(request, response, {
+            // days_until depends on today, so it is computed after the cache
+            data: { ...show, next_episode_to_air: nextEpisodeSummary(show.next_episode_to_air) },
+            meta: { source: 'tmdb', tv_id: tvId, language }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/* =============================================== */
+/*                  TV season                      */
+/* =============================================== */
+router.get("/tv/:id/season/:season", locale, validate({ params: { id: TV_ID, season: SEASON } }), async (request, response, next) => {
+    const { id: tvId, season } = request.params;
+    const { language } = request.locale;
+
+    try {
+        const seasonData = await getTvSeason(tvId, season, language);
+
+        respond(request, response, { data: seasonData, meta: { source: 'tmdb', tv_id: tvId, season, language } });
     } catch (err) {
-        handleError(err, response);
+        next(err);
     }
 });
 
+/* =============================================== */
+/*        TV details and seasons (shared logic)    */
+/* =============================================== */
+// Also used by the TV calendar feed, the MAL <-> TMDB mappings and GraphQL
+export async function getTvDetails(tvId, language = DEFAULT_LANGUAGE) {
+    // Generate a Redis key based on the TV show ID and the language
+    const redisKey = `tv_details_${tvId}_${language}`;
+
+    return withCache(redisKey, 'tv_details', async () => {
+        const detailsData = await fetchWithEnglishFallback(language, async (lang) => {
+            return (await tmdbGet(`${URLs.tmdb}/tv/${tvId}?language=${lang}`)).data;
+        }, { fields: TEXT_FIELDS, listKey: null });
+
+        logger.info(`Successfully fetched details for TV show ID: "${tvId}" (${language}) at ${new Date().toISOString()}`);
+
+        return {
+            ...detailsData,
+            backdrop_path: expandImage(detailsData.backdrop_path),
+            poster_path: expandImage(detailsData.poster_path),
+            created_by: expandPeople(detailsData.created_by),
+            networks: expandLogos(detailsData.networks),
+            production_companies: expandLogos(detailsData.production_companies),
+            seasons: detailsData.seasons?.map(season => ({
+                ...season,
+                poster_path: expandImage(season.poster_path)
+            })) || [],
+            last_episode_to_air: detailsData.last_episode_to_air && formatEpisode(detailsData.last_episode_to_air),
+            next_episode_to_air: detailsData.next_episode_to_air && formatEpisode(detailsData.next_episode_to_air)
+        };
+    });
+}
+
+export async function getTvSeason(tvId, season, language = DEFAULT_LANGUAGE) {
+    // Generate a Redis key based on the TV show ID, the season number and the language
+    const redisKey = `tv_season_${tvId}_${season}_${language}`;
+
+    return withCache(redisKey, 'tv_season', async () => {
+        // Episode overviews are the ones usually missing a translation
+        const fetchedSeasonData = await fetchWithEnglishFallback(language, async (lang) => {
+            return (await tmdbGet(`${URLs.tmdb}/tv/${tvId}/season/${season}?language=${lang}`)).data;
+        }, { fields: TEXT_FIELDS, listKey: 'episodes' });
+
+        logger.info(`Successfully fetched season ${season} of TV show ID: "${tvId}" (${language}) at ${new Date().toISOString()}`);
+
+        return {
+            ...fetchedSeasonData,
+            poster_path: expandImage(fetchedSeasonData.poster_path),
+            episodes: fetchedSeasonData.episodes?.map(formatEpisode) || []
+        };
+    });
+}
+
+/* =============================================== */
+/*                  TV episode                     */
+/* =============================================== */
+router.get("/tv/:id/season/:season/episode/:episode", locale, validate({
+    params: { id: TV_ID, season: SEASON, episode: EPISODE }
+}), async (request, response, next) => {
+    const { id: tvId, season, episode } = request.params;
+    const { language } = request.locale;
+
+    // Generate a Redis key based on the TV show ID, season and episode numbers and the language
+    const redisKey = `tv_episode_${tvId}_${season}_${episode}_${language}`;
+
+    try {
+        const episodeData = await withCache(redisKey, 'tv_episode', async () => {
+            const fetchedEpisode = await fetchWithEnglishFallback(language, async (lang) => {
+                // The English copy only fills in text, it doesn't need the stills
+                const queryParams = new URLSearchParams({
+                    language: lang,
+                    ...(lang === language && { append_to_response: 'images' })
+                }).toString();
+                return (await tmdbGet(`${URLs.tmdb}/tv/${tvId}/season/${season}/episode/${episode}?${queryParams}`)).data;
+            }, { fields: TEXT_FIELDS, listKey: null });
+            const { images, ...fetchedEpisodeData } = fetchedEpisode;
+
+            logger.info(`Successfully fetched episode S${season}E${episode} of TV show ID: "${tvId}" (${language}) at ${new Date().toISOString()}`);
+
+            return {
+                ...formatEpisode(fetchedEpisodeData),
+                stills: images?.stills?.map(still => ({
+                    aspect_ratio: still.aspect_ratio,
+                    height: still.height,
+                    width: still.width,
+                    file_path: URLs.image + still.file_path
+                })) || []
+            };
+        });
+
+        respond(request, response, {
+            data: episodeData,
+            meta: { source: 'tmdb', tv_id: tvId, season, episode, language }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+const formatEpisode = (episode) => ({
+    ...episode,
+    still_path: expandImage(episode.still_path),
+    crew: episode.crew && expandPeople(episode.crew),
+    guest_stars: episode.guest_stars && expandPeople(episode.guest_stars)
+});
+
+// Compact "what's on next" block, null when nothing is scheduled
+const nextEpisodeSummary = (episode) => {
+    if (!episode) return null;
+
+    const airDate = episode.air_date ? Date.parse(`${episode.air_date}T00:00:00Z`) : NaN;
+    const today = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+
+    return {
+        id: episode.id,
+        name: episode.name,
+        overview: episode.overview,
+        season_number: episode.season_number,
+        episode_number: episode.episode_number,
+        episode_type: episode.episode_type ?? null,
+        air_date: episode.air_date || null,
+        // Whole days from today (UTC), 0 when it airs today
+        days_until: Number.isNaN(airDate) ? null : Math.round((airDate - today) / (24 * 3600 * 1000)),
+        runtime: episode.runtime ?? null,
+        still_path: episode.still_path
+    };
+};
+
 /* =============================================================== */
 /*                  Fetch images of a TV show by ID                */
 /* =============================================================== */
-router.get("/images/tv/:id", async (request, response) => {
+router.get("/images/tv/:id", locale, validate({ params: { id: TV_ID } }), async (request, response, next) => {
     const tvId = request.params.id;
+    const { language } = request.locale;
 
-    const queryParams = new URLSearchParams({
-        include_image_language: "en"
-    }).toString();
+    try {
+        const responseData = await getTvImages(tvId, language);
 
-    // Generate Redis key based on TV show ID
-    const redisKey = `tv_images_${tvId}`;
+        respond(request, response, { data: responseData, meta: { source: 'tmdb', tv_id: tvId, language } });
+    } catch (err) {
+        next(err);
+    }
+});
 
-    try {
-        const cachedData = await redisClient.get(redisKey);
-        if (cachedData) {
-            logger.info("Serving TV images data from cache 📸🎞️");
-            return response.send(JSON.parse(cachedData));
-        }
+/* =============================================================== */
+/*                  TV show images (shared logic)                  */
+/* =============================================================== */
+// Also used by the GraphQL endpoint
+export async function getTvImages(tvId, language = DEFAULT_LANGUAGE) {
+    // Generate Redis key based on TV show ID and the language
+    const redisKey = `tv_images_${tvId}_${language}`;
+
+    return withCache(redisKey, 'tv_images', async () => {
+        // Images with text in the requested language, English ones and textless ones
+        const queryParams = new URLSearchParams({
+            include_image_language: imageLanguages(language)
+        }).toString();
 
         const fetchTvImagesUrl = `${URLs.tmdb}/tv/${tvId}/images?${queryParams}`;
-        const fetchedImages = await axios.get(fetchTvImagesUrl, options);
+        const fetchedImages = await tmdbGet(fetchTvImagesUrl);
         const fetchedImagesData = fetchedImages.data;
 
-        const backdropsArray = fetchedImagesData.backdrops?.map(backdrop => ({
+        // Localized images first, TMDB's vote order is kept within each language
+        const backdropsArray = fetchedImagesData.backdrops?.sort(byImageLanguage(language)).map(backdrop => ({
             aspect_ratio: backdrop.aspect_ratio,
             height: backdrop.height,
             width: backdrop.width,
+            iso_639_1: backdrop.iso_639_1 ?? null,
             file_path: URLs.image + backdrop.file_path,
         })) || []; // Fallback to an empty array
 
-        const postersArray = fetchedImagesData.posters?.map(poster => ({
+        const postersArray = fetchedImagesData.posters?.sort(byImageLanguage(language)).map(poster => ({
             aspect_ratio: poster.aspect_ratio,
             height: poster.height,
             width: poster.width,
+            iso_639_1: poster.iso_639_1 ?? null,
             file_path: URLs.image + poster.file_path,
         })) || []; // Fallback to an empty array
 
         logger.info(`Successfully fetched images for TV show ID: "${tvId}" at ${new Date().toISOString()}`);
 
-        await redisClient.set(redisKey, JSON.stringify({ backdrops: backdropsArray, posters: postersArray }), 'EX', 3600);
-
-        response.send({ backdrops: backdropsArray, posters: postersArray });
-    } catch (err) {
-        handleError(err, response);
-    }
-});
-
-/* ============================================ */
-/*                 Handle Error                 */
-/* ============================================ */
-function handleError(err, response) {
-    if (err.response) {
-        logger.error(`API Error: ${err.response.status} - ${JSON.stringify(err.response.data)}`);
-        response.status(err.response.status).send("Error fetching data from API.");
-    } else if (err.request) {
-        logger.error('No response received from API:', err.request);
-        response.status(500).send("No response received from API.");
-    } else {
-        logger.error(`Error: ${err.message}`);
-        response.status(500).send("Internal Server Error.");
-    }
+        return { backdrops: backdropsArray, posters: postersArray };
+    });
 }
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,115 @@
+/*
+ ██████╗██╗  ██╗███████╗ ██████╗██╗  ██╗     ██████╗ ██████╗ ███████╗███╗   ██╗ █████╗ ██████╗ ██╗
+██╔════╝██║  ██║██╔════╝██╔════╝██║ ██╔╝    ██╔═══██╗██╔══██╗██╔════╝████╗  ██║██╔══██╗██╔══██╗██║
+██║     ███████║█████╗  ██║     █████╔╝     ██║   ██║██████╔╝█████╗  ██╔██╗ ██║███████║██████╔╝██║
+██║     ██╔══██║██╔══╝  ██║     ██╔═██╗     ██║   ██║██╔═══╝ ██╔══╝  ██║╚██╗██║██╔══██║██╔═══╝ ██║
+╚██████╗██║  ██║███████╗╚██████╗██║  ██╗    ╚██████╔╝██║     ███████╗██║ ╚████║██║  ██║██║     ██║
+ ╚═════╝╚═╝  ╚═╝╚══════╝ ╚═════╝╚═╝  ╚═╝     ╚═════╝ ╚═╝     ╚══════╝╚═╝  ╚═══╝╚═╝  ╚═╝╚═╝     ╚═╝
+*/
+
+// Fails when the OpenAPI document (config/openapi.js) and the routes registered on the
+// movie, TV show and anime routers disagree: a route without a path, a path without a route,
+// path parameters that don't match, or query parameters validated by a route (middlewares/validate.js)
+// but not documented, and the other way around.
+//   npm run check:openapi
+
+// Importing the routers loads the whole app, which only needs to build its routes here
+process.env.REDIS_ENABLED = 'false';
+process.env.AUTH_TOKEN = process.env.AUTH_TOKEN || 'openapi-check';
+
+const { default: movieRoutes } = await import('../routes/movies.js');
+const { default: tvShowRoutes } = await import('../routes/tvShows.js');
+const { default: animeRoutes } = await import('../routes/anime.js');
+const { default: openApiSpec } = await import('../config/openapi.js');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// "/trending/movies/:time_window?" -> ["/trending/movies", "/trending/movies/{time_window}"],
+// OpenAPI has no optional path parameters
+const toOpenApiPaths = (expressPath) => {
+    const optional = expressPath.match(/\/:(\w+)\?/);
+    if (optional) {
+        return [
+            ...toOpenApiPaths(expressPath.replace(optional[0], '')),
+            ...toOpenApiPaths(expressPath.replace(optional[0], `/:${optional[1]}`))
+        ];
+    }
+    return [expressPath.replace(/:(\w+)/g, '{$1}')];
+};
+
+// "GET /movies/{id}" of every route of the routers
+const registeredOperations = (routers) => routers.flatMap(router => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+        .flatMap(method => toOpenApiPaths(layer.route.path).map(path => `${method.toUpperCase()} ${path}`))));
+
+const documentedOperations = Object.entries(openApiSpec.paths).flatMap(([path, item]) => METHODS
+    .filter(method => item[method])
+    .map(method => `${method.toUpperCase()} ${path}`));
+
+const registered = new Set(registeredOperations([movieRoutes, tvShowRoutes, animeRoutes]));
+const documented = new Set(documentedOperations);
+const problems = [];
+
+for (const operation of registered) {
+    if (!documented.has(operation)) problems.push(`${operation} is registered but missing from config/openapi.js`);
+}
+
+for (const operation of documented) {
+    if (!registered.has(operation)) problems.push(`${operation} is documented but no route serves it`);
+}
+
+// Every {name} of a path must be a declared path parameter and the other way around
+for (const [path, item] of Object.entries(openApiSpec.paths)) {
+    const inPath = [...path.matchAll(/{(\w+)}/g)].map(match => match[1]).sort().join(',');
+
+    for (const method of METHODS.filter(method => item[method])) {
+        const declared = item[method].parameters
+            .filter(parameter => parameter.in === 'path')
+            .map(parameter => parameter.name)
+            .sort()
+            .join(',');
+
+        if (declared !== inPath) {
+            problems.push(`${method.toUpperCase()} ${path} declares path parameters [${declared}] instead of [${inPath}]`);
+        }
+    }
+}
+
+// Query parameters of the validate() rules against the inline query parameters of the document,
+// the shared ones ($ref: locale, image options, api version) are handled by middlewares
+const validatedQueries = new Map([movieRoutes, tvShowRoutes, animeRoutes].flatMap(router => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => {
+        const names = layer.route.stack
+            .flatMap(handler => Object.keys(handler.handle.schema?.query || {}))
+            .sort()
+            .join(',');
+        return Object.keys(layer.route.methods)
+            .flatMap(method => toOpenApiPaths(layer.route.path).map(path => [`${method.toUpperCase()} ${path}`, names]));
+    })));
+
+for (const [path, item] of Object.entries(openApiSpec.paths)) {
+    for (const method of METHODS.filter(method => item[method])) {
+        const operation = `${method.toUpperCase()} ${path}`;
+        if (!validatedQueries.has(operation)) continue;
+
+        const declared = item[method].parameters
+            .filter(parameter => parameter.in === 'query')
+            .map(parameter => parameter.name)
+            .sort()
+            .join(',');
+
+        if (declared !== validatedQueries.get(operation)) {
+            problems.push(`${operation} documents query parameters [${declared}] but validates [${validatedQueries.get(operation)}]`);
+        }
+    }
+}
+
+if (problems.length) {
+    console.error(`OpenAPI document and routes are out of sync:\n - ${problems.join('\n - ')}`);
+    process.exit(1);
+}
+
+console.log(`OpenAPI document matches all ${registered.size} routes ✔`);
+process.exit(0);
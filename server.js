@@ -22,7 +22,27 @@ import securityHeaders from './config/securityHeaders.js';
 import movieRoutes from './routes/movies.js';
 import tvShowRoutes from './routes/tvShows.js';
 import animeRoutes from './routes/anime.js';
-import { tmdbLimiter, jikanLimiter, jikanMinuteLimiter } from './middlewares/rateLimiter.js';
+import searchRoutes from './routes/search.js';
+import graphqlRoutes from './routes/graphql.js';
+import recommendationRoutes from './routes/recommendations.js';
+import genreRoutes from './routes/genres.js';
+import scheduleRoutes from './routes/schedule.js';
+import calendarRoutes from './routes/calendar.js';
+import mappingRoutes from './routes/mappings.js';
+import statusRoutes from './routes/status.js';
+import healthRoutes from './routes/health.js';
+import metricsRoutes from './routes/metrics.js';
+import openApiRoutes from './routes/openapi.js';
+import imageProxyRoutes from './routes/imageProxy.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import { tmdbLimiter, jikanLimiter, jikanMinuteLimiter, imageLimiter } from './middlewares/rateLimiter.js';
+import apiVersion from './middlewares/apiVersion.js';
+import imageOptions from './middlewares/imageOptions.js';
+import apiKeyAuth from './middlewares/apiKey.js';
+import requestId from './middlewares/requestId.js';
+import { httpMetrics } from './utils/metrics.js';
+import errorHandler from './middlewares/errorHandler.js';
+import { NotFoundError } from './utils/errors.js';
 
 const app = express();
 
@@ -34,7 +54,15 @@ const app = express();
 ██║ ╚═╝ ██║██║██████╔╝██████╔╝███████╗███████╗╚███╔███╔╝██║  ██║██║  ██║███████╗
 ╚═╝     ╚═╝╚═╝╚═════╝ ╚═════╝ ╚══════╝╚══════╝ ╚══╝╚══╝ ╚═╝  ╚═╝╚═╝  ╚═╝╚══════╝
 */
+// Tag every request with an id for logs and error bodies
+app.use(requestId);
+// Count and time every request for /metrics
+app.use(httpMetrics);
 app.use(express.json());
+// Resolve the API version (/v2 prefix, Accept-Version header or api_version query)
+app.use(apiVersion);
+// Resolve the image size and srcset options (image_size, image_srcset query)
+app.use(imageOptions);
 // Setting headers to avoid CSP errors
 app.use(securityHeaders);
 // CORS middleware
@@ -42,9 +70,13 @@ app.use(corsConfig);
 // Middleware to serve static files from 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Health probes and metrics scrapes come every few seconds, they are answered before the request log
+app.use(healthRoutes);
+app.use(metricsRoutes);
+
 // middleware to log incoming requests
 app.use((request, response, next) => {
-    logger.info(`[${new Date().toISOString()}] ${request.method} ${request.url} - IP: ${request.ip}`);
+    logger.info(`[${new Date().toISOString()}] [${request.id}] ${request.method} ${request.url} - IP: ${request.ip}`);
     next();
 });
 
@@ -63,6 +95,11 @@ app.get("/", (request, response) => {
     response.sendFile(path.join(publicDirectoryPath, "index.html"));
 });
 
+// Interactive API reference, rendered from /openapi.json
+app.get("/docs", (request, response) => {
+    response.sendFile(path.join(publicDirectoryPath, "docs.html"));
+});
+
 /*
 ███████╗███╗   ██╗██████╗ ██████╗  ██████╗ ██╗███╗   ██╗████████╗███████╗
 ██╔════╝████╗  ██║██╔══██╗██╔══██╗██╔═══██╗██║████╗  ██║╚══██╔══╝██╔════╝
@@ -71,15 +108,47 @@ app.get("/", (request, response) => {
 ███████╗██║ ╚████║██████╔╝██║     ╚██████╔╝██║██║ ╚████║   ██║   ███████║
 ╚══════╝╚═╝  ╚═══╝╚═════╝ ╚═╝      ╚═════╝ ╚═╝╚═╝  ╚═══╝   ╚═╝   ╚══════╝
 */
+// Status endpoints and the API description don't call any upstream, keep them outside the rate limiters
+app.use(statusRoutes);
+app.use(openApiRoutes);
+
+// The image proxy has its own limiter, pages load many images at once. It stays open even with
+// API_KEY_REQUIRED=true: <img> tags can't send an API key, and it only proxies TMDB and Jikan images
+app.use('/img', imageLimiter);
+app.use(imageProxyRoutes);
+
+// Key management uses the admin token, not an API key (see middlewares/adminToken.js)
+app.use(apiKeyRoutes);
+
+// Identify the API key, keyed requests get their own limits instead of the per IP ones below
+app.use(apiKeyAuth);
+
 // Apply TMDB rate limiter for movie and TV show routes
 app.use(tmdbLimiter);  
 app.use(movieRoutes);
 app.use(tvShowRoutes);
 
+// Recommendations, genres and calendar feeds serve TMDB and anime side by side,
+// only their anime paths count against the Jikan limiters
+app.use(['/recommendations/anime', '/genres/anime', '/calendar/anime.ics'], jikanLimiter, jikanMinuteLimiter);
+app.use(recommendationRoutes);
+app.use(genreRoutes);
+app.use(calendarRoutes);
+
 // Apply Jikan per second limiter + Jikan per minute limiter for anime routes
 app.use(jikanLimiter); 
 app.use(jikanMinuteLimiter); 
 app.use(animeRoutes);
+app.use(scheduleRoutes);
+
+// Unified search fans out to both TMDB and Jikan, so it sits behind both limiters
+app.use(searchRoutes);
+
+// GraphQL reads from both as well, its depth and cost limits bound what a single query may fetch
+app.use(graphqlRoutes);
+
+// Mappings read from TMDB and Jikan on every path
+app.use(mappingRoutes);
 
 /*
 ██╗███╗   ██╗██╗   ██╗ █████╗ ██╗     ██╗██████╗ 
@@ -89,10 +158,17 @@ app.use(animeRoutes);
 ██║██║ ╚████║ ╚████╔╝ ██║  ██║███████╗██║██████╔╝
 ╚═╝╚═╝  ╚═══╝  ╚═══╝  ╚═╝  ╚═╝╚══════╝╚═╝╚═════╝ 
 */
-app.get('*', (request, response) => {
-    response.sendFile(path.join(publicDirectoryPath, "404.html"));
+app.get('*', (request, response, next) => {
+    // Browsers get the 404 page, API clients a JSON error
+    if (request.accepts(['html', 'json']) === 'json') {
+        return next(new NotFoundError(`No endpoint matches ${request.method} ${request.path}`));
+    }
+    response.status(404).sendFile(path.join(publicDirectoryPath, "404.html"));
 });
 
+// Turns every error passed to next(err) into the JSON error model
+app.use(errorHandler);
+
 /*
 ===========================
 --------- LISTEN! ---------
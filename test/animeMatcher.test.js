@@ -0,0 +1,103 @@
+/*
+███╗   ███╗ █████╗ ████████╗ ██████╗██╗  ██╗███████╗██████╗
+████╗ ████║██╔══██╗╚══██╔══╝██╔════╝██║  ██║██╔════╝██╔══██╗
+██╔████╔██║███████║   ██║   ██║     ███████║█████╗  ██████╔╝
+██║╚██╔╝██║██╔══██║   ██║   ██║     ██╔══██║██╔══╝  ██╔══██╗
+██║ ╚═╝ ██║██║  ██║   ██║   ╚██████╗██║  ██║███████╗██║  ██║
+╚═╝     ╚═╝╚═╝  ╚═╝   ╚═╝    ╚═════╝╚═╝  ╚═╝╚══════╝╚═╝  ╚═╝
+*/
+
+// Scoring of mapping/animeMatcher.js: every signal lies between 0 and 1, null when it could not
+// be computed, and the confidence only weighs the signals that are known.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { titleSimilarity, yearSignal, episodesSignal, combine, matchAnime } from '../mapping/animeMatcher.js';
+
+/* ============================================ */
+/*                 Title                        */
+/* ============================================ */
+test('titleSimilarity ignores case, punctuation and accents', () => {
+    assert.equal(titleSimilarity('Pokémon: The Movie!', 'pokemon the movie'), 1);
+});
+
+test('titleSimilarity ignores season markers', () => {
+    assert.equal(titleSimilarity('Shingeki no Kyojin Season 2', 'Shingeki no Kyojin'), 1);
+    assert.equal(titleSimilarity('Mushoku Tensei 2nd Season', 'Mushoku Tensei'), 1);
+    assert.equal(titleSimilarity('Attack on Titan: The Final Season', 'Attack on Titan: The'), 1);
+});
+
+test('titleSimilarity is the Dice coefficient of the title words', () => {
+    assert.equal(titleSimilarity('Naruto', 'Naruto Shippuden'), 2 / 3);
+    assert.equal(titleSimilarity('One Piece', 'Bleach'), 0);
+});
+
+test('titleSimilarity scores an empty title 0', () => {
+    assert.equal(titleSimilarity('', 'Naruto'), 0);
+    assert.equal(titleSimilarity('Season 2', 'Naruto'), 0);
+});
+
+/* ============================================ */
+/*                 Year                         */
+/* ============================================ */
+test('yearSignal rewards the same year and tolerates one year off', () => {
+    assert.equal(yearSignal(2013, 2013, 'tv'), 1);
+    assert.equal(yearSignal(2014, 2013, 'movie'), 0.5);
+    assert.equal(yearSignal(2012, 2013, 'tv'), 0.5);
+});
+
+test('yearSignal accepts a later MAL entry of a TV show only', () => {
+    assert.equal(yearSignal(2019, 2013, 'tv'), 0.5);
+    assert.equal(yearSignal(2019, 2013, 'movie'), 0);
+    assert.equal(yearSignal(2010, 2013, 'tv'), 0);
+});
+
+test('yearSignal is unknown without both years', () => {
+    assert.equal(yearSignal(null, 2013, 'tv'), null);
+    assert.equal(yearSignal(2013, null, 'tv'), null);
+});
+
+/* ============================================ */
+/*                 Episodes                     */
+/* ============================================ */
+const details = { number_of_episodes: 25, seasons: [{ episode_count: 13 }, { episode_count: 12 }] };
+
+test('episodesSignal matches the show total or any season', () => {
+    assert.equal(episodesSignal(25, details), 1);
+    assert.equal(episodesSignal(12, details), 1);
+});
+
+test('episodesSignal otherwise compares the counts to the show total', () => {
+    assert.equal(episodesSignal(50, details), 0.5);
+    assert.equal(episodesSignal(10, { number_of_episodes: 0, seasons: [] }), 0);
+});
+
+test('episodesSignal is unknown without a count or details', () => {
+    assert.equal(episodesSignal(null, details), null);
+    assert.equal(episodesSignal(12, null), null);
+});
+
+/* ============================================ */
+/*                 Confidence                   */
+/* ============================================ */
+test('combine is 1 when every signal is perfect', () => {
+    assert.equal(combine({ title: 1, year: 1, episodes: 1, type: 1, animation: 1 }), 1);
+});
+
+test('combine leaves unknown signals out of the weights', () => {
+    // (0.5 * 1 + 0.05 * 1 + 0.1 * 0.5) / (0.5 + 0.05 + 0.1)
+    assert.equal(combine({ title: 1, year: null, episodes: null, type: 1, animation: 0.5 }), 0.92);
+});
+
+test('combine rounds to two decimals', () => {
+    // (0.5 * 2/3 + 0.05 * 1 + 0.1 * 1) / (0.5 + 0.2 + 0.05 + 0.1) = 0.5686...
+    assert.equal(combine({ title: 2 / 3, year: 0, episodes: null, type: 1, animation: 1 }), 0.57);
+});
+
+/* ============================================ */
+/*                 matchAnime                   */
+/* ============================================ */
+test('matchAnime skips types without a TMDB counterpart without searching', async () => {
+    const match = await matchAnime({ mal_id: 1, type: 'Music', title: 'Some Song' });
+    assert.deepEqual(match, { mal_id: 1, tmdb_type: null, best: null, confidence: 0, candidates: [], partial: false });
+});
@@ -0,0 +1,103 @@
+/*
+ ██████╗ ██╗   ██╗███████╗██████╗ ██╗   ██╗    ██╗     ██╗███╗   ███╗██╗████████╗███████╗
+██╔═══██╗██║   ██║██╔════╝██╔══██╗╚██╗ ██╔╝    ██║     ██║████╗ ████║██║╚══██╔══╝██╔════╝
+██║   ██║██║   ██║█████╗  ██████╔╝ ╚████╔╝     ██║     ██║██╔████╔██║██║   ██║   ███████╗
+██║▄▄ ██║██║   ██║██╔══╝  ██╔══██╗  ╚██╔╝      ██║     ██║██║╚██╔╝██║██║   ██║   ╚════██║
+╚██████╔╝╚██████╔╝███████╗██║  ██║   ██║       ███████╗██║██║ ╚═╝ ██║██║   ██║   ███████║
+ ╚══▀▀═╝  ╚═════╝ ╚══════╝╚═╝  ╚═╝   ╚═╝       ╚══════╝╚═╝╚═╝     ╚═╝╚═╝   ╚═╝   ╚══════╝
+*/
+
+// Depth and cost checks of graphql/limits.js, with the default limits: 6 levels, 50 TMDB and 10 Jikan calls.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'graphql';
+import schema from '../graphql/schema.js';
+import { checkQueryLimits } from '../graphql/limits.js';
+
+const check = (query, options) => checkQueryLimits(schema, parse(query), options);
+
+/* ============================================ */
+/*                 Cost                         */
+/* ============================================ */
+test('a title fetched by id carries its own details', () => {
+    assert.deepEqual(check('{ movie(id: 1) { title runtime tagline } }'), { errors: [], cost: { tmdb: 1, jikan: 0 } });
+});
+
+test('other loaders of a title fetched by id cost one call each', () => {
+    const { cost } = check('{ movie(id: 1) { runtime posters { url } backdrops { url } similar { title } } }');
+    assert.deepEqual(cost, { tmdb: 3, jikan: 0 });
+});
+
+test('list fields without details cost the list call only', () => {
+    assert.deepEqual(check('{ trending_movies { title } }').cost, { tmdb: 1, jikan: 0 });
+});
+
+test('details of list items cost one call per item and loader', () => {
+    assert.deepEqual(check('{ trending_movies { runtime tagline } }').cost, { tmdb: 21, jikan: 0 });
+    assert.deepEqual(check('{ trending_movies { runtime posters { url } } }').cost, { tmdb: 41, jikan: 0 });
+});
+
+test('nested lists multiply the calls of their items', () => {
+    const { cost } = check('{ movie(id: 1) { similar(limit: 5) { runtime } } }');
+    assert.deepEqual(cost, { tmdb: 1 + 1 + 5, jikan: 0 });
+});
+
+test('anime lists cost as many items as their limit', () => {
+    const { errors, cost } = check('{ search_anime(query: "x", limit: 3) { results { title background } } }');
+    assert.deepEqual(cost, { tmdb: 0, jikan: 1 + 3 * 3 });
+    assert.deepEqual(errors, []);
+});
+
+test('limits are read from variables', () => {
+    const query = 'query ($limit: Int) { trending_anime(limit: $limit) { results { pictures { url } } } }';
+    assert.deepEqual(check(query, { variables: { limit: 2 } }).cost, { tmdb: 0, jikan: 7 });
+});
+
+test('fragments are counted where they are spread', () => {
+    const query = '{ trending_movies { ...details } } fragment details on Movie { runtime }';
+    assert.deepEqual(check(query).cost, { tmdb: 21, jikan: 0 });
+});
+
+test('queries over a provider budget are refused', () => {
+    const { errors, cost } = check('{ search_anime(query: "x", limit: 5) { results { background } } }');
+    assert.equal(cost.jikan, 16);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].extensions.code, 'QUERY_TOO_COMPLEX');
+    assert.deepEqual(errors[0].extensions.details, { provider: 'jikan', calls: 16, max_calls: 10 });
+});
+
+test('each provider over budget is reported', () => {
+    const query = '{ trending_movies { similar { runtime } } search_anime(query: "x") { results { duration } } }';
+    const { errors } = check(query);
+    assert.deepEqual(errors.map(error => error.extensions.details.provider), ['tmdb', 'jikan']);
+});
+
+/* ============================================ */
+/*                 Depth                        */
+/* ============================================ */
+test('queries nested deeper than the limit are refused', () => {
+    const { errors } = check('{ movie(id: 1) { similar(limit: 1) { similar(limit: 1) { similar(limit: 1) { similar(limit: 1) { similar(limit: 1) { id } } } } } } }');
+    assert.equal(errors.length, 1);
+    assert.deepEqual(errors[0].extensions.details, { depth: 7, max_depth: 6 });
+});
+
+test('introspection fields do not count towards the depth', () => {
+    const { errors } = check('{ movie(id: 1) { similar(limit: 1) { similar(limit: 1) { similar(limit: 1) { similar(limit: 1) { id __typename } } } } } }');
+    assert.deepEqual(errors, []);
+});
+
+/* ============================================ */
+/*                 Operations                   */
+/* ============================================ */
+test('the named operation is the one checked', () => {
+    const query = 'query cheap { trending_movies { title } } query costly { trending_movies { runtime } }';
+    assert.deepEqual(check(query, { operationName: 'cheap' }).cost, { tmdb: 1, jikan: 0 });
+    assert.deepEqual(check(query, { operationName: 'costly' }).cost, { tmdb: 21, jikan: 0 });
+});
+
+test('ambiguous operations and invalid variables are left to execute()', () => {
+    const empty = { errors: [], cost: { tmdb: 0, jikan: 0 } };
+    assert.deepEqual(check('query a { movie(id: 1) { id } } query b { movie(id: 2) { id } }'), empty);
+    assert.deepEqual(check('query ($id: Int!) { movie(id: $id) { id } }', { variables: { id: 'one' } }), empty);
+});
@@ -0,0 +1,98 @@
+/*
+██╗ ██████╗ █████╗ ██╗     ███████╗███╗   ██╗██████╗  █████╗ ██████╗
+██║██╔════╝██╔══██╗██║     ██╔════╝████╗  ██║██╔══██╗██╔══██╗██╔══██╗
+██║██║     ███████║██║     █████╗  ██╔██╗ ██║██║  ██║███████║██████╔╝
+██║██║     ██╔══██║██║     ██╔══╝  ██║╚██╗██║██║  ██║██╔══██║██╔══██╗
+██║╚██████╗██║  ██║███████╗███████╗██║ ╚████║██████╔╝██║  ██║██║  ██║
+╚═╝ ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝╚═╝  ╚═══╝╚═════╝ ╚═╝  ╚═╝╚═╝  ╚═╝
+*/
+
+// RFC 5545 output of utils/icalendar.js: text escaping, line folding and the event layout.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeText, foldLine, formatDate, formatDateTime, nextDay, buildCalendar } from '../utils/icalendar.js';
+
+/* ============================================ */
+/*                 Values                       */
+/* ============================================ */
+test('escapeText escapes backslashes, separators and line breaks', () => {
+    assert.equal(escapeText('a\\b;c,d'), 'a\\\\b\\;c\\,d');
+    assert.equal(escapeText('one\r\ntwo\nthree\rfour'), 'one\\ntwo\\nthree\\nfour');
+});
+
+test('escapeText turns missing values into empty text', () => {
+    assert.equal(escapeText(undefined), '');
+    assert.equal(escapeText(null), '');
+});
+
+test('dates and times use the basic iCalendar format', () => {
+    assert.equal(formatDate('2024-05-31'), '20240531');
+    assert.equal(formatDate('2024-05-31T12:00:00Z'), '20240531');
+    assert.equal(formatDateTime(new Date('2024-05-31T14:30:05.123Z')), '20240531T143005Z');
+});
+
+test('nextDay crosses month and year ends', () => {
+    assert.equal(nextDay('2024-02-28'), '2024-02-29');
+    assert.equal(nextDay('2024-12-31'), '2025-01-01');
+});
+
+/* ============================================ */
+/*                 Folding                      */
+/* ============================================ */
+const octetsOf = (line) => Buffer.byteLength(line);
+
+test('foldLine leaves lines of up to 75 octets alone', () => {
+    const line = 'x'.repeat(75);
+    assert.equal(foldLine(line), line);
+});
+
+test('foldLine continues long lines after a space, 75 octets per line', () => {
+    const line = `DESCRIPTION:${'x'.repeat(200)}`;
+    const folded = foldLine(line).split('\r\n');
+
+    assert.ok(folded.length > 1);
+    assert.ok(folded.every(part => octetsOf(part) <= 75));
+    assert.ok(folded.slice(1).every(part => part.startsWith(' ')));
+    assert.equal(folded.map((part, index) => index ? part.slice(1) : part).join(''), line);
+});
+
+test('foldLine never splits a multi byte character', () => {
+    const line = `SUMMARY:${'進撃の巨人'.repeat(10)}`;
+    const folded = foldLine(line).split('\r\n');
+
+    assert.ok(folded.every(part => octetsOf(part) <= 75));
+    assert.ok(folded.every(part => !part.includes('�')));
+    assert.equal(folded.map((part, index) => index ? part.slice(1) : part).join(''), line);
+});
+
+/* ============================================ */
+/*                 Calendars                    */
+/* ============================================ */
+test('buildCalendar writes all day and recurring timed events with CRLF line endings', () => {
+    const ics = buildCalendar({
+        name: 'Feed, test',
+        events: [
+            { uid: 'movie-1@test', date: '2024-05-31', summary: 'Movie; One' },
+            { uid: 'anime-2@test', start: new Date('2024-01-06T14:30:00Z'), durationMinutes: 24, rrule: 'FREQ=WEEKLY', summary: 'Anime', categories: ['Action', 'Sci-Fi, Space'] }
+        ]
+    });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('\r\n'));
+    assert.ok(!ics.replace(/\r\n/g, '').includes('\n'));
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('X-WR-CALNAME:Feed\\, test'));
+
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20240531'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20240601'));
+    assert.ok(lines.includes('SUMMARY:Movie\\; One'));
+
+    assert.ok(lines.includes('DTSTART:20240106T143000Z'));
+    assert.ok(lines.includes('DURATION:PT24M'));
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY'));
+    assert.ok(lines.includes('CATEGORIES:Action,Sci-Fi\\, Space'));
+
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.equal(lines.at(-2), 'END:VCALENDAR');
+});
@@ -0,0 +1,128 @@
+/*
+███████╗██╗     ██╗██████╗ ██╗███╗   ██╗ ██████╗     ██╗    ██╗██╗███╗   ██╗██████╗  ██████╗ ██╗    ██╗
+██╔════╝██║     ██║██╔══██╗██║████╗  ██║██╔════╝     ██║    ██║██║████╗  ██║██╔══██╗██╔═══██╗██║    ██║
+███████╗██║     ██║██║  ██║██║██╔██╗ ██║██║  ███╗    ██║ █╗ ██║██║██╔██╗ ██║██║  ██║██║   ██║██║ █╗ ██║
+╚════██║██║     ██║██║  ██║██║██║╚██╗██║██║   ██║    ██║███╗██║██║██║╚██╗██║██║  ██║██║   ██║██║███╗██║
+███████║███████╗██║██████╔╝██║██║ ╚████║╚██████╔╝    ╚███╔███╔╝██║██║ ╚████║██████╔╝╚██████╔╝╚███╔███╔╝
+╚══════╝╚══════╝╚═╝╚═════╝ ╚═╝╚═╝  ╚═══╝ ╚═════╝      ╚══╝╚══╝ ╚═╝╚═╝  ╚═══╝╚═════╝  ╚═════╝  ╚══╝╚══╝
+*/
+
+// caching/rateLimitStore.js counting locally, as every instance does while Redis is unreachable.
+// Date.now() is mocked, windows are 60 seconds long.
+
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import SlidingWindowStore from '../caching/rateLimitStore.js';
+
+const WINDOW_MS = 60 * 1000;
+// Start of a window
+const START = WINDOW_MS * 1000;
+
+let store;
+const at = (now) => mock.method(Date, 'now', () => now);
+
+beforeEach(() => {
+    mock.restoreAll();
+    store = new SlidingWindowStore('test');
+    store.init({ windowMs: WINDOW_MS });
+});
+
+const hits = async (client, count) => {
+    let result;
+    for (let i = 0; i < count; i++) result = await store.increment(client);
+    return result;
+};
+
+/* ============================================ */
+/*                 Counting                     */
+/* ============================================ */
+test('counts the requests of a client within a window', async () => {
+    at(START + 1000);
+    const { totalHits, resetTime } = await hits('a', 3);
+    assert.equal(totalHits, 3);
+    assert.equal(resetTime.getTime(), START + WINDOW_MS);
+});
+
+test('counts each client on its own', async () => {
+    at(START);
+    await hits('a', 5);
+    assert.equal((await store.increment('b')).totalHits, 1);
+});
+
+test('takes the window length from the limiter options', async () => {
+    store.init({ windowMs: 1000 });
+    at(START + 500);
+    assert.equal((await store.increment('a')).resetTime.getTime(), START + 1000);
+});
+
+/* ============================================ */
+/*                 Sliding                      */
+/* ============================================ */
+test('carries the whole previous window right after it ended', async () => {
+    at(START + WINDOW_MS - 1);
+    await hits('a', 10);
+    at(START + WINDOW_MS);
+    assert.equal((await store.increment('a')).totalHits, 11);
+});
+
+test('weighs the previous window by how much of it still overlaps', async () => {
+    at(START);
+    await hits('a', 10);
+    at(START + WINDOW_MS * 1.5);
+    assert.equal((await store.increment('a')).totalHits, 1 + 5);
+    at(START + WINDOW_MS * 1.75);
+    assert.equal((await store.increment('a')).totalHits, 2 + 2);
+});
+
+test('forgets windows older than the previous one', async () => {
+    at(START);
+    await hits('a', 10);
+    at(START + WINDOW_MS * 2);
+    assert.equal((await store.increment('a')).totalHits, 1);
+});
+
+/* ============================================ */
+/*                 Decrement and reset          */
+/* ============================================ */
+test('decrement takes back a request of the current window', async () => {
+    at(START);
+    await hits('a', 3);
+    await store.decrement('a');
+    assert.equal((await store.increment('a')).totalHits, 3);
+});
+
+test('decrement never goes below zero', async () => {
+    at(START);
+    await store.increment('a');
+    await store.decrement('a');
+    await store.decrement('a');
+    assert.equal((await store.increment('a')).totalHits, 1);
+});
+
+test('resetKey clears both windows of a client', async () => {
+    at(START);
+    await hits('a', 5);
+    at(START + WINDOW_MS);
+    await hits('a', 5);
+    await store.resetKey('a');
+    assert.equal((await store.increment('a')).totalHits, 1);
+});
+
+/* ============================================ */
+/*                 Sweep                        */
+/* ============================================ */
+test('drops clients that went quiet for more than a window', async () => {
+    at(START);
+    await store.increment('quiet');
+    at(START + WINDOW_MS * 3);
+    await store.increment('active');
+    assert.deepEqual([...store.local.keys()], ['active']);
+});
+
+test('keeps clients whose previous window still counts', async () => {
+    at(START);
+    await store.increment('recent');
+    at(START + WINDOW_MS * 1.5);
+    await store.increment('active');
+    assert.equal(store.local.has('recent'), true);
+});
@@ -0,0 +1,79 @@
+/*
+███████╗ ██████╗██╗  ██╗███████╗██████╗ ██╗   ██╗██╗     ███████╗
+██╔════╝██╔════╝██║  ██║██╔════╝██╔══██╗██║   ██║██║     ██╔════╝
+███████╗██║     ███████║█████╗  ██║  ██║██║   ██║██║     █████╗
+╚════██║██║     ██╔══██║██╔══╝  ██║  ██║██║   ██║██║     ██╔══╝
+███████║╚██████╗██║  ██║███████╗██████╔╝╚██████╔╝███████╗███████╗
+╚══════╝ ╚═════╝╚═╝  ╚═╝╚══════╝╚═════╝  ╚═════╝ ╚══════╝╚══════╝
+*/
+
+// Broadcast times of routes/schedule.js: JST slots are 9 hours ahead of UTC, so a late night
+// slot can land on another weekday once converted.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextBroadcast, toLocalBroadcast } from '../routes/schedule.js';
+
+// Saturday 2026-10-17, 00:00 UTC is 09:00 JST on the same day
+const SATURDAY = Date.UTC(2026, 9, 17);
+
+/* ============================================ */
+/*                 nextBroadcast                */
+/* ============================================ */
+test('nextBroadcast finds a slot later the same JST day', () => {
+    assert.equal(nextBroadcast('saturday', '23:30', SATURDAY).toISOString(), '2026-10-17T14:30:00.000Z');
+});
+
+test('nextBroadcast moves a slot that already aired to the next week', () => {
+    const afterSlot = Date.UTC(2026, 9, 17, 15);
+    assert.equal(nextBroadcast('saturday', '23:30', afterSlot).toISOString(), '2026-10-24T14:30:00.000Z');
+});
+
+test('nextBroadcast keeps a slot airing right now', () => {
+    const slot = Date.UTC(2026, 9, 17, 14, 30);
+    assert.equal(nextBroadcast('saturday', '23:30', slot).getTime(), slot);
+});
+
+test('nextBroadcast counts days from the JST date, not the UTC one', () => {
+    // Friday 20:00 UTC is already Saturday 05:00 in Japan
+    const fridayEvening = Date.UTC(2026, 9, 16, 20);
+    assert.equal(nextBroadcast('saturday', '06:00', fridayEvening).toISOString(), '2026-10-16T21:00:00.000Z');
+    assert.equal(nextBroadcast('monday', '01:00', fridayEvening).toISOString(), '2026-10-18T16:00:00.000Z');
+});
+
+test('nextBroadcast wraps from the end of the week to its start', () => {
+    assert.equal(nextBroadcast('sunday', '00:00', SATURDAY).toISOString(), '2026-10-17T15:00:00.000Z');
+});
+
+/* ============================================ */
+/*                 toLocalBroadcast             */
+/* ============================================ */
+test('toLocalBroadcast moves late night slots to the previous day west of Japan', () => {
+    assert.deepEqual(toLocalBroadcast({ day: 'monday', time: '01:00' }, 'Europe/London', SATURDAY), {
+        day: 'sunday',
+        time: '17:00',
+        timezone: 'Europe/London',
+        next_broadcast: '2026-10-18T16:00:00.000Z'
+    });
+});
+
+test('toLocalBroadcast follows daylight saving time of the target timezone', () => {
+    // New York is on EDT (UTC-4) until November 1st, on EST (UTC-5) afterwards
+    assert.equal(toLocalBroadcast({ day: 'saturday', time: '23:30' }, 'America/New_York', SATURDAY).time, '10:30');
+    assert.equal(toLocalBroadcast({ day: 'saturday', time: '23:30' }, 'America/New_York', Date.UTC(2026, 10, 7)).time, '09:30');
+});
+
+test('toLocalBroadcast moves early slots to the next day east of Japan', () => {
+    const local = toLocalBroadcast({ day: 'friday', time: '23:00' }, 'Pacific/Auckland', SATURDAY);
+    assert.equal(local.day, 'saturday');
+    assert.equal(local.time, '03:00');
+});
+
+test('toLocalBroadcast leaves slots without a usable time unconverted', () => {
+    assert.deepEqual(toLocalBroadcast({ day: 'monday', time: null }, 'Europe/Paris', SATURDAY), {
+        day: 'monday',
+        time: null,
+        timezone: 'Europe/Paris',
+        next_broadcast: null
+    });
+});
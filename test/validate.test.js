@@ -0,0 +1,137 @@
+/*
+██╗   ██╗ █████╗ ██╗     ██╗██████╗  █████╗ ████████╗███████╗
+██║   ██║██╔══██╗██║     ██║██╔══██╗██╔══██╗╚══██╔══╝██╔════╝
+██║   ██║███████║██║     ██║██║  ██║███████║   ██║   █████╗
+╚██╗ ██╔╝██╔══██║██║     ██║██║  ██║██╔══██║   ██║   ██╔══╝
+ ╚████╔╝ ██║  ██║███████╗██║██████╔╝██║  ██║   ██║   ███████╗
+  ╚═══╝  ╚═╝  ╚═╝╚══════╝╚═╝╚═════╝ ╚═╝  ╚═╝   ╚═╝   ╚══════╝
+*/
+
+// Rules of middlewares/validate.js, run on fake requests: the middleware either coerces the
+// parameters in place and calls next(), or calls next() with a single ValidationError.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import validate, { PAGE } from '../middlewares/validate.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Returns the coerced request, or the error passed to next()
+const run = (schema, query = {}, params = {}) => {
+    const request = { query: { ...query }, params: { ...params } };
+    let error;
+    validate(schema)(request, {}, (err) => { error = err; });
+    return error || request;
+};
+
+const errorOf = (rule, raw) => run({ query: { value: rule } }, { value: raw });
+
+/* ============================================ */
+/*                 Types                        */
+/* ============================================ */
+test('integer and number are coerced and kept within their bounds', () => {
+    assert.equal(run({ query: { page: PAGE } }, { page: '3' }).query.page, 3);
+    assert.equal(run({ query: { score: { type: 'number', min: 0, max: 10 } } }, { score: '7.5' }).query.score, 7.5);
+
+    const error = errorOf({ type: 'integer', min: 1, max: 25 }, '30');
+    assert.equal(error.message, 'Invalid value value: "30". Use an integer between 1 and 25.');
+    assert.deepEqual(error.details.errors[0], { parameter: 'value', message: error.message, min: 1, max: 25 });
+});
+
+test('integer refuses decimals and text', () => {
+    assert.equal(errorOf(PAGE, '1.5').message, 'Invalid value value: "1.5". Use an integer of at least 1.');
+    assert.equal(errorOf({ type: 'integer' }, 'ten').message, 'Invalid value value: "ten". Use an integer.');
+});
+
+test('number refuses infinity and exponents', () => {
+    assert.ok(errorOf({ type: 'number' }, 'Infinity') instanceof ValidationError);
+    assert.ok(errorOf({ type: 'number' }, '1e3') instanceof ValidationError);
+});
+
+test('boolean takes true and false only, a flag may also be bare', () => {
+    assert.equal(run({ query: { sfw: { type: 'boolean' } } }, { sfw: 'false' }).query.sfw, false);
+    assert.deepEqual(errorOf({ type: 'boolean' }, 'yes').details.errors[0].allowed, ['true', 'false']);
+    assert.equal(run({ query: { sfw: { type: 'flag' } } }, { sfw: '' }).query.sfw, true);
+});
+
+test('enum lists the allowed values', () => {
+    const error = errorOf({ type: 'enum', values: ['day', 'week'] }, 'month');
+    assert.equal(error.message, 'Invalid value value: "month". Allowed values are: day, week');
+    assert.deepEqual(error.details.errors[0].allowed, ['day', 'week']);
+});
+
+test('string checks its pattern and check function', () => {
+    assert.equal(errorOf({ type: 'string', pattern: /^[A-Z]{2}$/ }, 'usa').message, 'Invalid value value: "usa". It has the wrong format.');
+    assert.equal(errorOf({ type: 'string', check: () => false }, 'x').message, 'Invalid value value: "x". It is not a valid value.');
+});
+
+test('date takes years, months and days that exist', () => {
+    for (const date of ['2024', '2024-04', '2024-02-29']) {
+        assert.equal(run({ query: { from: { type: 'date' } } }, { from: date }).query.from, date);
+    }
+    for (const date of ['2023-02-29', '2024-13', '24-04-15', '2024-4-15']) {
+        assert.ok(errorOf({ type: 'date' }, date) instanceof ValidationError, date);
+    }
+});
+
+test('list splits, trims, deduplicates and coerces its entries', () => {
+    const rule = { type: 'list', items: { type: 'integer', min: 1 } };
+    assert.deepEqual(run({ query: { genre: rule } }, { genre: '1, 2,1,' }).query.genre, [1, 2]);
+});
+
+test('list reports every invalid entry', () => {
+    const error = errorOf({ type: 'list', items: { type: 'enum', values: ['a', 'b'] } }, 'a,x,y');
+    assert.equal(error.message, 'Invalid value value: "x, y". Allowed values are: a, b');
+    assert.deepEqual(error.details.errors[0].invalid, ['x', 'y']);
+    assert.ok(errorOf({ type: 'list', items: { type: 'string' } }, ' , ') instanceof ValidationError);
+});
+
+/* ============================================ */
+/*                 Missing values               */
+/* ============================================ */
+test('missing and empty values get the default', () => {
+    assert.equal(run({ query: { page: PAGE } }).query.page, 1);
+    assert.equal(run({ query: { page: PAGE } }, { page: '' }).query.page, 1);
+});
+
+test('missing values without a default are removed', () => {
+    const request = run({ query: { region: { type: 'string' } } }, { region: '' });
+    assert.equal('region' in request.query, false);
+});
+
+test('required values must be present', () => {
+    const error = run({ query: { q: { type: 'string', required: true, hint: 'Give a title.' } } });
+    assert.equal(error.message, 'Missing q value. Give a title.');
+});
+
+test('a custom hint replaces the generated one', () => {
+    assert.equal(errorOf({ type: 'integer', hint: 'Use a MAL id.' }, 'x').message, 'Invalid value value: "x". Use a MAL id.');
+});
+
+test('repeated and nested parameters are refused', () => {
+    assert.equal(errorOf(PAGE, ['1', '2']).message, 'Invalid value value. Give value once, as a plain value.');
+    assert.ok(errorOf(PAGE, { x: '1' }) instanceof ValidationError);
+});
+
+/* ============================================ */
+/*                 Middleware                   */
+/* ============================================ */
+test('path parameters are validated as well', () => {
+    assert.equal(run({ params: { id: { type: 'integer', min: 1 } } }, {}, { id: '42' }).params.id, 42);
+});
+
+test('parameters without a rule are left alone', () => {
+    assert.equal(run({ query: { page: PAGE } }, { language: 'fr' }).query.language, 'fr');
+});
+
+test('every invalid parameter is reported in one error', () => {
+    const error = run({ query: { page: PAGE, sfw: { type: 'boolean' } } }, { page: '0', sfw: 'maybe' });
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.message, '2 parameters are invalid: Invalid page value: "0". Use an integer of at least 1. Invalid sfw value: "maybe". Allowed values are: true, false.');
+    assert.equal(error.details.parameter, 'page');
+    assert.deepEqual(error.details.errors.map(entry => entry.parameter), ['page', 'sfw']);
+});
+
+test('the rules stay readable on the middleware', () => {
+    const schema = { query: { page: PAGE } };
+    assert.equal(validate(schema).schema, schema);
+});
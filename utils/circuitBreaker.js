@@ -0,0 +1,124 @@
+/*
+ ██████╗██╗██████╗  ██████╗██╗   ██╗██╗████████╗    ██████╗ ██████╗ ███████╗ █████╗ ██╗  ██╗███████╗██████╗
+██╔════╝██║██╔══██╗██╔════╝██║   ██║██║╚══██╔══╝    ██╔══██╗██╔══██╗██╔════╝██╔══██╗██║ ██╔╝██╔════╝██╔══██╗
+██║     ██║██████╔╝██║     ██║   ██║██║   ██║       ██████╔╝██████╔╝█████╗  ███████║█████╔╝ █████╗  ██████╔╝
+██║     ██║██╔══██╗██║     ██║   ██║██║   ██║       ██╔══██╗██╔══██╗██╔══╝  ██╔══██║██╔═██╗ ██╔══╝  ██╔══██╗
+╚██████╗██║██║  ██║╚██████╗╚██████╔╝██║   ██║       ██████╔╝██║  ██║███████╗██║  ██║██║  ██╗███████╗██║  ██║
+ ╚═════╝╚═╝╚═╝  ╚═╝ ╚═════╝ ╚═════╝ ╚═╝   ╚═╝       ╚═════╝ ╚═╝  ╚═╝╚══════╝╚═╝  ╚═╝╚═╝  ╚═╝╚══════╝╚═╝  ╚═╝
+*/
+
+// closed    -> calls go through, consecutive failures are counted
+// open      -> calls fail fast until the cool down has passed
+// half_open -> a single trial call decides between closed and open again
+
+import logger from './logger.js';
+import { UpstreamUnavailableError } from './errors.js';
+
+export const BREAKER_STATE = {
+    closed: 'closed',
+    open: 'open',
+    halfOpen: 'half_open'
+};
+
+export class CircuitOpenError extends UpstreamUnavailableError {
+    constructor(name, retryAt) {
+        super(`${name} is unavailable right now (circuit open), try again later.`, { provider: name, retry_at: retryAt.toISOString() }, 503);
+        this.provider = name;
+        this.retryAt = retryAt;
+    }
+}
+
+export default class CircuitBreaker {
+    constructor(name, { failureThreshold = 5, coolDownMs = 30000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.coolDownMs = coolDownMs;
+        this.state = BREAKER_STATE.closed;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialRunning = false;
+        // Last time a call succeeded or failed, tells readiness checks whether the state is current
+        this.lastSuccessAt = null;
+        this.lastFailureAt = null;
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+        logger.warn(`Circuit breaker "${this.name}": ${this.state} -> ${state}`);
+        this.state = state;
+    }
+
+    // Throws when the call may not go through right now
+    beforeCall() {
+        if (this.state === BREAKER_STATE.open) {
+            if (Date.now() - this.openedAt < this.coolDownMs) {
+                throw new CircuitOpenError(this.name, new Date(this.openedAt + this.coolDownMs));
+            }
+            this.transition(BREAKER_STATE.halfOpen);
+        }
+
+        if (this.state === BREAKER_STATE.halfOpen) {
+            if (this.trialRunning) {
+                throw new CircuitOpenError(this.name, new Date(Date.now() + this.coolDownMs));
+            }
+            this.trialRunning = true;
+        }
+    }
+
+    onSuccess() {
+        this.lastSuccessAt = Date.now();
+        this.trialRunning = false;
+        this.failures = 0;
+        this.transition(BREAKER_STATE.closed);
+    }
+
+    // Neither healthy nor broken (a 404, our own errors), only frees the trial slot
+    onNeutral() {
+        this.trialRunning = false;
+    }
+
+    onFailure() {
+        this.lastFailureAt = Date.now();
+        this.trialRunning = false;
+        this.failures++;
+
+        if (this.state === BREAKER_STATE.halfOpen || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.transition(BREAKER_STATE.open);
+        }
+    }
+
+    /**
+     * Runs `fn` through the breaker.
+     * @param {() => Promise<any>} fn - the upstream call
+     * @param {(err: Error) => boolean} isFailure - whether an error counts against upstream health,
+     * the others count neither way: only a successful answer closes a half-open circuit
+     */
+    async call(fn, isFailure = () => true) {
+        this.beforeCall();
+
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (err) {
+            if (isFailure(err)) {
+                this.onFailure();
+            } else {
+                this.onNeutral();
+            }
+            throw err;
+        }
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            consecutive_failures: this.failures,
+            opened_at: this.openedAt && this.state !== BREAKER_STATE.closed ? new Date(this.openedAt).toISOString() : null,
+            retry_at: this.state === BREAKER_STATE.open ? new Date(this.openedAt + this.coolDownMs).toISOString() : null,
+            last_success_at: this.lastSuccessAt && new Date(this.lastSuccessAt).toISOString(),
+            last_failure_at: this.lastFailureAt && new Date(this.lastFailureAt).toISOString()
+        };
+    }
+}
@@ -0,0 +1,18 @@
+/*
+███████╗███╗   ██╗██╗   ██╗
+██╔════╝████╗  ██║██║   ██║
+█████╗  ██╔██╗ ██║██║   ██║
+██╔══╝  ██║╚██╗██║╚██╗ ██╔╝
+███████╗██║ ╚████║ ╚████╔╝
+╚══════╝╚═╝  ╚═══╝  ╚═══╝
+*/
+
+// Numeric settings read from the environment
+
+/**
+ * Integer value of the environment variable `name`, `fallback` when it is unset, not a number or negative.
+ */
+export const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+};
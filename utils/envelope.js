@@ -0,0 +1,66 @@
+/*
+███████╗███╗   ██╗██╗   ██╗███████╗██╗      ██████╗ ██████╗ ███████╗
+██╔════╝████╗  ██║██║   ██║██╔════╝██║     ██╔═══██╗██╔══██╗██╔════╝
+█████╗  ██╔██╗ ██║██║   ██║█████╗  ██║     ██║   ██║██████╔╝█████╗
+██╔══╝  ██║╚██╗██║╚██╗ ██╔╝██╔══╝  ██║     ██║   ██║██╔═══╝ ██╔══╝
+███████╗██║ ╚████║ ╚████╔╝ ███████╗███████╗╚██████╔╝██║     ███████╗
+╚══════╝╚═╝  ╚═══╝  ╚═══╝  ╚══════╝╚══════╝ ╚═════╝ ╚═╝     ╚══════╝
+*/
+
+// API v2 wraps every response in one envelope:
+// {
+//   data:       the payload (array for lists, object for single records)
+//   pagination: { page, per_page, total_pages, total_results, has_next_page } or null
+//   meta:       { api_version, source, ... }
+// }
+// API v1 keeps sending the legacy per-endpoint bodies until consumers have moved over.
+
+import { rewriteImages } from './imageSizes.js';
+
+/* ============================================ */
+/*                 Pagination                   */
+/* ============================================ */
+// From the pagination block the TMDB routes build ({ current_page, total_pages, total_results })
+export const tmdbPagination = ({ current_page, total_pages, total_results }, perPage = 20) => ({
+    page: Number(current_page),
+    per_page: perPage,
+    total_pages,
+    total_results,
+    has_next_page: Number(current_page) < total_pages
+});
+
+// From a Jikan pagination block, raw or as rebuilt by the anime routes
+export const jikanPagination = ({ current_page, last_visible_page, has_next_page, items }) => ({
+    page: Number(current_page),
+    per_page: Number(items.per_page),
+    total_pages: last_visible_page,
+    total_results: items.total,
+    has_next_page
+});
+
+/* ============================================ */
+/*                 Responding                   */
+/* ============================================ */
+/**
+ * Sends `data` in the envelope for API v2+, or `legacy` (falling back to `data`) for API v1.
+ * Image URLs are resized or proxied as asked by `request.imageOptions` (middlewares/imageOptions.js).
+ * @param {object} request - Express request, `request.apiVersion` is set by middlewares/apiVersion.js
+ * @param {object} response - Express response
+ * @param {{ data: any, pagination?: object, meta?: object, legacy?: any, status?: number }} payload
+ */
+export function respond(request, response, { data, pagination = null, meta = {}, legacy, status = 200 }) {
+    response.status(status);
+
+    const images = request.imageOptions;
+    const withImages = (body) => images ? rewriteImages(body, images) : body;
+
+    if (request.apiVersion >= 2) {
+        return response.send({
+            data: withImages(data),
+            pagination,
+            meta: { api_version: request.apiVersion, ...meta, ...(images && { image_size: images.size }) }
+        });
+    }
+
+    return response.send(withImages(legacy === undefined ? data : legacy));
+}
@@ -0,0 +1,158 @@
+/*
+███████╗██████╗ ██████╗  ██████╗ ██████╗ ███████╗
+██╔════╝██╔══██╗██╔══██╗██╔═══██╗██╔══██╗██╔════╝
+█████╗  ██████╔╝██████╔╝██║   ██║██████╔╝███████╗
+██╔══╝  ██╔══██╗██╔══██╗██║   ██║██╔══██╗╚════██║
+███████╗██║  ██║██║  ██║╚██████╔╝██║  ██║███████║
+╚══════╝╚═╝  ╚═╝╚═╝  ╚═╝ ╚═════╝ ╚═╝  ╚═╝╚══════╝
+*/
+
+// Every error the API answers with is one of these. The error handler middleware turns them into
+// { error: { code, message, details, request_id } } with the matching HTTP status.
+// `code` values are part of the public contract, never rename them.
+
+/* ============================================ */
+/*                 Base class                   */
+/* ============================================ */
+export class ApiError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/* ============================================ */
+/*                 Client errors                */
+/* ============================================ */
+export class ValidationError extends ApiError {
+    constructor(message, details = null) {
+        super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+    }
+}
+
+export class UnauthorizedError extends ApiError {
+    constructor(message = "Missing or invalid credentials.", details = null) {
+        super(message, { status: 401, code: 'UNAUTHORIZED', details });
+    }
+}
+
+export class ForbiddenError extends ApiError {
+    constructor(message = "You are not allowed to do this.", details = null) {
+        super(message, { status: 403, code: 'FORBIDDEN', details });
+    }
+}
+
+export class NotFoundError extends ApiError {
+    constructor(message = "The requested resource was not found.", details = null) {
+        super(message, { status: 404, code: 'NOT_FOUND', details });
+    }
+}
+
+// The caller went over a per second limit, `retryAfter` in seconds
+export class RateLimitedError extends ApiError {
+    constructor(message = "Too many requests, slow down.", details = null, retryAfterSeconds = null) {
+        super(message, { status: 429, code: 'RATE_LIMITED', details });
+        this.retryAfter = retryAfterSeconds;
+    }
+}
+
+// The caller used up the daily or monthly quota of its API key
+export class QuotaExceededError extends ApiError {
+    constructor(message, details = null, retryAfterSeconds = null) {
+        super(message, { status: 429, code: 'QUOTA_EXCEEDED', details });
+        this.retryAfter = retryAfterSeconds;
+    }
+}
+
+/* ============================================ */
+/*                 Upstream errors              */
+/* ============================================ */
+// TMDB or Jikan is down, broken or unreachable
+export class UpstreamUnavailableError extends ApiError {
+    constructor(message, details = null, status = 502) {
+        super(message, { status, code: 'UPSTREAM_UNAVAILABLE', details });
+    }
+}
+
+export class UpstreamTimeoutError extends ApiError {
+    constructor(message, details = null) {
+        super(message, { status: 504, code: 'UPSTREAM_TIMEOUT', details });
+    }
+}
+
+// TMDB or Jikan refused us because of its own quota, not because of the caller
+export class UpstreamRateLimitedError extends ApiError {
+    constructor(message, details = null, retryAfterSeconds = null) {
+        super(message, { status: 503, code: 'UPSTREAM_RATE_LIMITED', details });
+        this.retryAfter = retryAfterSeconds;
+    }
+}
+
+/* ============================================ */
+/*                 Server errors                */
+/* ============================================ */
+export class InternalError extends ApiError {
+    constructor(message = "Internal Server Error.", details = null) {
+        super(message, { status: 500, code: 'INTERNAL_ERROR', details });
+    }
+}
+
+// Redis is needed for a write that must not live in a single process, e.g. a new API key
+export class StorageUnavailableError extends ApiError {
+    constructor(message = "Storage is unavailable right now, try again later.", details = null) {
+        super(message, { status: 503, code: 'STORAGE_UNAVAILABLE', details });
+    }
+}
+
+/* ============================================ */
+/*                 Conversion                   */
+/* ============================================ */
+// Upstream host of an axios error, used to tell TMDB and Jikan apart in `details`
+const upstreamOf = (err) => {
+    try {
+        return new URL(err.config?.url).hostname;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Maps anything thrown in a route (ApiError, axios error, plain Error) to an ApiError.
+ */
+export function toApiError(err) {
+    if (err instanceof ApiError) return err;
+
+    // express.json() could not parse the request body
+    if (err.type === 'entity.parse.failed') {
+        return new ValidationError("The request body is not valid JSON.", { parameter: 'body' });
+    }
+
+    // axios: the upstream answered with an error status
+    if (err.response) {
+        const status = err.response.status;
+        const details = { upstream: upstreamOf(err), upstream_status: status };
+
+        if (status === 404) return new NotFoundError("The requested resource was not found upstream.", details);
+        if (status === 429) {
+            const retryAfter = parseInt(err.response.headers?.['retry-after'], 10);
+            return new UpstreamRateLimitedError("The upstream API is rate limiting us, try again later.", details, Number.isNaN(retryAfter) ? null : retryAfter);
+        }
+        if (status === 400 || status === 422) return new ValidationError("The upstream API rejected the request parameters.", details);
+        return new UpstreamUnavailableError("Error fetching data from API.", details);
+    }
+
+    // axios: the request went out but nothing came back
+    if (err.request || err.isAxiosError) {
+        const details = { upstream: upstreamOf(err), reason: err.code || null };
+
+        if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+            return new UpstreamTimeoutError("The upstream API took too long to respond.", details);
+        }
+        return new UpstreamUnavailableError("No response received from API.", details);
+    }
+
+    return new InternalError();
+}
@@ -0,0 +1,81 @@
+/*
+ ██████╗ ███████╗███╗   ██╗██████╗ ███████╗███████╗
+██╔════╝ ██╔════╝████╗  ██║██╔══██╗██╔════╝██╔════╝
+██║  ███╗█████╗  ██╔██╗ ██║██████╔╝█████╗  ███████╗
+██║   ██║██╔══╝  ██║╚██╗██║██╔══██╗██╔══╝  ╚════██║
+╚██████╔╝███████╗██║ ╚████║██║  ██║███████╗███████║
+ ╚═════╝ ╚══════╝╚═╝  ╚═══╝╚═╝  ╚═╝╚══════╝╚══════╝
+*/
+
+// Genre dictionaries of the three catalogs. TMDB list items only carry `genre_ids`, the resolver
+// turns them into names so movies, TV shows and anime all present `genres: [names]`.
+// Dictionaries go through the stale-while-revalidate cache, so they refresh on their own;
+// the last copy seen by this process covers upstream failures so lists never fail over genre names.
+
+import logger from './logger.js';
+import { URLs } from '../config/constants.js';
+import { withCache } from '../caching/cache.js';
+import { tmdbGet, jikanGet } from './httpClient.js';
+import { DEFAULT_LANGUAGE } from '../middlewares/locale.js';
+
+export const GENRE_MEDIA_TYPES = ['movie', 'tv', 'anime'];
+
+const lastKnown = {};
+
+/* ============================================ */
+/*                 Upstream lists               */
+/* ============================================ */
+const fetchers = {
+    movie: async (language) => {
+        const genres = await tmdbGet(`${URLs.tmdb}/genre/movie/list?language=${language}`);
+        return genres.data.genres.map(({ id, name }) => ({ id, name }));
+    },
+    tv: async (language) => {
+        const genres = await tmdbGet(`${URLs.tmdb}/genre/tv/list?language=${language}`);
+        return genres.data.genres.map(({ id, name }) => ({ id, name }));
+    },
+    // Jikan lists genres, explicit genres, themes and demographics together, in English only
+    anime: async () => {
+        const genres = await jikanGet(`${URLs.jikan}/genres/anime`);
+        return genres.data.data.map(genre => ({ id: genre.mal_id, name: genre.name, count: genre.count }));
+    }
+};
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+// TMDB names are translated, anime ones are the same in every language
+const cacheKeyOf = (mediaType, language) => mediaType === 'anime' ? 'genres_anime' : `genres_${mediaType}_${language}`;
+
+/**
+ * Genre dictionary of a catalog ('movie', 'tv' or 'anime') as [{ id, name }], names in `language`.
+ */
+export async function getGenres(mediaType, language = DEFAULT_LANGUAGE) {
+    const redisKey = cacheKeyOf(mediaType, language);
+
+    const genres = await withCache(redisKey, 'genres', async () => {
+        const list = await fetchers[mediaType](language);
+        logger.info(`Fetched ${list.length} ${mediaType} genres (${language}) at ${new Date().toISOString()}`);
+        return list;
+    });
+
+    lastKnown[redisKey] = genres;
+    return genres;
+}
+
+/**
+ * Resolves to a function mapping genre ids to names, unknown ids are skipped.
+ * Never throws: without a dictionary every item simply gets `genres: []`.
+ */
+export async function genreNameResolver(mediaType, language = DEFAULT_LANGUAGE) {
+    let genres = lastKnown[cacheKeyOf(mediaType, language)] || [];
+
+    try {
+        genres = await getGenres(mediaType, language);
+    } catch (err) {
+        logger.warn(`Could not load ${mediaType} genres, ${genres.length ? 'using the last known list' : 'leaving names out'}: ${err.message}`);
+    }
+
+    const names = new Map(genres.map(genre => [genre.id, genre.name]));
+    return (genreIds = []) => genreIds.map(id => names.get(id)).filter(Boolean);
+}
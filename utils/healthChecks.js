@@ -0,0 +1,180 @@
+/*
+██╗  ██╗███████╗ █████╗ ██╗  ████████╗██╗  ██╗     ██████╗██╗  ██╗███████╗ ██████╗██╗  ██╗███████╗
+██║  ██║██╔════╝██╔══██╗██║  ╚══██╔══╝██║  ██║    ██╔════╝██║  ██║██╔════╝██╔════╝██║ ██╔╝██╔════╝
+███████║█████╗  ███████║██║     ██║   ███████║    ██║     ███████║█████╗  ██║     █████╔╝ ███████╗
+██╔══██║██╔══╝  ██╔══██║██║     ██║   ██╔══██║    ██║     ██╔══██║██╔══╝  ██║     ██╔═██╗ ╚════██║
+██║  ██║███████╗██║  ██║███████╗██║   ██║  ██║    ╚██████╗██║  ██║███████╗╚██████╗██║  ██╗███████║
+╚═╝  ╚═╝╚══════╝╚═╝  ╚═╝╚══════╝╚═╝   ╚═╝  ╚═╝     ╚═════╝╚═╝  ╚═╝╚══════╝ ╚═════╝╚═╝  ╚═╝╚══════╝
+*/
+
+// Dependency checks behind /readyz: Redis answers PING, TMDB accepts our AUTH_TOKEN, Jikan answers at all.
+// Each check has a short timeout and its result is reused for a few seconds, so load balancers
+// probing every instance every few seconds don't turn into upstream traffic. Jikan calls share one
+// quota, so recent live traffic answers for Jikan and only an idle instance sends a probe.
+
+import axios from 'axios';
+import { readFileSync } from 'fs';
+import { URLs, options } from '../config/constants.js';
+import redisClient, { redisEnabled, withTimeout } from '../caching/redisClient.js';
+import { scheduleJikanRequest, getJikanQueueStats } from './jikanScheduler.js';
+import { getCircuitBreakerStates } from './httpClient.js';
+import { BREAKER_STATE } from './circuitBreaker.js';
+import { PRIORITY } from './requestPriority.js';
+import { UpstreamRateLimitedError } from './errors.js';
+import { observeUpstream } from './metrics.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+const CHECK_CACHE_MS = parseInt(process.env.HEALTH_CHECK_CACHE_MS, 10) || 15000;
+
+// Dependencies without which the instance should not get traffic. Redis has the in-memory
+// fallback and anime are only part of the API, so by default only TMDB is critical.
+const CRITICAL = (process.env.READINESS_CRITICAL ?? 'tmdb')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+/* ============================================ */
+/*                 Build info                   */
+/* ============================================ */
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const startedAt = new Date();
+
+// Railway and most CI set one of these to the deployed commit
+const commit = process.env.GIT_COMMIT || process.env.RAILWAY_GIT_COMMIT_SHA || process.env.SOURCE_VERSION || null;
+
+export const getBuildInfo = () => ({
+    version,
+    commit,
+    node: process.version,
+    started_at: startedAt.toISOString(),
+    uptime_seconds: Math.round(process.uptime())
+});
+
+/* ============================================ */
+/*                 Checks                       */
+/* ============================================ */
+const checkTimeout = (promise) => withTimeout(promise, CHECK_TIMEOUT_MS, `No answer within ${CHECK_TIMEOUT_MS}ms`);
+
+// Whether Jikan answered live traffic lately: 'up', 'down' or null when there was none
+const recentJikanOutcome = () => {
+    const { state, last_success_at, last_failure_at } = getCircuitBreakerStates().jikan;
+    if (state === BREAKER_STATE.open) return 'down';
+
+    const since = Date.now() - CHECK_CACHE_MS;
+    const success = Date.parse(last_success_at) || 0;
+    const failure = Date.parse(last_failure_at) || 0;
+    if (Math.max(success, failure) < since) return null;
+    return success > failure ? 'up' : 'down';
+};
+
+// Lowest priority and cancelled on timeout, so it never holds up a real request
+const probeJikan = async () => {
+    const signal = AbortSignal.timeout(CHECK_TIMEOUT_MS);
+
+    try {
+        await scheduleJikanRequest(URLs.jikan, { signal }, PRIORITY.background);
+    } catch (err) {
+        if (signal.aborted) throw new Error(`No answer within ${CHECK_TIMEOUT_MS}ms`);
+        throw err;
+    }
+};
+
+// Each check resolves when the dependency is fine, or with 'unknown' when it can't tell,
+// and throws with the reason otherwise
+const checks = {
+    redis: {
+        enabled: () => redisEnabled,
+        run: () => checkTimeout(redisClient.ping())
+    },
+    tmdb: {
+        enabled: () => true,
+        // Answers 401 when the token is wrong or revoked
+        run: async () => {
+            try {
+                await checkTimeout(observeUpstream('tmdb', () => axios.get(`${URLs.tmdb}/authentication`, { ...options, timeout: CHECK_TIMEOUT_MS })));
+            } catch (err) {
+                if (err.response?.status === 401) throw new Error('TMDB rejected AUTH_TOKEN (401)');
+                throw err;
+            }
+        }
+    },
+    jikan: {
+        enabled: () => true,
+        run: async () => {
+            const outcome = recentJikanOutcome();
+            if (outcome === 'up') return;
+            if (outcome === 'down') throw new Error('Recent calls failed');
+
+            // The queue is busy or paused by a 429, a probe would only wait behind it
+            const { queued, paused_until } = getJikanQueueStats();
+            if (paused_until || queued.interactive + queued.background > 0) return 'unknown';
+
+            try {
+                await probeJikan();
+            } catch (err) {
+                if (err instanceof UpstreamRateLimitedError) return 'unknown';
+                throw err;
+            }
+        }
+    }
+};
+
+const reasonOf = (err) => err.response ? `HTTP ${err.response.status}` : err.code || err.message;
+
+const runCheck = async (name) => {
+    const check = checks[name];
+    const base = { critical: CRITICAL.includes(name), checked_at: new Date().toISOString() };
+
+    if (!check.enabled()) return { ...base, status: 'disabled', latency_ms: null };
+
+    const started = Date.now();
+    try {
+        const status = await check.run() || 'up';
+        return { ...base, status, latency_ms: Date.now() - started };
+    } catch (err) {
+        return { ...base, status: 'down', latency_ms: Date.now() - started, error: reasonOf(err) };
+    }
+};
+
+/* ============================================ */
+/*                 Cached results               */
+/* ============================================ */
+// name -> { result, expiresAt } once a check finished, { pending } while it runs
+const results = {};
+
+const cachedCheck = (name) => {
+    const entry = results[name];
+    if (entry?.pending) return entry.pending;
+    if (entry && entry.expiresAt > Date.now()) return Promise.resolve(entry.result);
+
+    const pending = runCheck(name).then(result => {
+        results[name] = { result, expiresAt: Date.now() + CHECK_CACHE_MS };
+        return result;
+    });
+    results[name] = { ...entry, pending };
+    return pending;
+};
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+/**
+ * Runs (or reuses) every dependency check.
+ * `ready` is false as soon as one critical dependency is down, disabled and unknown ones never count.
+ */
+export async function getReadiness() {
+    const names = Object.keys(checks);
+    const checked = await Promise.all(names.map(cachedCheck));
+    const breakers = getCircuitBreakerStates();
+
+    const dependencies = Object.fromEntries(names.map((name, index) => [
+        name,
+        breakers[name] ? { ...checked[index], circuit: breakers[name].state } : checked[index]
+    ]));
+
+    const ready = Object.values(dependencies).every(dependency => !dependency.critical || dependency.status !== 'down');
+    return { ready, dependencies };
+}
@@ -0,0 +1,121 @@
+/*
+██╗  ██╗████████╗████████╗██████╗      ██████╗██╗     ██╗███████╗███╗   ██╗████████╗
+██║  ██║╚══██╔══╝╚══██╔══╝██╔══██╗    ██╔════╝██║     ██║██╔════╝████╗  ██║╚══██╔══╝
+███████║   ██║      ██║   ██████╔╝    ██║     ██║     ██║█████╗  ██╔██╗ ██║   ██║
+██╔══██║   ██║      ██║   ██╔═══╝     ██║     ██║     ██║██╔══╝  ██║╚██╗██║   ██║
+██║  ██║   ██║      ██║   ██║         ╚██████╗███████╗██║███████╗██║ ╚████║   ██║
+╚═╝  ╚═╝   ╚═╝      ╚═╝   ╚═╝          ╚═════╝╚══════╝╚═╝╚══════╝╚═╝  ╚═══╝   ╚═╝
+*/
+
+// Resilient GET client for TMDB and Jikan:
+//  - per provider timeouts
+//  - jittered exponential retries on timeouts, network errors and 5xx (and 429 where the provider allows it)
+//  - a circuit breaker per provider that fails fast while the upstream is unhealthy,
+//    the cache layer keeps serving stale data meanwhile
+
+import axios from 'axios';
+import logger from './logger.js';
+import { options } from '../config/constants.js';
+import CircuitBreaker from './circuitBreaker.js';
+import { ApiError } from './errors.js';
+import { scheduleJikanRequest, parseRetryAfter } from './jikanScheduler.js';
+import { observeUpstream } from './metrics.js';
+import { envInt } from './env.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const MAX_RETRIES = envInt('HTTP_MAX_RETRIES', 2);
+const RETRY_BASE_DELAY_MS = envInt('HTTP_RETRY_BASE_DELAY_MS', 300);
+const RETRY_MAX_DELAY_MS = envInt('HTTP_RETRY_MAX_DELAY_MS', 3000);
+
+const breakerOptions = {
+    failureThreshold: envInt('CIRCUIT_FAILURE_THRESHOLD', 5),
+    coolDownMs: envInt('CIRCUIT_COOL_DOWN_MS', 30000)
+};
+
+/* ============================================ */
+/*                 Providers                    */
+/* ============================================ */
+const providers = {
+    tmdb: {
+        timeout: envInt('TMDB_TIMEOUT_MS', 5000),
+        retryOn429: true,
+        send: (url, config) => observeUpstream('tmdb', () => axios.get(url, { ...options, ...config })),
+        breaker: new CircuitBreaker('tmdb', breakerOptions)
+    },
+    jikan: {
+        timeout: envInt('JIKAN_TIMEOUT_MS', 10000),
+        // The Jikan queue already waits out 429s, and records each call it sends
+        retryOn429: false,
+        send: (url, config) => scheduleJikanRequest(url, config),
+        breaker: new CircuitBreaker('jikan', breakerOptions)
+    }
+};
+
+/* ============================================ */
+/*                 Error classification         */
+/* ============================================ */
+// No answer at all, or the upstream itself is broken (our own errors, like a full queue, don't count)
+const isUpstreamFailure = (err) => !(err instanceof ApiError) && (!err.response || err.response.status >= 500);
+
+const isRetryable = (err, provider) => {
+    // Our own errors (open circuit, full queue) are final
+    if (err instanceof ApiError) return false;
+    if (err.response?.status === 429) return provider.retryOn429;
+    return isUpstreamFailure(err);
+};
+
+// Full jitter: anywhere between 0 and the exponential ceiling
+const backoffDelay = (attempt, err) => {
+    if (err.response?.status === 429) {
+        return parseRetryAfter(err.response.headers?.['retry-after']);
+    }
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/* ============================================ */
+/*                 Retries                      */
+/* ============================================ */
+const sendWithRetries = async (providerName, provider, url, config) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await provider.send(url, { timeout: provider.timeout, ...config });
+        } catch (err) {
+            if (attempt >= MAX_RETRIES || !isRetryable(err, provider)) throw err;
+
+            const delay = backoffDelay(attempt, err);
+            logger.warn(`${providerName} GET ${url} failed (${err.response?.status || err.code || err.message}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+/**
+ * GETs `url` from `providerName` ('tmdb' or 'jikan') with timeout, retries and circuit breaker.
+ * Resolves with the axios response.
+ */
+export async function httpGet(providerName, url, config = {}) {
+    const provider = providers[providerName];
+
+    // The breaker sees one outcome per call, once its retries are used up, so a single
+    // failing request can't open the circuit on its own
+    return provider.breaker.call(
+        () => sendWithRetries(providerName, provider, url, config),
+        isUpstreamFailure
+    );
+}
+
+export const tmdbGet = (url, config) => httpGet('tmdb', url, config);
+export const jikanGet = (url, config) => httpGet('jikan', url, config);
+
+// Breaker state of every provider, for logs and status endpoints
+export const getCircuitBreakerStates = () => Object.fromEntries(
+    Object.entries(providers).map(([name, provider]) => [name, provider.breaker.snapshot()])
+);
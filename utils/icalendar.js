@@ -0,0 +1,135 @@
+/*
+██╗ ██████╗ █████╗ ██╗     ███████╗███╗   ██╗██████╗  █████╗ ██████╗
+██║██╔════╝██╔══██╗██║     ██╔════╝████╗  ██║██╔══██╗██╔══██╗██╔══██╗
+██║██║     ███████║██║     █████╗  ██╔██╗ ██║██║  ██║███████║██████╔╝
+██║██║     ██╔══██║██║     ██╔══╝  ██║╚██╗██║██║  ██║██╔══██║██╔══██╗
+██║╚██████╗██║  ██║███████╗███████╗██║ ╚████║██████╔╝██║  ██║██║  ██║
+╚═╝ ╚═════╝╚═╝  ╚═╝╚══════╝╚══════╝╚═╝  ╚═══╝╚═════╝ ╚═╝  ╚═╝╚═╝  ╚═╝
+*/
+
+// Minimal RFC 5545 writer for the calendar feeds: VCALENDAR with VEVENTs, text escaping,
+// 75 octet line folding and CRLF line endings. Only what our feeds need, no parsing.
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const PRODUCT_ID = '-//tmdb-anime-api//Calendar Feeds//EN';
+// Right hand side of every UID, keeps our UIDs globally unique
+export const UID_DOMAIN = 'tmdb-anime-api';
+// Calendar apps that honour it poll the feed this often
+const REFRESH_INTERVAL = 'PT6H';
+const MAX_LINE_OCTETS = 75;
+
+/* ============================================ */
+/*                 Values                       */
+/* ============================================ */
+// TEXT values: backslash, semicolon, comma and line breaks must be escaped
+export const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+// "2024-05-31" -> "20240531", for all day events
+export const formatDate = (isoDate) => isoDate.slice(0, 10).replace(/-/g, '');
+
+// Date -> "20240531T143000Z"
+export const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// "2024-05-31" -> "2024-06-01", DTEND of an all day event is exclusive
+export const nextDay = (isoDate) => {
+    const date = new Date(`${isoDate.slice(0, 10)}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+};
+
+/* ============================================ */
+/*                 Lines                        */
+/* ============================================ */
+// Lines longer than 75 octets continue on the next line after a single space,
+// multi byte characters are never split
+export const foldLine = (line) => {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+
+        if (octets + size > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            octets = 0;
+        }
+
+        chunk += char;
+        octets += size;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ');
+};
+
+/* ============================================ */
+/*                 Events                       */
+/* ============================================ */
+/**
+ * One VEVENT. `date` makes an all day event, `start` (a Date) a timed one.
+ * @param {{ uid: string, summary: string, description?: string, url?: string, categories?: string[],
+ *           date?: string, start?: Date, durationMinutes?: number, rrule?: string }} event
+ */
+const eventLines = (event, stamp) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`
+    ];
+
+    if (event.date) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`);
+    } else {
+        lines.push(`DTSTART:${formatDateTime(event.start)}`);
+        lines.push(`DURATION:PT${event.durationMinutes || 30}M`);
+    }
+
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+
+    // Releases don't block anyone's agenda
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+
+    return lines;
+};
+
+/**
+ * Serializes a whole feed.
+ * @param {{ name: string, description?: string, events: object[] }} calendar
+ * @returns {string} the .ics content
+ */
+export function buildCalendar({ name, description, events }) {
+    const stamp = formatDateTime(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+        ...events.flatMap(event => eventLines(event, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,48 @@
+/*
+██╗███╗   ███╗ █████╗  ██████╗ ███████╗    ██████╗ ██████╗  ██████╗ ██╗  ██╗██╗   ██╗
+██║████╗ ████║██╔══██╗██╔════╝ ██╔════╝    ██╔══██╗██╔══██╗██╔═══██╗╚██╗██╔╝╚██╗ ██╔╝
+██║██╔████╔██║███████║██║  ███╗█████╗      ██████╔╝██████╔╝██║   ██║ ╚███╔╝  ╚████╔╝
+██║██║╚██╔╝██║██╔══██║██║   ██║██╔══╝      ██╔═══╝ ██╔══██╗██║   ██║ ██╔██╗   ╚██╔╝
+██║██║ ╚═╝ ██║██║  ██║╚██████╔╝███████╗    ██║     ██║  ██║╚██████╔╝██╔╝ ██╗   ██║
+╚═╝╚═╝     ╚═╝╚═╝  ╚═╝ ╚═════╝ ╚══════╝    ╚═╝     ╚═╝  ╚═╝ ╚═════╝ ╚═╝  ╚═╝   ╚═╝
+*/
+
+// Upstream image hosts the /img proxy may fetch from. Each provider has one fixed origin and a
+// strict path pattern, the caller only ever picks a path on it, never a host (no SSRF).
+
+export const IMAGE_PROXY_PROVIDERS = {
+    // /img/tmdb/w342/abc.jpg -> https://image.tmdb.org/t/p/w342/abc.jpg
+    tmdb: {
+        origin: 'https://image.tmdb.org/t/p/',
+        path: /^(original|w45|w92|w154|w185|w300|w342|w500|w780|w1280|h632)\/[A-Za-z0-9]+\.(jpg|png|svg|webp)$/
+    },
+    // /img/jikan/images/anime/1015/138006l.jpg -> https://cdn.myanimelist.net/images/anime/1015/138006l.jpg
+    jikan: {
+        origin: 'https://cdn.myanimelist.net/',
+        path: /^images\/(anime|manga|characters|voiceactors|people)\/\d+\/\d+[tl]?\.(jpg|webp)$/
+    }
+};
+
+export const IMAGE_CONTENT_TYPES = {
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+};
+
+/**
+ * Rewrites an upstream image URL to the proxy under `baseUrl`, e.g. https://api.example.com/img/tmdb/w342/abc.jpg
+ * (or /img/tmdb/w342/abc.jpg with an empty `baseUrl`).
+ * URLs the proxy would refuse are returned as they are.
+ */
+export const toProxyUrl = (url, baseUrl) => {
+    if (typeof url !== 'string') return url;
+
+    for (const [provider, { origin, path }] of Object.entries(IMAGE_PROXY_PROVIDERS)) {
+        if (url.startsWith(origin) && path.test(url.slice(origin.length))) {
+            return `${baseUrl}/img/${provider}/${url.slice(origin.length)}`;
+        }
+    }
+
+    return url;
+};
@@ -0,0 +1,128 @@
+/*
+██╗███╗   ███╗ █████╗  ██████╗ ███████╗    ███████╗██╗███████╗███████╗███████╗
+██║████╗ ████║██╔══██╗██╔════╝ ██╔════╝    ██╔════╝██║╚══███╔╝██╔════╝██╔════╝
+██║██╔████╔██║███████║██║  ███╗█████╗      ███████╗██║  ███╔╝ █████╗  ███████╗
+██║██║╚██╔╝██║██╔══██║██║   ██║██╔══╝      ╚════██║██║ ███╔╝  ██╔══╝  ╚════██║
+██║██║ ╚═╝ ██║██║  ██║╚██████╔╝███████╗    ███████║██║███████╗███████╗███████║
+╚═╝╚═╝     ╚═╝╚═╝  ╚═╝ ╚═════╝ ╚══════╝    ╚══════╝╚═╝╚══════╝╚══════╝╚══════╝
+*/
+
+// Image URLs are cached at full size (TMDB `original`, Jikan's default jpg/webp) and resized on the
+// way out, so every size is served from the same cache entry. One vocabulary works everywhere:
+//  - TMDB sizes  w92, w154, w185, w342, w500, w780, original
+//  - presets     small, medium, large
+// Jikan only has three sizes, TMDB widths are mapped to the closest one and presets to TMDB widths.
+
+import { URLs } from '../config/constants.js';
+import { toProxyUrl } from './imageProxy.js';
+
+export const TMDB_IMAGE_SIZES = ['w92', 'w154', 'w185', 'w342', 'w500', 'w780', 'original'];
+export const IMAGE_SIZE_PRESETS = ['small', 'medium', 'large'];
+export const IMAGE_SIZES = [...TMDB_IMAGE_SIZES, ...IMAGE_SIZE_PRESETS];
+
+// Widths listed in `*_srcset` objects
+const TMDB_SRCSET_SIZES = ['w185', 'w342', 'w500', 'w780'];
+
+const TMDB_PRESETS = { small: 'w185', medium: 'w342', large: 'w780' };
+// Jikan suffixes: "t" thumbnail (~50px), none (~225px), "l" large (~425px)
+const JIKAN_SUFFIXES = { small: 't', medium: '', large: 'l' };
+
+// https://image.tmdb.org/t/p/original/abc.jpg -> base + size + /abc.jpg
+const TMDB_IMAGE_BASE = URLs.image.replace(/original$/, '');
+const TMDB_IMAGE = new RegExp(`^${TMDB_IMAGE_BASE.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:original|[wh]\\d+)(/.+)$`);
+// Only anime covers: character and people pictures have no large variant
+const JIKAN_IMAGE = /^(https:\/\/cdn\.myanimelist\.net\/images\/anime\/\d+\/\d+)[tl]?\.(jpg|webp)$/;
+
+/* ============================================ */
+/*                 Sizes                        */
+/* ============================================ */
+const tmdbSize = (size) => TMDB_PRESETS[size] || size;
+
+const jikanSize = (size) => {
+    if (JIKAN_SUFFIXES[size] !== undefined) return size;
+    if (size === 'original') return 'large';
+
+    const width = parseInt(size.slice(1), 10);
+    if (width <= 185) return 'small';
+    return width <= 342 ? 'medium' : 'large';
+};
+
+const resizeUrl = (url, size) => {
+    const tmdb = url.match(TMDB_IMAGE);
+    if (tmdb) return `${TMDB_IMAGE_BASE}${tmdbSize(size)}${tmdb[1]}`;
+
+    const jikan = url.match(JIKAN_IMAGE);
+    if (jikan) return `${jikan[1]}${JIKAN_SUFFIXES[jikanSize(size)]}.${jikan[2]}`;
+
+    return url;
+};
+
+// { w185: url, ... } for TMDB, { small, medium, large } for Jikan, null for anything else
+const srcsetOf = (url) => {
+    if (typeof url !== 'string') return null;
+
+    const tmdb = url.match(TMDB_IMAGE);
+    if (tmdb) return Object.fromEntries(TMDB_SRCSET_SIZES.map(size => [size, `${TMDB_IMAGE_BASE}${size}${tmdb[1]}`]));
+
+    const jikan = url.match(JIKAN_IMAGE);
+    if (jikan) return Object.fromEntries(IMAGE_SIZE_PRESETS.map(size => [size, `${jikan[1]}${JIKAN_SUFFIXES[size]}.${jikan[2]}`]));
+
+    return null;
+};
+
+// poster_path -> poster_srcset, file_path -> srcset, images -> images_srcset
+const srcsetKey = (key) => key === 'file_path' ? 'srcset' : `${key.replace(/_(path|url)$/, '')}_srcset`;
+
+const isImageUrl = (value) => typeof value === 'string' && (TMDB_IMAGE.test(value) || JIKAN_IMAGE.test(value));
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+/**
+ * Returns a copy of `value` with every TMDB and Jikan image URL in `size`, with a `*_srcset`
+ * sibling next to each of them when `srcset` is set, and pointing at the /img proxy under
+ * `proxy` (a base URL, '' for root-relative URLs) when given. `value` is never mutated, it usually comes straight from the cache.
+ * @param {any} value - response payload
+ * @param {{ size?: string, srcset?: boolean, proxy?: string|null }} options
+ */
+export function rewriteImages(value, options) {
+    const { size = 'original', srcset = false, proxy = null } = options;
+    const proxied = (url) => proxy !== null ? toProxyUrl(url, proxy) : url;
+
+    if (Array.isArray(value)) return value.map(item => rewriteImages(item, options));
+    if (typeof value === 'string') return proxied(resizeUrl(value, size));
+    if (!value || typeof value !== 'object') return value;
+
+    // Jikan's own { image_url, small_image_url, large_image_url } blocks already list every size
+    if ('small_image_url' in value || 'large_image_url' in value) {
+        return proxy !== null ? Object.fromEntries(Object.entries(value).map(([key, url]) => [key, proxied(url)])) : value;
+    }
+
+    const resized = {};
+    const srcsetWithProxy = (url) => {
+        const set = srcsetOf(url);
+        return set && Object.fromEntries(Object.entries(set).map(([width, setUrl]) => [width, proxied(setUrl)]));
+    };
+
+    for (const [key, item] of Object.entries(value)) {
+        resized[key] = rewriteImages(item, options);
+
+        if (!srcset) continue;
+
+        if (isImageUrl(item)) {
+            resized[srcsetKey(key)] = srcsetWithProxy(item);
+        } else if (Array.isArray(item) && item.some(isImageUrl)) {
+            resized[srcsetKey(key)] = item.map(srcsetWithProxy);
+        }
+    }
+
+    // TMDB /images entries report their dimensions, keep them in line with the served file
+    const served = tmdbSize(size);
+    const width = parseInt(served.slice(1), 10);
+    if (served.startsWith('w') && TMDB_IMAGE.test(value.file_path) && value.width > width) {
+        resized.height = Math.round(value.height * width / value.width);
+        resized.width = width;
+    }
+
+    return resized;
+}
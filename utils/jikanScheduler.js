@@ -0,0 +1,176 @@
+/*
+     ██╗██╗██╗  ██╗ █████╗ ███╗   ██╗    ███████╗ ██████╗██╗  ██╗███████╗██████╗ ██╗   ██╗██╗     ███████╗██████╗
+     ██║██║██║ ██╔╝██╔══██╗████╗  ██║    ██╔════╝██╔════╝██║  ██║██╔════╝██╔══██╗██║   ██║██║     ██╔════╝██╔══██╗
+     ██║██║█████╔╝ ███████║██╔██╗ ██║    ███████╗██║     ███████║█████╗  ██║  ██║██║   ██║██║     █████╗  ██████╔╝
+██   ██║██║██╔═██╗ ██╔══██║██║╚██╗██║    ╚════██║██║     ██╔══██║██╔══╝  ██║  ██║██║   ██║██║     ██╔══╝  ██╔══██╗
+╚█████╔╝██║██║  ██╗██║  ██║██║ ╚████║    ███████║╚██████╗██║  ██║███████╗██████╔╝╚██████╔╝███████╗███████╗██║  ██║
+ ╚════╝ ╚═╝╚═╝  ╚═╝╚═╝  ╚═╝╚═╝  ╚═══╝    ╚══════╝ ╚═════╝╚═╝  ╚═╝╚══════╝╚═════╝  ╚═════╝ ╚══════╝╚══════╝╚═╝  ╚═╝
+*/
+
+// Jikan allows 3 requests per second and 60 per minute for our whole server, not per client.
+// Every outbound Jikan call goes through this queue, which:
+//  - dispatches only while both the per-second and per-minute budgets have room
+//  - lets interactive calls jump ahead of background refreshes
+//  - pauses everything for `Retry-After` when Jikan answers 429, then retries the call
+
+import axios from 'axios';
+import logger from './logger.js';
+import { UpstreamRateLimitedError } from './errors.js';
+import { PRIORITY, currentPriority } from './requestPriority.js';
+import { observeUpstream } from './metrics.js';
+
+/* ============================================ */
+/*                 Settings                     */
+/* ============================================ */
+const MAX_PER_SECOND = parseInt(process.env.JIKAN_MAX_PER_SECOND, 10) || 3;
+const MAX_PER_MINUTE = parseInt(process.env.JIKAN_MAX_PER_MINUTE, 10) || 60;
+// Waiting calls beyond this are refused instead of queueing for minutes
+const MAX_QUEUE_LENGTH = parseInt(process.env.JIKAN_MAX_QUEUE_LENGTH, 10) || 100;
+const MAX_RETRIES_ON_429 = 3;
+// Used when a 429 comes without a Retry-After header
+const DEFAULT_RETRY_AFTER_MS = 1000;
+
+/* ============================================ */
+/*                 State                        */
+/* ============================================ */
+const queues = {
+    [PRIORITY.interactive]: [],
+    [PRIORITY.background]: []
+};
+// Start times of recently dispatched calls, oldest first
+const dispatched = [];
+let inFlight = 0;
+let pausedUntil = 0;
+let timer = null;
+
+/* ============================================ */
+/*                 Budget                       */
+/* ============================================ */
+// Milliseconds until another call fits both windows, 0 when one can go now
+const waitForBudget = (now) => {
+    while (dispatched.length && dispatched[0] <= now - 60 * 1000) {
+        dispatched.shift();
+    }
+
+    let wait = Math.max(0, pausedUntil - now);
+
+    if (dispatched.length >= MAX_PER_MINUTE) {
+        wait = Math.max(wait, dispatched[dispatched.length - MAX_PER_MINUTE] + 60 * 1000 - now);
+    }
+
+    const lastSecond = dispatched.filter(time => time > now - 1000);
+    if (lastSecond.length >= MAX_PER_SECOND) {
+        wait = Math.max(wait, lastSecond[lastSecond.length - MAX_PER_SECOND] + 1000 - now);
+    }
+
+    return wait;
+};
+
+// Milliseconds to wait according to a Retry-After header
+export const parseRetryAfter = (header) => {
+    if (!header) return DEFAULT_RETRY_AFTER_MS;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    // Retry-After may also be an HTTP date
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? DEFAULT_RETRY_AFTER_MS : Math.max(0, date - Date.now());
+};
+
+/* ============================================ */
+/*                 Dispatching                  */
+/* ============================================ */
+const nextJob = () => queues[PRIORITY.interactive].shift() || queues[PRIORITY.background].shift();
+
+const pump = () => {
+    if (timer) return;
+
+    while (queues[PRIORITY.interactive].length || queues[PRIORITY.background].length) {
+        const wait = waitForBudget(Date.now());
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                pump();
+            }, wait);
+            return;
+        }
+
+        const job = nextJob();
+        dispatched.push(Date.now());
+        run(job);
+    }
+};
+
+const run = async (job) => {
+    inFlight++;
+
+    try {
+        job.resolve(await observeUpstream('jikan', () => axios.get(job.url, job.config)));
+    } catch (err) {
+        if (err.response?.status === 429 && job.attempts < MAX_RETRIES_ON_429) {
+            const retryAfter = parseRetryAfter(err.response.headers?.['retry-after']);
+            pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter);
+            logger.warn(`Jikan rate limited us, pausing the queue for ${retryAfter}ms 🐢`);
+
+            // Retry ahead of everything else waiting at the same priority
+            job.attempts++;
+            queues[job.priority].unshift(job);
+        } else {
+            job.reject(err);
+        }
+    } finally {
+        inFlight--;
+        pump();
+    }
+};
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+/**
+ * Queues a GET request to Jikan and resolves with the axios response once it went through.
+ * Priority defaults to the one of the current call chain (see utils/requestPriority.js).
+ * An aborted `config.signal` drops the call from the queue, or cancels it once sent.
+ */
+export const scheduleJikanRequest = (url, config = {}, priority = currentPriority()) => new Promise((resolve, reject) => {
+    const waiting = queues[PRIORITY.interactive].length + queues[PRIORITY.background].length;
+
+    if (waiting >= MAX_QUEUE_LENGTH) {
+        return reject(new UpstreamRateLimitedError("Too many anime requests are waiting on Jikan, try again later.", { queued: waiting }));
+    }
+
+    const job = { url, config, priority, attempts: 0, resolve, reject };
+    queues[priority].push(job);
+
+    config.signal?.addEventListener('abort', () => {
+        const index = queues[priority].indexOf(job);
+        if (index === -1) return;
+
+        queues[priority].splice(index, 1);
+        reject(config.signal.reason);
+    }, { once: true });
+
+    pump();
+});
+
+// Snapshot of the queue, e.g. for status endpoints
+export const getJikanQueueStats = () => {
+    const now = Date.now();
+    waitForBudget(now);
+
+    return {
+        queued: {
+            interactive: queues[PRIORITY.interactive].length,
+            background: queues[PRIORITY.background].length
+        },
+        in_flight: inFlight,
+        paused_until: pausedUntil > now ? new Date(pausedUntil).toISOString() : null,
+        budget: {
+            per_second: MAX_PER_SECOND,
+            per_minute: MAX_PER_MINUTE,
+            used_last_second: dispatched.filter(time => time > now - 1000).length,
+            used_last_minute: dispatched.length
+        }
+    };
+};
@@ -0,0 +1,142 @@
+/*
+███╗   ███╗███████╗████████╗██████╗ ██╗ ██████╗███████╗
+████╗ ████║██╔════╝╚══██╔══╝██╔══██╗██║██╔════╝██╔════╝
+██╔████╔██║█████╗     ██║   ██████╔╝██║██║     ███████╗
+██║╚██╔╝██║██╔══╝     ██║   ██╔══██╗██║██║     ╚════██║
+██║ ╚═╝ ██║███████╗   ██║   ██║  ██║██║╚██████╗███████║
+╚═╝     ╚═╝╚══════╝   ╚═╝   ╚═╝  ╚═╝╚═╝ ╚═════╝╚══════╝
+*/
+
+// Prometheus metrics served at /metrics (see routes/metrics.js). Every label only takes a
+// bounded set of values (route patterns, cache window names, providers, limiter names),
+// never raw URLs or cache keys, so the number of series stays small.
+
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+
+// CPU, memory, event loop lag and GC of the Node.js process
+client.collectDefaultMetrics({ register: registry });
+
+/* ============================================ */
+/*                 Metrics                      */
+/* ============================================ */
+const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests answered, by method, route pattern and status code.',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time from receiving an HTTP request to the end of its response.',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const cacheLookups = new client.Counter({
+    name: 'cache_lookups_total',
+    help: 'Cache lookups by key family (cache window name) and result: hit, stale or miss.',
+    labelNames: ['family', 'result'],
+    registers: [registry]
+});
+
+const upstreamRequests = new client.Counter({
+    name: 'upstream_requests_total',
+    help: 'Calls sent to TMDB, Jikan and the image origins, by provider and status code (or timeout / network).',
+    labelNames: ['provider', 'status'],
+    registers: [registry]
+});
+
+const upstreamErrors = new client.Counter({
+    name: 'upstream_errors_total',
+    help: 'Upstream calls that failed, by provider and status code (or timeout / network).',
+    labelNames: ['provider', 'status'],
+    registers: [registry]
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Time until an upstream call answered or failed, retries are separate calls.',
+    labelNames: ['provider', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const rateLimitRejections = new client.Counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests refused with a 429 by our own limiters and API key quotas, by limiter.',
+    labelNames: ['limiter'],
+    registers: [registry]
+});
+
+/* ============================================ */
+/*                 HTTP requests                */
+/* ============================================ */
+// Requests answered before reaching a route (static files, API key and rate limit rejections)
+// and the catch-all 404 share one label instead of one series per URL
+const routeOf = (request) => request.route && request.route.path !== '*'
+    ? `${request.baseUrl}${request.route.path}`
+    : 'unmatched';
+
+// Times every request and records it once the response went out
+export const httpMetrics = (request, response, next) => {
+    const stopTimer = httpRequestDuration.startTimer();
+
+    response.on('finish', () => {
+        const labels = { method: request.method, route: routeOf(request), status: response.statusCode };
+        httpRequests.inc(labels);
+        stopTimer(labels);
+    });
+
+    next();
+};
+
+/* ============================================ */
+/*                 Cache                        */
+/* ============================================ */
+/**
+ * Counts a cache lookup.
+ * @param {string} family - cache window name from config/cacheConfig.js, or 'images'
+ * @param {'hit'|'stale'|'miss'} result
+ */
+export const recordCacheLookup = (family, result) => cacheLookups.inc({ family, result });
+
+/* ============================================ */
+/*                 Upstream calls               */
+/* ============================================ */
+// "429", "503", ... when the upstream answered, otherwise why nothing came back
+const statusOf = (err) => {
+    if (err.response) return String(err.response.status);
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return 'timeout';
+    return 'network';
+};
+
+/**
+ * Runs one upstream call (`send` returns the axios promise) and records its status and latency.
+ * Resolves or rejects exactly like `send`.
+ */
+export async function observeUpstream(provider, send) {
+    const stopTimer = upstreamDuration.startTimer();
+
+    try {
+        const response = await send();
+        const labels = { provider, status: String(response.status) };
+        upstreamRequests.inc(labels);
+        stopTimer(labels);
+        return response;
+    } catch (err) {
+        const labels = { provider, status: statusOf(err) };
+        upstreamRequests.inc(labels);
+        upstreamErrors.inc(labels);
+        stopTimer(labels);
+        throw err;
+    }
+}
+
+/* ============================================ */
+/*                 Rate limiting                */
+/* ============================================ */
+export const recordRateLimitRejection = (limiter) => rateLimitRejections.inc({ limiter });
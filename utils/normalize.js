@@ -0,0 +1,89 @@
+/*
+███╗   ██╗ ██████╗ ██████╗ ███╗   ███╗ █████╗ ██╗     ██╗███████╗███████╗
+████╗  ██║██╔═══██╗██╔══██╗████╗ ████║██╔══██╗██║     ██║╚══███╔╝██╔════╝
+██╔██╗ ██║██║   ██║██████╔╝██╔████╔██║███████║██║     ██║  ███╔╝ █████╗
+██║╚██╗██║██║   ██║██╔══██╗██║╚██╔╝██║██╔══██║██║     ██║ ███╔╝  ██╔══╝
+██║ ╚████║╚██████╔╝██║  ██║██║ ╚═╝ ██║██║  ██║███████╗██║███████╗███████╗
+╚═╝  ╚═══╝ ╚═════╝ ╚═╝  ╚═╝╚═╝     ╚═╝╚═╝  ╚═╝╚══════╝╚═╝╚══════╝╚══════╝
+*/
+
+// Turns TMDB movies, TMDB TV shows and Jikan anime into one common item shape:
+// { media_type, id, title, original_title, alternative_titles, overview, poster, backdrop, year, score, genres }
+
+/* ============================================ */
+/*                 Helpers                      */
+/* ============================================ */
+const yearFromDate = (date) => {
+    const year = parseInt(String(date || '').slice(0, 4), 10);
+    return Number.isNaN(year) ? null : year;
+};
+
+const uniqueTitles = (titles) => [...new Set(titles.filter(Boolean))];
+
+// Lower case, no accents, no punctuation: "Pokémon: The Movie!" -> "pokemon the movie"
+export const normalizeText = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/* ============================================ */
+/*                 TMDB movie                   */
+/* ============================================ */
+// Expects a movie whose image paths were already expanded with URLs.image and genre names resolved
+export const normalizeMovie = (movie) => ({
+    media_type: 'movie',
+    id: movie.id,
+    title: movie.title,
+    original_title: movie.original_title || null,
+    alternative_titles: uniqueTitles([movie.original_title]),
+    overview: movie.overview || null,
+    poster: movie.poster_path || null,
+    backdrop: movie.backdrop_path || null,
+    year: yearFromDate(movie.release_date),
+    score: movie.vote_average ?? null,
+    genres: movie.genres || []
+});
+
+/* ============================================ */
+/*                 TMDB TV show                 */
+/* ============================================ */
+// Expects a TV show whose image paths were already expanded with URLs.image and genre names resolved
+export const normalizeTvShow = (tv) => ({
+    media_type: 'tv',
+    id: tv.id,
+    title: tv.name,
+    original_title: tv.original_name || null,
+    alternative_titles: uniqueTitles([tv.original_name]),
+    overview: tv.overview || null,
+    poster: tv.poster_path || null,
+    backdrop: tv.backdrop_path || null,
+    year: yearFromDate(tv.first_air_date),
+    score: tv.vote_average ?? null,
+    genres: tv.genres || []
+});
+
+/* ============================================ */
+/*                 Jikan anime                  */
+/* ============================================ */
+// Expects a raw Jikan anime record
+export const normalizeAnime = (anime) => ({
+    media_type: 'anime',
+    id: anime.mal_id,
+    title: anime.title_english || anime.title,
+    original_title: anime.title_japanese || null,
+    alternative_titles: uniqueTitles([
+        anime.title,
+        anime.title_english,
+        anime.title_japanese,
+        ...(anime.titles || []).map(title => title.title),
+        ...(anime.title_synonyms || [])
+    ]),
+    overview: anime.synopsis || null,
+    poster: anime.images?.jpg?.large_image_url || anime.images?.jpg?.image_url || null,
+    backdrop: anime.trailer?.images?.maximum_image_url || null,
+    year: anime.year || yearFromDate(anime.aired?.from),
+    score: anime.score ?? null,
+    genres: anime.genres?.map(genre => genre.name) || []
+});
@@ -0,0 +1,26 @@
+/*
+██████╗ ██████╗ ██╗ ██████╗ ██████╗ ██╗████████╗██╗   ██╗
+██╔══██╗██╔══██╗██║██╔═══██╗██╔══██╗██║╚══██╔══╝╚██╗ ██╔╝
+██████╔╝██████╔╝██║██║   ██║██████╔╝██║   ██║    ╚████╔╝
+██╔═══╝ ██╔══██╗██║██║   ██║██╔══██╗██║   ██║     ╚██╔╝
+██║     ██║  ██║██║╚██████╔╝██║  ██║██║   ██║      ██║
+╚═╝     ╚═╝  ╚═╝╚═╝ ╚═════╝ ╚═╝  ╚═╝╚═╝   ╚═╝      ╚═╝
+*/
+
+// Tracks whether the current async call chain serves a waiting user or background work,
+// so outbound schedulers can let interactive calls go first without threading a flag through every function.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const PRIORITY = {
+    interactive: 'interactive',
+    background: 'background'
+};
+
+const storage = new AsyncLocalStorage();
+
+// Runs `fn` (and everything it awaits) as background work
+export const runInBackground = (fn) => storage.run(PRIORITY.background, fn);
+
+// Anything not explicitly marked as background is a user waiting on a response
+export const currentPriority = () => storage.getStore() || PRIORITY.interactive;
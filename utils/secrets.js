@@ -0,0 +1,20 @@
+/*
+███████╗███████╗ ██████╗██████╗ ███████╗████████╗███████╗
+██╔════╝██╔════╝██╔════╝██╔══██╗██╔════╝╚══██╔══╝██╔════╝
+███████╗█████╗  ██║     ██████╔╝█████╗     ██║   ███████╗
+╚════██║██╔══╝  ██║     ██╔══██╗██╔══╝     ██║   ╚════██║
+███████║███████╗╚██████╗██║  ██║███████╗   ██║   ███████║
+╚══════╝╚══════╝ ╚═════╝╚═╝  ╚═╝╚══════╝   ╚═╝   ╚══════╝
+*/
+
+// Comparing shared secrets (admin and metrics tokens) without leaking them through timing
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Hashing both sides gives equal length buffers, timingSafeEqual requires them
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * True when `provided` equals `expected`, in constant time. A missing `provided` never matches.
+ */
+export const secretMatches = (provided, expected) => Boolean(provided) && timingSafeEqual(digest(provided), digest(expected));
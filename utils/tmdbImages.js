@@ -0,0 +1,29 @@
+/*
+████████╗███╗   ███╗██████╗ ██████╗     ██╗███╗   ███╗ █████╗  ██████╗ ███████╗███████╗
+╚══██╔══╝████╗ ████║██╔══██╗██╔══██╗    ██║████╗ ████║██╔══██╗██╔════╝ ██╔════╝██╔════╝
+   ██║   ██╔████╔██║██║  ██║██████╔╝    ██║██╔████╔██║███████║██║  ███╗█████╗  ███████╗
+   ██║   ██║╚██╔╝██║██║  ██║██╔══██╗    ██║██║╚██╔╝██║██╔══██║██║   ██║██╔══╝  ╚════██║
+   ██║   ██║ ╚═╝ ██║██████╔╝██████╔╝    ██║██║ ╚═╝ ██║██║  ██║╚██████╔╝███████╗███████║
+   ╚═╝   ╚═╝     ╚═╝╚═════╝ ╚═════╝     ╚═╝╚═╝     ╚═╝╚═╝  ╚═╝ ╚═════╝ ╚══════╝╚══════╝
+*/
+
+// TMDB only returns image paths like "/abc.jpg", these helpers turn them into full URLs
+
+import { URLs } from '../config/constants.js';
+
+/* ============================================ */
+/*                 Helpers                      */
+/* ============================================ */
+export const expandImage = (imagePath) => imagePath ? URLs.image + imagePath : null;
+
+// Expands `profile_path` of every person in a cast, crew or creators list
+export const expandPeople = (people = []) => people.map(person => ({
+    ...person,
+    profile_path: expandImage(person.profile_path)
+}));
+
+// Expands `logo_path` of every company or network
+export const expandLogos = (companies = []) => companies.map(company => ({
+    ...company,
+    logo_path: expandImage(company.logo_path)
+}));
@@ -0,0 +1,94 @@
+/*
+████████╗██████╗  █████╗ ███╗   ██╗███████╗██╗      █████╗ ████████╗██╗ ██████╗ ███╗   ██╗███████╗
+╚══██╔══╝██╔══██╗██╔══██╗████╗  ██║██╔════╝██║     ██╔══██╗╚══██╔══╝██║██╔═══██╗████╗  ██║██╔════╝
+   ██║   ██████╔╝███████║██╔██╗ ██║███████╗██║     ███████║   ██║   ██║██║   ██║██╔██╗ ██║███████╗
+   ██║   ██╔══██╗██╔══██║██║╚██╗██║╚════██║██║     ██╔══██║   ██║   ██║██║   ██║██║╚██╗██║╚════██║
+   ██║   ██║  ██║██║  ██║██║ ╚████║███████║███████╗██║  ██║   ██║   ██║╚██████╔╝██║ ╚████║███████║
+   ╚═╝   ╚═╝  ╚═╝╚═╝  ╚═╝╚═╝  ╚═══╝╚══════╝╚══════╝╚═╝  ╚═╝   ╚═╝   ╚═╝ ╚═════╝ ╚═╝  ╚═══╝╚══════╝
+*/
+
+// TMDB answers in the requested language where a translation exists. Where it doesn't, overviews
+// come back empty and titles fall back to the original title, which is no help to a German client
+// looking at a Korean show. These helpers fill those gaps from the English version.
+
+import { DEFAULT_LANGUAGE } from '../middlewares/locale.js';
+
+const FALLBACK_LANGUAGE = 'en-US';
+
+// Title field -> field holding the original title
+const ORIGINAL_TITLES = { title: 'original_title', name: 'original_name' };
+
+/* ============================================ */
+/*                 Helpers                      */
+/* ============================================ */
+const languageCode = (language) => language.split('-')[0];
+
+// Whether TMDB had nothing for `field` in `language`: an empty text, or the original title of
+// something that was neither made in English nor in `language`
+const isUntranslated = (item, field, language) => {
+    const originalField = ORIGINAL_TITLES[field];
+
+    if (!originalField || item[originalField] === undefined) return !item[field];
+
+    return item[field] === item[originalField]
+        && item.original_language !== 'en'
+        && item.original_language !== languageCode(language);
+};
+
+const fillFrom = (item, english, fields, language) => {
+    if (!english) return item;
+
+    const filled = { ...item };
+    for (const field of fields) {
+        if (isUntranslated(item, field, language) && english[field]) filled[field] = english[field];
+    }
+    return filled;
+};
+
+/* ============================================ */
+/*                 Public API                   */
+/* ============================================ */
+/**
+ * Fetches a TMDB payload in `language` and fills untranslated `fields` from the English one.
+ * The English payload is only fetched when something is actually missing.
+ * @param {string} language - a supported language, e.g. 'de-DE'
+ * @param {(language: string) => Promise<object>} fetchData - resolves with the raw TMDB payload
+ * @param {object} options
+ * @param {string[]} options.fields - text fields to check, e.g. ['title', 'overview']
+ * @param {string|null} options.listKey - array of items in the payload ('results', 'episodes'),
+ *                                        null when the payload is a single item
+ */
+export async function fetchWithEnglishFallback(language, fetchData, { fields, listKey = 'results' }) {
+    const localized = await fetchData(language);
+    if (languageCode(language) === languageCode(FALLBACK_LANGUAGE)) return localized;
+
+    const items = listKey ? localized[listKey] || [] : [localized];
+    if (!items.some(item => fields.some(field => isUntranslated(item, field, language)))) return localized;
+
+    const english = await fetchData(FALLBACK_LANGUAGE);
+
+    if (!listKey) return fillFrom(localized, english, fields, language);
+
+    const englishById = new Map((english[listKey] || []).map(item => [item.id, item]));
+    return {
+        ...localized,
+        [listKey]: items.map(item => fillFrom(item, englishById.get(item.id), fields, language))
+    };
+}
+
+// include_image_language for /images: the language itself, English, then images without text.
+// English stays at the "en" the images endpoints always asked for, so v1 answers don't change.
+export const imageLanguages = (language = DEFAULT_LANGUAGE) => {
+    if (languageCode(language) === languageCode(FALLBACK_LANGUAGE)) return languageCode(FALLBACK_LANGUAGE);
+    return [languageCode(language), languageCode(FALLBACK_LANGUAGE), 'null'].join(',');
+};
+
+// Sort comparator putting images in `language` first, then English ones, then those without text
+export const byImageLanguage = (language = DEFAULT_LANGUAGE) => {
+    const order = imageLanguages(language).split(',').map(code => code === 'null' ? null : code);
+    const rank = (image) => {
+        const index = order.indexOf(image.iso_639_1 ?? null);
+        return index === -1 ? order.length : index;
+    };
+    return (a, b) => rank(a) - rank(b);
+};